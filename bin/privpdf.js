@@ -0,0 +1,628 @@
+#!/usr/bin/env node
+// privpdf - the PrivPDF tools on the command line, for scripts and CI
+// Each subcommand runs one sidebar tool through the same PrivPDFPipeline and PrivPDFOperations
+// code as the website, with flags named after the tool panel's settings. Every engine is
+// loaded from node_modules, so nothing is fetched from the network.
+
+const fs = require('fs');
+const path = require('path');
+
+// pdf-protection.js finds PDF-lib as a global, as on the page and in the worker
+globalThis.PDFLib = require('pdf-lib');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const PrivPDFPipeline = require('../privpdf-pipeline.js');
+const PrivPDFCapabilities = require('../privpdf-capabilities.js');
+const PDFProtection = require('../pdf-protection.js');
+const PrivPDFZip = require('../privpdf-zip.js');
+
+class PrivPDFCLI {
+    constructor({ stdout = process.stdout, stderr = process.stderr } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+        this.operations = new PrivPDFOperations(globalThis.PDFLib);
+        this.pdfProtection = new PDFProtection();
+        this.capabilities = new PrivPDFCapabilities({
+            pdfLib: globalThis.PDFLib,
+            pdfProtection: this.pdfProtection
+        });
+        this.pipeline = new PrivPDFPipeline({
+            operations: this.operations,
+            pdfProtection: this.pdfProtection,
+            capabilities: this.capabilities,
+            pageRenderer: (bytes, options) => this.renderPages(bytes, options),
+            separatorFinder: (bytes, options) => this.findSeparators(bytes, options)
+        });
+    }
+
+    // Subcommand -> flags. Flag names follow the panel's input ids (split-method -> --method),
+    // values use the panel's units (opacity and quality in percent) and defaults.
+    // setting is the option the pipeline step receives; a dot nests it (permissions.print).
+    static get COMMANDS() {
+        return {
+            merge: {
+                usage: '<file.pdf> <file.pdf>...',
+                flags: {
+                    bookmarks: { setting: 'bookmarks', type: 'boolean', default: true, help: 'keep each file\'s bookmarks under one named after the file (--no-bookmarks to drop them)' },
+                    toc: { setting: 'tableOfContents', type: 'boolean', help: 'add a table of contents page at the front' },
+                    mode: { setting: 'mode', type: 'choice', values: ['append', 'interleave'], help: 'append files, or interleave duplex scans page by page' },
+                    'reverse-backs': { setting: 'reverseBacks', type: 'boolean', help: 'the backs were scanned last page first (--mode interleave)' },
+                    unequal: { setting: 'unequal', type: 'choice', values: ['append', 'blank'], help: 'leftover pages of the longer side go at the end, or get blank partners' },
+                    size: { setting: 'pageSize', type: 'choice', values: ['a4', 'letter', 'legal', 'first'], help: 'put every page on this size (first: the first page\'s)' },
+                    fit: { setting: 'fit', type: 'choice', values: ['fit', 'fill', 'center'], help: 'scale pages to fit, to fill the page, or not at all (--size)' },
+                    'auto-rotate': { setting: 'autoRotate', type: 'boolean', help: 'turn pages to the orientation of the page size (--size)' }
+                }
+            },
+            split: {
+                usage: '<file.pdf>',
+                flags: {
+                    method: { setting: 'method', type: 'choice', values: ['pages', 'range', 'size', 'single', 'bookmarks', 'separators', 'pattern'], help: 'how to split' },
+                    pages: { setting: 'pagesPerDoc', type: 'integer', help: 'pages per document (--method pages)' },
+                    ranges: { setting: 'ranges', type: 'string', help: 'page ranges, e.g. 1-3,4-6 (--method range)' },
+                    'max-size': { setting: 'maxSize', type: 'megabytes', help: 'largest file size in MB, e.g. 9.5 (--method size)' },
+                    level: { setting: 'level', type: 'integer', help: 'split at the bookmarks of this outline level, 1 for the top (--method bookmarks)' },
+                    detect: { setting: 'detect', type: 'choice', values: ['blank', 'code', 'text'], help: 'separator pages are blank, carry a QR code or barcode, or match --pattern (--method separators)' },
+                    pattern: { setting: 'pattern', type: 'string', help: 'regular expression for separator text or codes, or that starts a part (--method pattern)' },
+                    'drop-separators': { setting: 'dropSeparators', type: 'boolean', default: true, help: 'leave separator pages out (--no-drop-separators to keep them)' },
+                    'dry-run': { setting: 'dryRun', type: 'boolean', help: 'list the parts --method pattern would make, without writing them' }
+                }
+            },
+            extract: {
+                usage: '<file.pdf>',
+                flags: {
+                    pages: { setting: 'pages', type: 'pages', required: true, help: 'pages to keep, e.g. 1,3-5' }
+                }
+            },
+            rotate: {
+                usage: '<file.pdf>',
+                flags: {
+                    all: { setting: 'all', type: 'degrees', help: 'rotate every page by 90, 180 or 270 (-90 turns left)' },
+                    rotations: { setting: 'rotations', type: 'rotations', help: 'rotation per page, e.g. 1:90,3:180' }
+                }
+            },
+            reorder: {
+                usage: '<file.pdf>',
+                flags: {
+                    order: { setting: 'order', type: 'pages', required: true, help: 'new page order, e.g. 3,1,2' }
+                }
+            },
+            delete: {
+                usage: '<file.pdf>',
+                flags: {
+                    pages: { setting: 'pages', type: 'pages', required: true, help: 'pages to remove, e.g. 2,5-7' }
+                }
+            },
+            add: {
+                usage: '<file.pdf>',
+                flags: {
+                    type: { setting: 'type', type: 'choice', values: ['blank', 'from-pdf'], help: 'what to add' },
+                    'blank-count': { setting: 'count', type: 'integer', help: 'number of blank pages' },
+                    position: { setting: 'position', type: 'choice', values: ['end', 'start', 'after'], help: 'where to insert' },
+                    'after-page': { setting: 'afterPage', type: 'integer', help: 'insert after this page (--position after)' },
+                    source: { setting: 'source', type: 'file', help: 'PDF whose pages are added (--type from-pdf)' }
+                }
+            },
+            watermark: {
+                usage: '<file.pdf>',
+                flags: {
+                    text: { setting: 'text', type: 'string', help: 'watermark text' },
+                    opacity: { setting: 'opacity', type: 'percent', min: 10, help: 'opacity in percent, 10-100' },
+                    position: {
+                        setting: 'position',
+                        type: 'choice',
+                        values: ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'diagonal'],
+                        help: 'where the text goes'
+                    },
+                    pages: { setting: 'pages', type: 'choice', values: ['all', 'first', 'last', 'custom'], help: 'pages to watermark' },
+                    range: { setting: 'range', type: 'string', help: 'page range, e.g. 1-3,5 (--pages custom)' }
+                }
+            },
+            normalize: {
+                usage: '<file.pdf>',
+                flags: {
+                    size: { setting: 'pageSize', type: 'choice', values: ['a4', 'letter', 'legal', 'first'], help: 'page size (first: the first page\'s)' },
+                    fit: { setting: 'fit', type: 'choice', values: ['fit', 'fill', 'center'], help: 'scale pages to fit, to fill the page, or not at all' },
+                    'auto-rotate': { setting: 'autoRotate', type: 'boolean', help: 'turn pages to the orientation of the page size' }
+                }
+            },
+            protect: {
+                usage: '<file.pdf>',
+                flags: {
+                    method: { setting: 'method', type: 'choice', values: ['auto', 'password', 'encryption', 'watermark', 'metadata'], help: 'protection method' },
+                    'user-password': { setting: 'userPassword', type: 'string', env: 'PRIVPDF_USER_PASSWORD', help: 'password to open the file' },
+                    'owner-password': { setting: 'ownerPassword', type: 'string', env: 'PRIVPDF_OWNER_PASSWORD', help: 'password to change permissions' },
+                    print: { setting: 'permissions.print', type: 'boolean', default: true, help: 'allow printing (--no-print to deny)' },
+                    copy: { setting: 'permissions.copy', type: 'boolean', default: true, help: 'allow copying text' },
+                    modify: { setting: 'permissions.modify', type: 'boolean', default: true, help: 'allow editing' },
+                    annotate: { setting: 'permissions.annotate', type: 'boolean', default: true, help: 'allow comments' }
+                }
+            },
+            imagetopdf: {
+                usage: '<image>...',
+                flags: {
+                    size: { setting: 'pageSize', type: 'choice', values: ['a4', 'letter', 'legal', 'fit'], help: 'page size' },
+                    orientation: { setting: 'orientation', type: 'choice', values: ['portrait', 'landscape', 'auto'], help: 'page orientation' },
+                    margin: { setting: 'margin', type: 'integer', min: 0, max: 50, help: 'margin in points, 0-50' }
+                }
+            },
+            pdftoimage: {
+                usage: '<file.pdf>',
+                flags: {
+                    format: { setting: 'format', type: 'choice', values: ['png', 'jpeg', 'webp'], help: 'image format' },
+                    quality: { setting: 'quality', type: 'percent', min: 10, help: 'JPEG/WebP quality in percent, 10-100' },
+                    dpi: { setting: 'dpi', type: 'integer', max: 600, help: 'resolution, e.g. 72, 150, 300, 600' },
+                    pages: { setting: 'pages', type: 'choice', values: ['all', 'range'], help: 'pages to convert' },
+                    range: { setting: 'range', type: 'string', help: 'page range, e.g. 1-3,5 (--pages range)' }
+                }
+            }
+        };
+    }
+
+    // File names the website downloads single results as
+    static get OUTPUT_NAMES() {
+        return {
+            merge: 'merged.pdf',
+            extract: 'extracted_pages.pdf',
+            rotate: 'rotated.pdf',
+            reorder: 'reordered.pdf',
+            delete: 'pages_deleted.pdf',
+            add: 'pages_added.pdf',
+            watermark: 'watermarked.pdf',
+            normalize: 'normalized.pdf',
+            protect: 'protected.pdf',
+            imagetopdf: 'images.pdf'
+        };
+    }
+
+    static get IMAGE_TYPES() {
+        return { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+    }
+
+    // Expand "3,1,5-7" into one-based page numbers, keeping the order given
+    static parsePageList(value) {
+        const pages = [];
+
+        value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+            const match = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid page number or range: ${part}`);
+            }
+            const start = parseInt(match[1]);
+            const end = match[2] ? parseInt(match[2]) : start;
+            if (start < 1 || end < start) {
+                throw new Error(`Invalid page number or range: ${part}`);
+            }
+            for (let page = start; page <= end; page++) pages.push(page);
+        });
+
+        if (pages.length === 0) {
+            throw new Error('No pages given');
+        }
+        return pages;
+    }
+
+    static parseValue(name, flag, value) {
+        switch (flag.type) {
+            case 'string':
+            case 'file':
+                return value;
+            case 'choice':
+                if (!flag.values.includes(value)) {
+                    throw new Error(`--${name} must be one of: ${flag.values.join(', ')}`);
+                }
+                return value;
+            case 'integer':
+            case 'percent': {
+                const number = Number(value);
+                const { min = flag.type === 'integer' ? 1 : 0, max = flag.type === 'percent' ? 100 : Infinity } = flag;
+                if (!Number.isInteger(number) || number < min || number > max) {
+                    throw new Error(`--${name} must be a whole number${max === Infinity ? ` of at least ${min}` : ` from ${min} to ${max}`}`);
+                }
+                return flag.type === 'percent' ? number / 100 : number;
+            }
+            case 'megabytes': {
+                const megabytes = Number(value);
+                if (!(megabytes > 0)) {
+                    throw new Error(`--${name} must be a size in MB above 0`);
+                }
+                return Math.floor(megabytes * 1024 * 1024);
+            }
+            case 'degrees': {
+                const degrees = Number(value);
+                if (!Number.isInteger(degrees) || degrees % 90 !== 0) {
+                    throw new Error(`--${name} must be a multiple of 90`);
+                }
+                return degrees;
+            }
+            case 'pages':
+                return PrivPDFCLI.parsePageList(value);
+            case 'rotations': {
+                const rotations = {};
+                value.split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+                    const [page, degrees] = part.split(':').map(n => Number(n));
+                    if (!Number.isInteger(page) || page < 1 || ![0, 90, 180, 270].includes(degrees)) {
+                        throw new Error(`Invalid rotation "${part}", expected page:degrees with 0, 90, 180 or 270`);
+                    }
+                    rotations[page] = degrees;
+                });
+                return rotations;
+            }
+            default:
+                throw new Error(`Unknown flag type: ${flag.type}`);
+        }
+    }
+
+    // argv (without node and the script) -> { command, inputs, output, settings, help }
+    // Flags are --name value, --name=value, and --name / --no-name for yes/no settings
+    static parseArgs(argv) {
+        const [command, ...args] = argv;
+        const parsed = { command, inputs: [], output: null, naming: '', settings: {}, help: false };
+
+        if (!command || command === '-h' || command === '--help' || command === 'help') {
+            parsed.command = null;
+            parsed.help = true;
+            return parsed;
+        }
+
+        const spec = PrivPDFCLI.COMMANDS[command];
+        if (!spec) {
+            throw new Error(`Unknown command: ${command}`);
+        }
+
+        const set = (setting, value) => {
+            const keys = setting.split('.');
+            const last = keys.pop();
+            const target = keys.reduce((object, key) => (object[key] = object[key] || {}), parsed.settings);
+            target[last] = value;
+        };
+
+        // Panel defaults that differ from the operation defaults, and secrets from the environment
+        Object.values(spec.flags).forEach(flag => {
+            if (flag.default !== undefined) set(flag.setting, flag.default);
+            if (flag.env && process.env[flag.env]) set(flag.setting, process.env[flag.env]);
+        });
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            if (arg === '-h' || arg === '--help') {
+                parsed.help = true;
+                continue;
+            }
+            if (!arg.startsWith('-') || arg === '-') {
+                parsed.inputs.push(arg);
+                continue;
+            }
+
+            const separator = arg.indexOf('=');
+            let name = arg.startsWith('--') ? arg.slice(2) : arg.slice(1);
+            let value = null;
+            if (separator !== -1) {
+                name = arg.slice(arg.startsWith('--') ? 2 : 1, separator);
+                value = arg.slice(separator + 1);
+            }
+            const takeValue = () => {
+                if (value !== null) return value;
+                if (i + 1 >= args.length) {
+                    throw new Error(`--${name} needs a value`);
+                }
+                return args[++i];
+            };
+
+            if (name === 'o' || name === 'output') {
+                parsed.output = takeValue();
+                continue;
+            }
+            if (name === 'naming') {
+                parsed.naming = takeValue().trim();
+                continue;
+            }
+
+            const negated = name.startsWith('no-') && spec.flags[name.slice(3)] && spec.flags[name.slice(3)].type === 'boolean';
+            const flag = spec.flags[negated ? name.slice(3) : name];
+            if (!flag) {
+                throw new Error(`Unknown flag for ${command}: ${arg}`);
+            }
+
+            if (flag.type === 'boolean') {
+                set(flag.setting, !negated);
+            } else {
+                set(flag.setting, PrivPDFCLI.parseValue(name, flag, takeValue()));
+            }
+        }
+
+        return parsed;
+    }
+
+    static getUsage(command = null) {
+        if (!command) {
+            const commands = Object.keys(PrivPDFCLI.COMMANDS)
+                .map(name => `  ${name.padEnd(12)}${PrivPDFPipeline.TOOL_NAMES[name]}`);
+            return [
+                'Usage: privpdf <command> [flags] <input>... [-o output] [--naming template]',
+                '',
+                'Commands:',
+                ...commands,
+                '',
+                'Run privpdf <command> --help for its flags.'
+            ].join('\n');
+        }
+
+        const { usage, flags } = PrivPDFCLI.COMMANDS[command];
+        const output = PrivPDFPipeline.TERMINAL_TOOLS.includes(command)
+            ? `${'-o, --output <dir>'.padEnd(26)}folder for the output files (default: current folder)`
+            : `${'-o, --output <file>'.padEnd(26)}output file (default: ${PrivPDFCLI.OUTPUT_NAMES[command]})`;
+        const naming = `${'--naming <template>'.padEnd(26)}file names, e.g. {name}_{tool}_{date}; also {index}, {start}, {end}`;
+        const lines = Object.entries(flags).map(([name, flag]) => {
+            const value = flag.type === 'boolean' ? '' : ' <value>';
+            const values = flag.type === 'choice' ? `: ${flag.values.join(', ')}` : '';
+            const env = flag.env ? ` (or ${flag.env})` : '';
+            return `  ${`--${name}${value}`.padEnd(26)}${flag.help}${values}${env}`;
+        });
+
+        return [
+            `Usage: privpdf ${command} [flags] ${usage} [-o output]`,
+            '',
+            `${PrivPDFPipeline.TOOL_NAMES[command]}`,
+            '',
+            'Flags:',
+            ...lines,
+            `  ${output}`,
+            `  ${naming}`
+        ].join('\n');
+    }
+
+    // Returns the process exit code: 0 done, 1 failed, 2 bad arguments
+    async run(argv) {
+        let parsed;
+        try {
+            parsed = PrivPDFCLI.parseArgs(argv);
+        } catch (error) {
+            this.stderr.write(`privpdf: ${error.message}\n\n${PrivPDFCLI.getUsage()}\n`);
+            return 2;
+        }
+
+        if (parsed.help) {
+            this.stdout.write(`${PrivPDFCLI.getUsage(parsed.command)}\n`);
+            return 0;
+        }
+
+        try {
+            this.validate(parsed);
+        } catch (error) {
+            this.stderr.write(`privpdf ${parsed.command}: ${error.message}\n\n${PrivPDFCLI.getUsage(parsed.command)}\n`);
+            return 2;
+        }
+
+        try {
+            const written = await this.execute(parsed);
+            written.forEach(file => this.stdout.write(`${file}\n`));
+            return 0;
+        } catch (error) {
+            this.stderr.write(`privpdf ${parsed.command}: ${error.message}\n`);
+            return 1;
+        }
+    }
+
+    // Checks the website makes before it runs a tool
+    validate({ command, inputs, settings }) {
+        if (inputs.length === 0) {
+            throw new Error('No input files');
+        }
+        if (command === 'merge' && inputs.length < 2 && settings.mode !== 'interleave') {
+            throw new Error('Please give at least 2 PDF files to merge');
+        }
+        if (command === 'merge' && inputs.length > 2 && settings.mode === 'interleave') {
+            throw new Error('Interleaving takes two files, or one file with all fronts followed by all backs');
+        }
+        if (command !== 'merge' && command !== 'imagetopdf' && inputs.length > 1) {
+            throw new Error('Only one input file is accepted');
+        }
+
+        Object.entries(PrivPDFCLI.COMMANDS[command].flags).forEach(([name, flag]) => {
+            if (flag.required && settings[flag.setting] === undefined) {
+                throw new Error(`--${name} is required`);
+            }
+        });
+
+        if (command === 'rotate' && settings.all === undefined && settings.rotations === undefined) {
+            throw new Error('Give --all or --rotations');
+        }
+        if (command === 'split' && settings.method === 'pattern' && !settings.pattern) {
+            throw new Error('--method pattern needs --pattern');
+        }
+        if (command === 'split' && settings.dryRun && settings.method !== 'pattern') {
+            throw new Error('--dry-run needs --method pattern');
+        }
+        if (command === 'add' && settings.type === 'from-pdf' && !settings.source) {
+            throw new Error('--type from-pdf needs --source');
+        }
+        if (command === 'protect' && ['password', 'encryption'].includes(settings.method) &&
+            !settings.userPassword && !settings.ownerPassword) {
+            throw new Error('Password required for encryption');
+        }
+    }
+
+    // Runs the tool as a one-step pipeline and writes its output; returns the written paths
+    async execute({ command, inputs, output, naming = '', settings }) {
+        const options = { ...settings };
+        let stepInput;
+
+        if (command === 'imagetopdf') {
+            stepInput = await Promise.all(inputs.map(file => this.readImage(file)));
+        } else {
+            stepInput = inputs.map(file => PrivPDFCLI.readFile(file));
+        }
+        if (command === 'add' && options.source) {
+            options.source = PrivPDFCLI.readFile(options.source);
+        }
+        if (command === 'merge') {
+            options.names = inputs.map(file => path.basename(file));
+        }
+        if (command === 'split' && options.dryRun) {
+            await this.previewPatternSplit(stepInput[0], options, { naming, source: path.basename(inputs[0]), tool: command });
+            return [];
+        }
+
+        this.pipeline.clear();
+        this.pipeline.addStep(command, options);
+        const results = await this.pipeline.run(stepInput);
+
+        this.pipeline.engines
+            .filter(({ degraded }) => degraded)
+            .forEach(({ engine }) => this.stderr.write(`privpdf ${command}: warning: ${engine} does not encrypt - watermark and security metadata only\n`));
+        this.pipeline.warnings.forEach(warning => this.stderr.write(`privpdf ${command}: warning: ${warning}\n`));
+
+        // Output names follow the naming template the same way as on the website
+        const getName = (result, index) => PrivPDFZip.getOutputName(result, index, results.length, {
+            naming,
+            source: path.basename(inputs[0]),
+            tool: command
+        });
+
+        if (PrivPDFPipeline.TERMINAL_TOOLS.includes(command)) {
+            const folder = output || '.';
+            const names = new Set();
+            fs.mkdirSync(folder, { recursive: true });
+            return results.map((result, index) => {
+                const file = path.join(folder, PrivPDFZip.getUniqueName(getName(result, index), names));
+                fs.writeFileSync(file, result.bytes);
+                return file;
+            });
+        }
+
+        const file = output || getName({ filename: PrivPDFCLI.OUTPUT_NAMES[command] }, 0);
+        fs.writeFileSync(file, results[0].bytes);
+        return [file];
+    }
+
+    static readFile(file) {
+        try {
+            return new Uint8Array(fs.readFileSync(file));
+        } catch (error) {
+            throw new Error(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+        }
+    }
+
+    // JPEG and PNG are embedded as-is, other formats are re-encoded as PNG through a canvas
+    async readImage(file) {
+        const bytes = PrivPDFCLI.readFile(file);
+        const type = PrivPDFCLI.IMAGE_TYPES[path.extname(file).toLowerCase()];
+        if (type) {
+            return { bytes, type };
+        }
+
+        const Canvas = PrivPDFCLI.loadCanvas(`Converting ${path.basename(file)}`);
+        const image = await Canvas.loadImage(Buffer.from(bytes));
+        const canvas = Canvas.createCanvas(image.width, image.height);
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return { bytes: new Uint8Array(await canvas.encode('png')), type: 'image/png' };
+    }
+
+    // Page rendering needs a canvas, which Node does not have; @napi-rs/canvas is optional
+    // so the other tools install without a native package
+    static loadCanvas(purpose) {
+        try {
+            return require('@napi-rs/canvas');
+        } catch (error) {
+            throw new Error(`${purpose} needs the optional @napi-rs/canvas package: npm install @napi-rs/canvas`);
+        }
+    }
+
+    // A pdf.js document; Canvas (@napi-rs/canvas) is only needed to render pages
+    static async openDocument(bytes, Canvas = null) {
+        if (Canvas) {
+            // pdf.js looks these up as globals
+            globalThis.DOMMatrix = globalThis.DOMMatrix || Canvas.DOMMatrix;
+            globalThis.Path2D = globalThis.Path2D || Canvas.Path2D;
+        }
+        const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+        const pdfjsDir = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+        return await pdfjsLib.getDocument({
+            data: bytes.slice(),
+            // Canvases pdf.js creates itself, e.g. for patterns and masks
+            canvasFactory: Canvas && {
+                create: (width, height) => {
+                    const canvas = Canvas.createCanvas(width, height);
+                    return { canvas, context: canvas.getContext('2d') };
+                },
+                reset: (entry, width, height) => {
+                    entry.canvas.width = width;
+                    entry.canvas.height = height;
+                },
+                destroy: (entry) => {
+                    entry.canvas = null;
+                    entry.context = null;
+                }
+            },
+            // Fonts and character maps ship with pdfjs-dist
+            standardFontDataUrl: path.join(pdfjsDir, 'standard_fonts') + path.sep,
+            cMapUrl: path.join(pdfjsDir, 'cmaps') + path.sep,
+            cMapPacked: true
+        }).promise;
+    }
+
+    async renderPages(bytes, options) {
+        const Canvas = PrivPDFCLI.loadCanvas('PDF to Image');
+        const pdf = await PrivPDFCLI.openDocument(bytes, Canvas);
+
+        try {
+            return await this.operations.renderPages(pdf, options, {
+                create: (width, height) => Canvas.createCanvas(width, height),
+                encode: async (canvas, type, quality) => {
+                    const format = type.split('/')[1];
+                    const encoded = format === 'png' ? await canvas.encode('png') : await canvas.encode(format, Math.round(quality * 100));
+                    return new Uint8Array(encoded);
+                }
+            });
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    // List the parts a split by text pattern would make
+    async previewPatternSplit(bytes, options, naming) {
+        const matches = await this.findSeparators(bytes, { ...options, detect: 'text' });
+        const pdf = await this.operations.load(bytes);
+        const plan = PrivPDFOperations.planPatternParts(matches, pdf.getPageCount());
+        if (plan.length === 0) {
+            throw new Error('The pattern was not found in this PDF');
+        }
+
+        const names = new Set();
+        plan.forEach((part, index) => {
+            const { startPage, endPage } = part;
+            const pages = startPage === endPage ? `page ${startPage}` : `pages ${startPage}-${endPage}`;
+            const filename = PrivPDFZip.getUniqueName(PrivPDFZip.getOutputName(part, index, plan.length, naming), names);
+            this.stdout.write(`${pages.padEnd(16)}${filename}\n`);
+        });
+    }
+
+    // Text needs no canvas; blank pages are found on rendered pages. Node has no barcode
+    // reader, so findSeparators reports QR codes and barcodes as unsupported.
+    async findSeparators(bytes, options) {
+        let Canvas = null;
+        try {
+            Canvas = PrivPDFCLI.loadCanvas('Finding separator pages');
+        } catch (error) {
+            if (options.detect !== 'text') throw error;
+        }
+        const pdf = await PrivPDFCLI.openDocument(bytes, Canvas);
+
+        try {
+            return await this.operations.findSeparators(pdf, options, Canvas && {
+                create: (width, height) => Canvas.createCanvas(width, height)
+            });
+        } finally {
+            await pdf.destroy();
+        }
+    }
+}
+
+if (require.main === module) {
+    new PrivPDFCLI().run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = PrivPDFCLI;
@@ -1,11 +1,27 @@
 // Real Ghostscript WebAssembly PDF Compression
-// Using: @jspawn/ghostscript-wasm from jsDelivr CDN
+// Using: @jspawn/ghostscript-wasm, self-hosted in vendor/ghostscript with jsDelivr as fallback
+// When the module cannot be loaded, compression fails with an error: output is never simulated.
 
 class GhostscriptWASM {
     constructor() {
         this.gs = null;
         this.isLoaded = false;
         this.isLoading = false;
+        this.source = null;
+        this.error = null;
+    }
+
+    // Ghostscript release built into @jspawn/ghostscript-wasm 0.0.2
+    static get VERSION() {
+        return '9.56.0';
+    }
+
+    // Where the module is loaded from, in order. Paths are relative to the page or worker.
+    static get SOURCES() {
+        return [
+            { name: 'local', base: 'vendor/ghostscript/' },
+            { name: 'cdn', base: 'https://cdn.jsdelivr.net/npm/@jspawn/ghostscript-wasm@0.0.2/' }
+        ];
     }
 
     async loadModule(progressCallback = null) {
@@ -15,78 +31,95 @@ class GhostscriptWASM {
             while (this.isLoading) {
                 await new Promise(resolve => setTimeout(resolve, 100));
             }
+            if (!this.isLoaded) {
+                throw new Error(`Failed to load Ghostscript WASM: ${this.error}`);
+            }
             return;
         }
 
         this.isLoading = true;
+        this.error = null;
 
         try {
             // Update progress
             if (progressCallback) progressCallback('Downloading Ghostscript WASM (16MB)...', 10);
 
-            // Load the real Ghostscript WASM module from CDN
+            // Load the real Ghostscript WASM module, self-hosted copy first
             await this.loadRealModule(progressCallback);
 
             this.isLoaded = true;
             this.isLoading = false;
         } catch (error) {
             this.isLoading = false;
+            this.error = error.message;
             throw new Error(`Failed to load Ghostscript WASM: ${error.message}`);
         }
     }
 
     async loadRealModule(progressCallback) {
-        try {
-            // Import the Ghostscript WASM module from CDN
-            if (progressCallback) progressCallback('Loading Ghostscript module...', 20);
-            
-            // Use dynamic import to load the ES module
-            const { default: initGhostscript } = await import('https://cdn.jsdelivr.net/npm/@jspawn/ghostscript-wasm@0.0.2/gs.mjs');
-            
-            if (progressCallback) progressCallback('Initializing WebAssembly...', 40);
-            
-            // Initialize Ghostscript with CDN location
-            this.gs = await initGhostscript({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@jspawn/ghostscript-wasm@0.0.2/${file}`,
-                print: (text) => console.log('Ghostscript:', text),
-                printErr: (text) => console.warn('Ghostscript Error:', text),
-                noInitialRun: true
-            });
-            
-            if (progressCallback) progressCallback('Ghostscript WASM ready!', 100);
-            
-            // Create compression interface
-            this.module = {
-                compress: this.compressPDF.bind(this)
-            };
-            
-        } catch (error) {
-            // Fallback to mock implementation if CDN fails
-            console.warn('Failed to load real Ghostscript WASM, using fallback:', error);
-            if (progressCallback) progressCallback('Using fallback compression...', 50);
-            await this.loadMockModule(progressCallback);
+        // Under Node (tests, scripts) the engine comes straight from node_modules
+        if (typeof self === 'undefined' && typeof require === 'function') {
+            return await this.loadNodeModule(progressCallback);
         }
-    }
-
-    async loadMockModule(progressCallback) {
-        // Simulate downloading and loading WASM module
-        const steps = [
-            { text: 'Downloading Ghostscript WASM...', progress: 20 },
-            { text: 'Initializing WebAssembly...', progress: 40 },
-            { text: 'Setting up virtual filesystem...', progress: 60 },
-            { text: 'Loading Ghostscript engine...', progress: 80 },
-            { text: 'Ready for compression!', progress: 100 }
-        ];
 
-        for (const step of steps) {
-            if (progressCallback) progressCallback(step.text, step.progress);
-            await new Promise(resolve => setTimeout(resolve, 500));
+        for (const source of GhostscriptWASM.SOURCES) {
+            try {
+                if (progressCallback) progressCallback(`Loading Ghostscript module (${source.name})...`, 20);
+
+                // Use dynamic import to load the ES module; resolve against the page or worker URL
+                const base = new URL(source.base, self.location.href).href;
+                const { default: initGhostscript } = await import(base + 'gs.mjs');
+
+                if (progressCallback) progressCallback('Initializing WebAssembly...', 40);
+
+                this.gs = await initGhostscript({
+                    locateFile: (file) => base + file,
+                    // Ghostscript's stdout is only page progress; errors still go to the console
+                    print: () => {},
+                    printErr: (text) => console.warn('Ghostscript Error:', text),
+                    noInitialRun: true
+                });
+                this.source = source.name;
+
+                if (progressCallback) progressCallback('Ghostscript WASM ready!', 100);
+
+                // Create compression interface
+                this.module = {
+                    compress: this.compressPDF.bind(this)
+                };
+                return;
+            } catch (error) {
+                console.warn(`Failed to load Ghostscript WASM from ${source.name}:`, error);
+            }
         }
 
-        // Mock module with compression capabilities
+        // No simulated engine: compression is reported as unavailable instead
+        throw new Error('Ghostscript WASM could not be loaded from any source');
+    }
+
+    async loadNodeModule(progressCallback) {
+        const fs = require('fs');
+        const initGhostscript = require('@jspawn/ghostscript-wasm');
+        const wasm = fs.readFileSync(require.resolve('@jspawn/ghostscript-wasm/gs.wasm'));
+
+        if (progressCallback) progressCallback('Initializing WebAssembly...', 40);
+
+        // Emscripten would fetch() the .wasm path, which Node cannot do for local files
+        this.gs = await initGhostscript({
+            instantiateWasm: (imports, done) => {
+                WebAssembly.instantiate(wasm, imports).then(({ instance }) => done(instance));
+                return {};
+            },
+            print: () => {},
+            printErr: (text) => console.warn('Ghostscript Error:', text),
+            noInitialRun: true
+        });
+        this.source = 'node_modules';
         this.module = {
             compress: this.compressPDF.bind(this)
         };
+
+        if (progressCallback) progressCallback('Ghostscript WASM ready!', 100);
     }
 
     async compressPDF(pdfData, quality = 'ebook', progressCallback = null, statusCallback = null) {
@@ -110,13 +143,10 @@ class GhostscriptWASM {
             
             if (statusCallback) statusCallback(`Compressing with ${settings.description}...`);
 
-            // If real Ghostscript is available, use it
-            if (this.gs && this.gs.callMain && this.gs.FS) {
-                return await this.realGhostscriptCompression(pdfData, settings, progressCallback, statusCallback);
-            } else {
-                // Fallback to mock compression
-                return await this.mockCompression(pdfData, quality, progressCallback, statusCallback);
+            if (!this.gs || !this.gs.callMain || !this.gs.FS) {
+                throw new Error('Ghostscript WASM is not available');
             }
+            return await this.realGhostscriptCompression(pdfData, settings, progressCallback, statusCallback);
 
         } catch (error) {
             if (statusCallback) statusCallback(`Compression failed: ${error.message}`);
@@ -152,7 +182,10 @@ class GhostscriptWASM {
             setTimeout(() => {
                 try {
                     if (progressCallback) progressCallback('Ghostscript processing...', 60);
-                    this.gs.callMain(args);
+                    const exitCode = this.gs.callMain(args);
+                    if (exitCode) {
+                        throw new Error(`Ghostscript exited with code ${exitCode}`);
+                    }
                     resolve();
                 } catch (error) {
                     reject(error);
@@ -183,41 +216,9 @@ class GhostscriptWASM {
             compressedSize: compressedData.length,
             reduction: ((1 - compressedData.length / pdfData.byteLength) * 100).toFixed(1),
             quality: settings.description,
-            method: 'Real Ghostscript WASM'
-        };
-    }
-
-    async mockCompression(pdfData, quality, progressCallback, statusCallback) {
-        // Fallback mock compression (existing implementation)
-        if (statusCallback) statusCallback('Using fallback compression...');
-        
-        const compressionSteps = [
-            { text: 'Loading PDF into memory...', progress: 10 },
-            { text: 'Analyzing PDF structure...', progress: 25 },
-            { text: 'Compressing images...', progress: 45 },
-            { text: 'Optimizing fonts...', progress: 65 },
-            { text: 'Removing metadata...', progress: 80 },
-            { text: 'Generating compressed PDF...', progress: 95 },
-            { text: 'Compression complete!', progress: 100 }
-        ];
-
-        for (const step of compressionSteps) {
-            if (progressCallback) progressCallback(step.text, step.progress);
-            await new Promise(resolve => setTimeout(resolve, 200));
-        }
-
-        // Simulate compression
-        const compressionRatio = this.getCompressionRatio(quality);
-        const compressedData = await this.simulateCompression(pdfData, compressionRatio);
-
-        return {
-            success: true,
-            data: compressedData,
-            originalSize: pdfData.byteLength,
-            compressedSize: compressedData.byteLength,
-            reduction: ((1 - compressedData.byteLength / pdfData.byteLength) * 100).toFixed(1),
-            quality: this.getQualityDescription(quality),
-            method: 'Mock Compression (Fallback)'
+            method: 'Real Ghostscript WASM',
+            engine: this.getEngineName(),
+            degraded: false
         };
     }
 
@@ -231,44 +232,32 @@ class GhostscriptWASM {
         return descriptions[quality] || descriptions['ebook'];
     }
 
-    getCompressionRatio(quality) {
-        const ratios = {
-            'screen': 0.3,    // 70% reduction
-            'ebook': 0.5,     // 50% reduction  
-            'printer': 0.7,   // 30% reduction
-            'prepress': 0.85  // 15% reduction
-        };
-        return ratios[quality] || ratios['ebook'];
-    }
-
-    async simulateCompression(pdfData, ratio) {
-        // In a real implementation, this would be handled by Ghostscript WASM
-        // For now, we simulate by creating a smaller buffer with PDF structure intact
-        
-        // Keep PDF header and structure markers
-        const header = new Uint8Array(pdfData.slice(0, Math.min(1024, pdfData.byteLength)));
-        const footer = new Uint8Array(pdfData.slice(-Math.min(1024, pdfData.byteLength)));
-        
-        const targetSize = Math.floor(pdfData.byteLength * ratio);
-        const simulatedData = new Uint8Array(targetSize);
-        
-        // Copy header
-        simulatedData.set(header.slice(0, Math.min(header.length, targetSize / 2)));
-        
-        // Copy footer at the end
-        if (targetSize > footer.length) {
-            simulatedData.set(footer, targetSize - footer.length);
-        }
-        
-        return simulatedData;
-    }
-
     getStatus() {
         if (this.isLoading) return 'loading';
         if (this.isLoaded) return 'ready';
+        if (this.error) return 'error';
         return 'not-loaded';
     }
+
+    getEngineName() {
+        return `Ghostscript ${GhostscriptWASM.VERSION} (WASM)`;
+    }
+
+    getCapabilities() {
+        return {
+            engine: this.getEngineName(),
+            status: this.getStatus(),
+            source: this.source,
+            isReal: this.isLoaded,
+            error: this.error
+        };
+    }
 }
 
-// Export for use in main application
-window.GhostscriptWASM = GhostscriptWASM;
\ No newline at end of file
+// Export for use in main application, in the worker and under Node
+if (typeof window !== 'undefined') {
+    window.GhostscriptWASM = GhostscriptWASM;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GhostscriptWASM;
+}
\ No newline at end of file
@@ -1,9 +1,11 @@
 // PDF Protection Implementation
 // Combining multiple approaches for browser-based PDF security
+// Every result names the engine that produced it; degraded: true marks protection that is
+// not encryption (watermarks, metadata), so the UI can say so.
 
 class PDFProtection {
     constructor() {
-        this.cryptoAPI = window.crypto || window.webkitCrypto;
+        this.cryptoAPI = globalThis.crypto || globalThis.webkitCrypto;
         this.supportsWebCrypto = !!(this.cryptoAPI && this.cryptoAPI.subtle);
         
         // Initialize QPDF for real password protection
@@ -14,7 +16,10 @@ class PDFProtection {
     async initQPDF() {
         try {
             // Dynamically load QPDF encryption module
-            if (!window.QPDFEncryption) {
+            if (typeof QPDFEncryption === 'undefined' && typeof importScripts === 'function') {
+                // Inside a Web Worker
+                importScripts('qpdf-encryption.js');
+            } else if (typeof QPDFEncryption === 'undefined' && typeof document !== 'undefined') {
                 const script = document.createElement('script');
                 script.src = 'qpdf-encryption.js';
                 document.head.appendChild(script);
@@ -26,14 +31,34 @@ class PDFProtection {
                 });
             }
             
-            if (window.QPDFEncryption) {
+            if (typeof QPDFEncryption !== 'undefined') {
                 this.qpdfEncryption = new QPDFEncryption();
+            } else if (typeof module !== 'undefined' && module.exports) {
+                // Under Node
+                const NodeQPDFEncryption = require('./qpdf-encryption.js');
+                this.qpdfEncryption = new NodeQPDFEncryption();
             }
         } catch (error) {
             console.warn('QPDF encryption not available:', error);
         }
     }
 
+    // Load the QPDF engine ahead of use; resolves to false when it cannot be loaded
+    async loadQPDF(progressCallback = null) {
+        if (!this.qpdfEncryption) {
+            await this.initQPDF();
+        }
+        if (!this.qpdfEncryption) return false;
+
+        try {
+            await this.qpdfEncryption.loadModule(progressCallback);
+            return true;
+        } catch (error) {
+            console.warn('QPDF engine could not be loaded:', error);
+            return false;
+        }
+    }
+
     // Main protection method that tries multiple approaches
     async protectPDF(pdfData, options = {}) {
         const {
@@ -51,11 +76,11 @@ class PDFProtection {
         try {
             // Try different protection methods based on availability
             if (method === 'auto') {
-                // Try real password protection first with QPDF
-                if (this.qpdfEncryption && (userPassword || ownerPassword)) {
+                // Passwords mean real encryption with QPDF; there is no silent fallback
+                if (userPassword || ownerPassword) {
                     return await this.protectWithQPDF(pdfData, options);
                 }
-                // Fall back to PDF-lib for standard protection
+                // Without passwords only watermark and metadata protection are possible
                 return await this.protectWithPDFLib(pdfData, options);
             } else if (method === 'password') {
                 // Real password protection using QPDF
@@ -75,50 +100,35 @@ class PDFProtection {
         }
     }
 
-    // QPDF-based real password protection
+    // QPDF-based real password protection. Fails when QPDF is not available rather than
+    // handing back a file that only looks protected. options.onProgress hears how loading goes.
     async protectWithQPDF(pdfData, options) {
-        if (!this.qpdfEncryption) {
-            // Try to initialize QPDF if not already done
-            await this.initQPDF();
-            if (!this.qpdfEncryption) {
-                // Fall back to PDF-lib if QPDF not available
-                return await this.protectWithPDFLib(pdfData, options);
-            }
+        const loaded = await this.loadQPDF(options.onProgress);
+        if (!loaded) {
+            throw new Error('Password encryption needs the QPDF engine, which could not be loaded. Nothing was encrypted.');
         }
 
-        try {
-            // Load QPDF module if needed
-            await this.qpdfEncryption.loadModule((message, progress) => {
-                console.log(`QPDF Loading: ${message} (${progress}%)`);
-            });
-
-            // Encrypt with real password protection
-            const result = await this.qpdfEncryption.encryptPDF(pdfData, {
-                userPassword: options.userPassword,
-                ownerPassword: options.ownerPassword || options.userPassword,
-                encryptionMethod: 'AES-256',
-                permissions: options.permissions
-            });
-
-            return {
-                success: true,
-                data: result.data,
-                method: result.method || 'QPDF AES-256 Password Protection',
-                isEncrypted: true,
-                requiresPassword: true,
-                isRealEncryption: result.isRealEncryption,
-                originalSize: pdfData.byteLength,
-                protectedSize: result.data.byteLength,
-                note: result.isRealEncryption ? 
-                    'Real password protection applied - requires password to open in any PDF viewer' : 
-                    result.note || 'Protection applied'
-            };
+        // Encrypt with real password protection
+        const result = await this.qpdfEncryption.encryptPDF(pdfData, {
+            userPassword: options.userPassword,
+            ownerPassword: options.ownerPassword || options.userPassword,
+            encryptionMethod: 'AES-256',
+            permissions: options.permissions
+        });
 
-        } catch (error) {
-            console.error('QPDF protection failed:', error);
-            // Fall back to PDF-lib
-            return await this.protectWithPDFLib(pdfData, options);
-        }
+        return {
+            success: true,
+            data: result.data,
+            method: result.method || 'QPDF AES-256 Password Protection',
+            engine: result.engine,
+            degraded: false,
+            isEncrypted: true,
+            requiresPassword: true,
+            isRealEncryption: true,
+            originalSize: pdfData.byteLength,
+            protectedSize: result.data.byteLength,
+            note: 'Real password protection applied - requires password to open in any PDF viewer'
+        };
     }
 
     // Web Crypto API based encryption (most secure)
@@ -184,6 +194,8 @@ class PDFProtection {
                 success: true,
                 data: protectedContainer,
                 method: 'AES-256-GCM Encryption',
+                engine: 'Web Crypto AES-256-GCM',
+                degraded: false,
                 isEncrypted: true,
                 requiresPassword: true,
                 originalSize: pdfData.byteLength,
@@ -259,46 +271,24 @@ class PDFProtection {
             // Add permission metadata
             pdf.setSubject(`Protected PDF - Permissions: ${JSON.stringify(options.permissions)}`);
 
-            // Configure save options with encryption if passwords are provided
-            const saveOptions = {
+            // PDF-lib cannot encrypt: passwords are not applied here
+            const protectedBytes = await pdf.save({
                 useObjectStreams: true,
                 addDefaultPage: false,
                 objectsPerTick: 50
-            };
-
-            // Add password encryption if available
-            if (options.userPassword || options.ownerPassword) {
-                try {
-                    // Try to add encryption - PDF-lib may support this
-                    if (options.userPassword) {
-                        saveOptions.userPassword = options.userPassword;
-                    }
-                    if (options.ownerPassword) {
-                        saveOptions.ownerPassword = options.ownerPassword;
-                    }
-                    
-                    // Set permissions
-                    if (options.permissions) {
-                        saveOptions.permissions = options.permissions;
-                    }
-                } catch (encError) {
-                    console.warn('PDF-lib encryption not supported, using watermark protection only');
-                }
-            }
-
-            const protectedBytes = await pdf.save(saveOptions);
+            });
 
             return {
                 success: true,
                 data: protectedBytes,
-                method: 'PDF-lib Protection' + (options.userPassword || options.ownerPassword ? ' (Password + Watermark)' : ' (Watermark + Metadata)'),
-                isEncrypted: !!(options.userPassword || options.ownerPassword),
-                requiresPassword: !!(options.userPassword || options.ownerPassword),
+                method: 'PDF-lib Protection (Watermark + Metadata)',
+                engine: 'PDF-lib',
+                degraded: true,
+                isEncrypted: false,
+                requiresPassword: false,
                 originalSize: pdfData.byteLength,
                 protectedSize: protectedBytes.length,
-                note: options.userPassword || options.ownerPassword ? 
-                    'PDF protected with password and watermark - may require PDF-lib encryption support' : 
-                    'Limited protection - adds watermark and security metadata'
+                note: 'Not encrypted - adds a watermark and security metadata only'
             };
 
         } catch (error) {
@@ -394,7 +384,8 @@ class PDFProtection {
 
     // Parse encrypted container format
     parseEncryptedContainer(containerData) {
-        const view = new DataView(containerData.buffer);
+        // The container may be a view into a larger buffer
+        const view = new DataView(containerData.buffer, containerData.byteOffset, containerData.byteLength);
         let offset = 0;
 
         // Read metadata length
@@ -402,21 +393,21 @@ class PDFProtection {
         offset += 4;
 
         // Read metadata
-        const metadataBytes = new Uint8Array(containerData.buffer, offset, metadataLength);
+        const metadataBytes = containerData.subarray(offset, offset + metadataLength);
         const metadataStr = new TextDecoder().decode(metadataBytes);
         const metadata = JSON.parse(metadataStr);
         offset += metadataLength;
 
         // Read salt (16 bytes)
-        const salt = new Uint8Array(containerData.buffer, offset, 16);
+        const salt = containerData.subarray(offset, offset + 16);
         offset += 16;
 
         // Read IV (12 bytes for GCM)
-        const iv = new Uint8Array(containerData.buffer, offset, 12);
+        const iv = containerData.subarray(offset, offset + 12);
         offset += 12;
 
         // Read encrypted data
-        const encryptedData = new Uint8Array(containerData.buffer, offset);
+        const encryptedData = containerData.subarray(offset);
 
         return { metadata, salt, iv, encryptedData };
     }
@@ -456,6 +447,8 @@ class PDFProtection {
                 success: true,
                 data: protectedBytes,
                 method: 'Watermark Protection',
+                engine: 'PDF-lib',
+                degraded: true,
                 isEncrypted: false,
                 requiresPassword: false,
                 originalSize: pdfData.byteLength,
@@ -494,6 +487,8 @@ class PDFProtection {
                 success: true,
                 data: protectedBytes,
                 method: 'Metadata Protection',
+                engine: 'PDF-lib',
+                degraded: true,
                 isEncrypted: false,
                 requiresPassword: false,
                 originalSize: pdfData.byteLength,
@@ -512,12 +507,12 @@ class PDFProtection {
             // Check if it's our encrypted container format
             if (data.byteLength < 32) return false;
             
-            const view = new DataView(data.buffer);
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
             const metadataLength = view.getUint32(0, true);
             
             // Basic validation
             if (metadataLength > 0 && metadataLength < data.byteLength) {
-                const metadataBytes = new Uint8Array(data.buffer, 4, metadataLength);
+                const metadataBytes = data.subarray(4, 4 + metadataLength);
                 const metadataStr = new TextDecoder().decode(metadataBytes);
                 const metadata = JSON.parse(metadataStr);
                 return metadata.encryption === 'AES-256-GCM';
@@ -572,5 +567,10 @@ class PDFProtection {
     }
 }
 
-// Export for use in main application
-window.PDFProtection = PDFProtection;
\ No newline at end of file
+// Export for use in main application, in the worker and under Node
+if (typeof window !== 'undefined') {
+    window.PDFProtection = PDFProtection;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PDFProtection;
+}
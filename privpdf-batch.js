@@ -0,0 +1,102 @@
+// PrivPDF Batch - run one tool over many files with the same settings
+// Files are processed one at a time; a failing file is recorded and the batch
+// moves on to the next one.
+
+class PrivPDFBatch {
+    // process(bytes, file, signal) resolves to the output bytes for one file
+    constructor({ process, suffix = 'processed' }) {
+        if (typeof process !== 'function') {
+            throw new Error('Batch needs a process function');
+        }
+        this.process = process;
+        this.suffix = suffix;
+    }
+
+    static isPDF(file) {
+        return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+    }
+
+    // Path inside the folder that was picked, or just the file name
+    static getPath(file) {
+        return file.webkitRelativePath || file.path || file.name;
+    }
+
+    // reports/q1.pdf -> reports/q1_watermarked.pdf
+    static getOutputPath(path, suffix) {
+        const dot = path.lastIndexOf('.');
+        const base = dot > path.lastIndexOf('/') ? path.slice(0, dot) : path;
+        return `${base}_${suffix}.pdf`;
+    }
+
+    static async readBytes(file) {
+        if (file.bytes instanceof Uint8Array) return file.bytes;
+        return new Uint8Array(await file.arrayBuffer());
+    }
+
+    // onProgress({ index, total, result }) fires when a file starts and when it finishes.
+    // Aborting the signal stops the whole batch with an AbortError; no results are returned.
+    async run(files, { onProgress, signal = null } = {}) {
+        const results = files.map(file => ({
+            file,
+            path: PrivPDFBatch.getPath(file),
+            status: 'waiting',
+            bytes: null,
+            error: null
+        }));
+        const report = (index) => {
+            if (onProgress) onProgress({ index, total: results.length, result: results[index] });
+        };
+
+        for (let i = 0; i < results.length; i++) {
+            const result = results[i];
+            if (signal && signal.aborted) {
+                throw new DOMException('Batch cancelled', 'AbortError');
+            }
+            result.status = 'processing';
+            report(i);
+
+            try {
+                const bytes = await this.process(await PrivPDFBatch.readBytes(result.file), result.file, signal);
+                result.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+                result.outputPath = PrivPDFBatch.getOutputPath(result.path, this.suffix);
+                result.status = 'done';
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                result.error = error.message || String(error);
+                result.status = 'error';
+            }
+            report(i);
+        }
+
+        return results;
+    }
+
+    // All successful outputs in one ZIP, keeping the folder structure. Failed files are
+    // listed in the manifest. options (including engines) are passed on to PrivPDFZip.bundle.
+    static createArchive(results, options = {}) {
+        const Zip = typeof PrivPDFZip !== 'undefined' ? PrivPDFZip : require('./privpdf-zip.js');
+
+        const outputs = results.filter(result => result.status === 'done').map(result => {
+            const slash = result.outputPath.lastIndexOf('/');
+            return {
+                filename: result.outputPath.slice(slash + 1),
+                folder: result.outputPath.slice(0, Math.max(slash, 0)),
+                bytes: result.bytes,
+                source: result.path
+            };
+        });
+        const errors = results
+            .filter(result => result.status === 'error')
+            .map(result => ({ source: result.path, error: result.error }));
+
+        return Zip.bundle(outputs, { ...options, errors });
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFBatch = PrivPDFBatch;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFBatch;
+}
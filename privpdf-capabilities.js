@@ -0,0 +1,130 @@
+// PrivPDF Capabilities - which engine each tool runs on, and whether that engine is the real thing
+// Every operation asks the registry before it runs. An engine that could not be loaded blocks
+// its tools with an error instead of handing back simulated output.
+
+class PrivPDFCapabilities {
+    constructor({ pdfLib = null, ghostscript = null, pdfProtection = null } = {}) {
+        this.pdfLib = pdfLib;
+        this.ghostscript = ghostscript;
+        this.pdfProtection = pdfProtection;
+    }
+
+    // Operation (as run by PrivPDFWorkerHost) -> engine it needs
+    static get TOOLS() {
+        return {
+            merge: 'pdflib',
+            split: 'pdflib',
+            extractPages: 'pdflib',
+            deletePages: 'pdflib',
+            rotatePages: 'pdflib',
+            reorderPages: 'pdflib',
+            addPages: 'pdflib',
+            organize: 'pdflib',
+            watermark: 'pdflib',
+            normalize: 'pdflib',
+            imagesToPDF: 'pdflib',
+            compress: 'ghostscript',
+            protect: 'qpdf',
+            decrypt: 'webcrypto'
+        };
+    }
+
+    // Protection only needs QPDF for real password encryption; the other methods run elsewhere
+    static getEngine(operation, args = []) {
+        if (operation === 'protect') {
+            const { method = 'auto', userPassword, ownerPassword } = args[1] || {};
+            if (method === 'password' || (method === 'auto' && (userPassword || ownerPassword))) return 'qpdf';
+            return method === 'encryption' ? 'webcrypto' : 'pdflib';
+        }
+        return PrivPDFCapabilities.TOOLS[operation] || null;
+    }
+
+    // { engine: { name, status, source?, note? } } where status is
+    //   'real'        - loaded and doing what the tool promises
+    //   'not-loaded'  - loads on first use
+    //   'loading'
+    //   'unavailable' - could not be loaded; tools that need it are blocked
+    getStatus() {
+        return {
+            pdflib: {
+                name: 'PDF-lib',
+                status: this.pdfLib ? 'real' : 'unavailable',
+                note: this.pdfLib ? undefined : 'PDF-lib could not be loaded'
+            },
+            ghostscript: this.getWASMStatus(this.ghostscript && this.ghostscript.getCapabilities(), 'Ghostscript'),
+            qpdf: this.getWASMStatus(this.pdfProtection && this.pdfProtection.qpdfEncryption &&
+                this.pdfProtection.qpdfEncryption.getCapabilities(), 'QPDF'),
+            webcrypto: {
+                name: 'Web Crypto AES-256-GCM',
+                status: this.pdfProtection && this.pdfProtection.supportsWebCrypto ? 'real' : 'unavailable',
+                note: 'Encrypted containers open only in PrivPDF'
+            }
+        };
+    }
+
+    getWASMStatus(capabilities, name) {
+        if (!capabilities) {
+            return { name, status: 'unavailable', note: `${name} engine script not loaded` };
+        }
+
+        const status = {
+            ready: 'real',
+            loading: 'loading',
+            error: 'unavailable'
+        }[capabilities.status] || 'not-loaded';
+        return {
+            name: capabilities.engine,
+            status,
+            source: capabilities.source || undefined,
+            note: capabilities.error || undefined
+        };
+    }
+
+    // { operation: { engine, name, status, note? } }. Protection stays usable as 'degraded'
+    // without QPDF: watermark, metadata and container methods still work, but nothing is
+    // encrypted as a standard PDF.
+    getCapabilities() {
+        const engines = this.getStatus();
+        const capabilities = {};
+
+        Object.entries(PrivPDFCapabilities.TOOLS).forEach(([operation, engine]) => {
+            capabilities[operation] = { engine, ...engines[engine] };
+        });
+        if (capabilities.protect.status === 'unavailable') {
+            capabilities.protect.status = 'degraded';
+            capabilities.protect.note = 'Password encryption unavailable; only watermark, metadata and container protection';
+        }
+        return capabilities;
+    }
+
+    // Load the engine an operation needs and return its status. Throws when the engine is
+    // unavailable, so the operation never runs on a stand-in.
+    async require(operation, args = [], onProgress = null) {
+        const engine = PrivPDFCapabilities.getEngine(operation, args);
+        if (!engine) return null;
+
+        try {
+            if (engine === 'ghostscript' && this.ghostscript) {
+                await this.ghostscript.loadModule(onProgress);
+            } else if (engine === 'qpdf' && this.pdfProtection) {
+                await this.pdfProtection.loadQPDF(onProgress);
+            }
+        } catch (error) {
+            console.warn(`${engine} could not be loaded:`, error);
+        }
+
+        const status = this.getStatus()[engine];
+        if (status.status !== 'real') {
+            throw new Error(`${status.name} is not available${status.note ? ` (${status.note})` : ''}. Nothing was changed.`);
+        }
+        return status;
+    }
+}
+
+// Export for use in the browser, the worker and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFCapabilities = PrivPDFCapabilities;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFCapabilities;
+}
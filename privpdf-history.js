@@ -0,0 +1,79 @@
+// PrivPDF History - command-based undo/redo
+// A command is { label, do(), undo() }; execute() runs it and puts it on the undo stack
+
+class PrivPDFHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.listeners = [];
+    }
+
+    execute(command) {
+        command.do();
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.notify();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.do();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Labels of the next undo/redo commands, for button tooltips
+    peek() {
+        return {
+            undo: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redo: this.redoStack[this.redoStack.length - 1]?.label || null
+        };
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFHistory = PrivPDFHistory;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFHistory;
+}
@@ -0,0 +1,117 @@
+// PrivPDF Offline - installs the service worker (sw.js) and reports which engines work offline
+// Libraries and WASM engines are self-hosted in vendor/ (see scripts/vendor.js). An engine works
+// offline once all of its local files are in the service worker cache.
+
+class PrivPDFOffline {
+    constructor({ serviceWorker = 'sw.js' } = {}) {
+        this.serviceWorker = serviceWorker;
+        this.registration = null;
+    }
+
+    // Bump to make every client download a fresh copy of the app
+    static get CACHE_NAME() {
+        return 'privpdf-v1';
+    }
+
+    // The app shell, precached by sw.js
+    static get APP_FILES() {
+        return [
+            './',
+            'index.html',
+            'manifest.webmanifest',
+            'icon.svg',
+            'ghostscript-wasm.js',
+            'qpdf-encryption.js',
+            'pdf-protection.js',
+            'compress-simple.js',
+            'privpdf-operations.js',
+            'privpdf-outline.js',
+            'privpdf-capabilities.js',
+            'privpdf-pipeline.js',
+            'privpdf-recipe.js',
+            'privpdf-history.js',
+            'privpdf-sortable.js',
+            'privpdf-zip.js',
+            'privpdf-workspace.js',
+            'privpdf-storage.js',
+            'privpdf-batch.js',
+            'privpdf-worker.js',
+            'privpdf-worker-client.js',
+            'privpdf-offline.js',
+            'privpdf.js'
+        ];
+    }
+
+    // Local files each engine needs, also precached by sw.js
+    static get ENGINES() {
+        return {
+            pdfjs: { label: 'PDF.js (viewing, page previews)', files: ['vendor/pdfjs/pdf.min.js', 'vendor/pdfjs/pdf.worker.min.js'] },
+            pdflib: { label: 'PDF-lib (editing)', files: ['vendor/pdf-lib/pdf-lib.min.js'] },
+            jspdf: { label: 'jsPDF (image to PDF)', files: ['vendor/jspdf/jspdf.umd.min.js'] },
+            ghostscript: {
+                label: 'Ghostscript (compression)',
+                files: ['vendor/ghostscript/gs.mjs', 'vendor/ghostscript/gs.js', 'vendor/ghostscript/browser.js', 'vendor/ghostscript/gs.wasm']
+            },
+            qpdf: {
+                label: 'QPDF (encryption)',
+                files: ['vendor/qpdf/qpdf.mjs', 'vendor/qpdf/qpdf.js', 'vendor/qpdf/browser.js', 'vendor/qpdf/qpdf.wasm']
+            }
+        };
+    }
+
+    static get PRECACHE_FILES() {
+        const engineFiles = Object.values(PrivPDFOffline.ENGINES).flatMap(engine => engine.files);
+        return [...PrivPDFOffline.APP_FILES, ...engineFiles];
+    }
+
+    // Service workers need http(s); pages opened from file:// simply stay online-only
+    async register() {
+        if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || location.protocol === 'file:') {
+            return false;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.serviceWorker);
+            await navigator.serviceWorker.ready;
+            return true;
+        } catch (error) {
+            console.warn('Service worker could not be registered, offline mode unavailable:', error);
+            return false;
+        }
+    }
+
+    // { name: { label, status } } where status is
+    //   'offline' - every local file is cached, works with the network unplugged
+    //   'local'   - served from this site, but not cached yet
+    //   'online'  - local copy missing, loaded from a CDN when the network is up
+    async getEngineStatus() {
+        const status = {};
+        for (const [name, engine] of Object.entries(PrivPDFOffline.ENGINES)) {
+            status[name] = { label: engine.label, status: await this.getFilesStatus(engine.files) };
+        }
+        return status;
+    }
+
+    async getFilesStatus(files) {
+        if (typeof caches !== 'undefined') {
+            const cache = await caches.open(PrivPDFOffline.CACHE_NAME);
+            const cached = await Promise.all(files.map(file => cache.match(file)));
+            if (cached.every(Boolean)) return 'offline';
+        }
+
+        try {
+            const responses = await Promise.all(files.map(file => fetch(file, { method: 'HEAD', cache: 'no-store' })));
+            return responses.every(response => response.ok) ? 'local' : 'online';
+        } catch (error) {
+            return 'online';
+        }
+    }
+}
+
+// Export for use in the browser, the service worker and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFOffline = PrivPDFOffline;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFOffline;
+}
@@ -0,0 +1,1096 @@
+// PrivPDF Operations - DOM-free PDF processing core
+// Every tool takes Uint8Array inputs plus an options object and returns bytes,
+// so the same code runs behind the UI, from scripts and under Node.
+// Long-running tools also take an optional task { signal, onProgress(message, percent) }:
+// progress is measured in pages or bytes, and an aborted signal stops the work with an
+// AbortError before any output is returned.
+
+class PrivPDFOperations {
+    constructor(pdfLib = null) {
+        this.PDFLib = pdfLib || (typeof PDFLib !== 'undefined' ? PDFLib : null);
+        if (!this.PDFLib) {
+            throw new Error('PDF-lib is required for PrivPDF operations');
+        }
+    }
+
+    // Parse "1,3-5,7" into sorted, de-duplicated zero-based page indices
+    static parsePageRange(range, maxPage) {
+        const pages = [];
+        const parts = range.split(',');
+
+        for (const part of parts) {
+            const trimmed = part.trim();
+            if (trimmed.includes('-')) {
+                const [start, end] = trimmed.split('-').map(n => parseInt(n.trim()) - 1);
+                for (let i = start; i <= Math.min(end, maxPage - 1); i++) {
+                    if (i >= 0 && i < maxPage) pages.push(i);
+                }
+            } else {
+                const page = parseInt(trimmed) - 1;
+                if (page >= 0 && page < maxPage) pages.push(page);
+            }
+        }
+
+        return [...new Set(pages)].sort((a, b) => a - b);
+    }
+
+    // Page sizes in PDF points (portrait)
+    static get PAGE_SIZES() {
+        return {
+            a4: [595, 842],
+            letter: [612, 792],
+            legal: [612, 1008]
+        };
+    }
+
+    // Anchor point and rotation for a text watermark of the given position
+    static getWatermarkPlacement(position, width, height) {
+        let x = width / 2;
+        let y = height / 2;
+        let rotation = 0;
+
+        if (position === 'diagonal') {
+            rotation = -45;
+        } else if (position === 'top-left') {
+            x = 50;
+            y = height - 50;
+        } else if (position === 'top-right') {
+            x = width - 150;
+            y = height - 50;
+        } else if (position === 'bottom-left') {
+            x = 50;
+            y = 50;
+        } else if (position === 'bottom-right') {
+            x = width - 150;
+            y = 50;
+        }
+
+        return { x, y, rotation };
+    }
+
+    // Report progress and honour cancellation between units of work. The first 90% are
+    // for the work itself, the rest for saving. Yields now and then so a Cancel click or
+    // a worker message can be handled while the operation runs.
+    static async checkpoint(task, message, done, total) {
+        if (!task) return;
+        PrivPDFOperations.throwIfCancelled(task);
+        if (task.onProgress) {
+            task.onProgress(message, total ? Math.round(Math.min(done / total, 1) * 90) : 0);
+        }
+
+        if (!task.lastYield || Date.now() - task.lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            task.lastYield = Date.now();
+            PrivPDFOperations.throwIfCancelled(task);
+        }
+    }
+
+    static throwIfCancelled(task) {
+        if (task && task.signal && task.signal.aborted) {
+            throw new DOMException('Operation cancelled', 'AbortError');
+        }
+    }
+
+    // One-based page numbers must point at pages of the document
+    static checkPageNumbers(pages, pageCount) {
+        for (const page of pages) {
+            if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+                throw new Error(`Page ${page} does not exist (the PDF has ${pageCount} page${pageCount === 1 ? '' : 's'})`);
+            }
+        }
+    }
+
+    // Save a document, making sure a cancelled task never returns its bytes
+    async save(pdf, task) {
+        PrivPDFOperations.throwIfCancelled(task);
+        if (task && task.onProgress) task.onProgress('Saving PDF...', 90);
+        const bytes = await pdf.save();
+        PrivPDFOperations.throwIfCancelled(task);
+        return bytes;
+    }
+
+    async load(bytes) {
+        return await this.PDFLib.PDFDocument.load(bytes);
+    }
+
+    // Turn a page further by a multiple of 90 degrees, on top of its own rotation
+    rotateBy(page, degrees) {
+        if (degrees % 360 === 0) return;
+        page.setRotation(this.PDFLib.degrees(((page.getRotation().angle + degrees) % 360 + 360) % 360));
+    }
+
+    // Copy the given zero-based page indices of a loaded document into a new PDF
+    async copyToNewDocument(pdf, indices) {
+        const newPdf = await this.PDFLib.PDFDocument.create();
+        const pages = await newPdf.copyPages(pdf, indices);
+        pages.forEach(page => newPdf.addPage(page));
+        return await newPdf.save();
+    }
+
+    // options.names are the input file names, used for the bookmark each file gets. With
+    // bookmarks every file's own outline is kept below that bookmark; tableOfContents adds
+    // contents pages at the front that link to where each file starts. options.ranges and
+    // options.rotations hold a page range ("1-3, 7", empty for all pages) and a rotation in
+    // degrees for each file.
+    // mode 'interleave' merges duplex scans page by page instead: fronts and backs from two
+    // files, or from one file holding all fronts followed by all backs (see getInterleaveOrder).
+    // With options.pageSize every page is put on that size (see normalize).
+    async merge(inputs, options = {}, task = null) {
+        if (!inputs || inputs.length === 0) {
+            throw new Error('No PDF files to merge');
+        }
+
+        const { names = [], ranges = [], rotations = [], bookmarks = true, tableOfContents = false } = options;
+        const interleave = options.mode === 'interleave';
+        if (interleave && inputs.length > 2) {
+            throw new Error('Interleaving takes two files, or one file with all fronts followed by all backs');
+        }
+        const Outline = typeof PrivPDFOutline !== 'undefined' ? PrivPDFOutline : require('./privpdf-outline.js');
+        const mergedPdf = await this.PDFLib.PDFDocument.create();
+        const totalBytes = inputs.reduce((sum, input) => sum + input.byteLength, 0);
+        const files = [];
+        let doneBytes = 0;
+
+        for (let i = 0; i < inputs.length; i++) {
+            await PrivPDFOperations.checkpoint(task, `Merging file ${i + 1} of ${inputs.length}...`, doneBytes, totalBytes);
+
+            const pdf = await this.load(inputs[i]);
+            const title = names[i] ? names[i].split('/').pop().replace(/\.pdf$/i, '') : `Document ${i + 1}`;
+            const range = (ranges[i] || '').trim();
+            const indices = range ? PrivPDFOperations.parsePageRange(range, pdf.getPageCount()) : pdf.getPageIndices();
+            if (indices.length === 0) {
+                throw new Error(`No valid pages in "${range}" for ${title}`);
+            }
+
+            const pages = await mergedPdf.copyPages(pdf, indices);
+            pages.forEach(page => this.rotateBy(page, rotations[i] || 0));
+
+            // Bookmarks find their page by its index in the source file
+            const copies = [];
+            indices.forEach((index, n) => { copies[index] = pages[n]; });
+            files.push({ title, pages, copies, outline: bookmarks ? Outline.read(pdf, this.PDFLib) : [] });
+            doneBytes += inputs[i].byteLength;
+        }
+
+        if (interleave) {
+            this.addInterleaved(mergedPdf, files, options);
+        } else {
+            files.forEach(file => file.pages.forEach(page => mergedPdf.addPage(page)));
+        }
+
+        // Files do not start on pages of their own once interleaved
+        const contents = tableOfContents && !interleave ? await this.addTableOfContents(mergedPdf, files) : null;
+        if (bookmarks) {
+            const items = files.map(file => ({
+                title: file.title,
+                pageRef: file.pages.length > 0 ? file.pages[0].ref : null,
+                view: [],
+                open: true,
+                children: Outline.relink(file.outline, file.copies)
+            }));
+            if (contents) items.unshift({ title: 'Contents', pageRef: contents.ref, view: [], children: [] });
+            Outline.write(mergedPdf, items, this.PDFLib);
+        }
+        if (options.pageSize) {
+            await this.normalizePages(mergedPdf, options, task);
+        }
+
+        return await this.save(mergedPdf, task);
+    }
+
+    // Put every page on one page size without rasterizing: each page's content is embedded and
+    // drawn onto the resized page, so bookmarks and links to the page keep working. pageSize is a
+    // key of PAGE_SIZES or 'first' for the size of the first page; see getNormalizedPlacement
+    // for fit and autoRotate.
+    async normalize(input, options = {}, task = null) {
+        const pdf = await this.load(input);
+        await this.normalizePages(pdf, options, task);
+        return await this.save(pdf, task);
+    }
+
+    async normalizePages(pdf, { pageSize = 'a4', fit = 'fit', autoRotate = false } = {}, task = null) {
+        const pages = pdf.getPages();
+        if (pages.length === 0) return;
+
+        const target = pageSize === 'first' ? PrivPDFOperations.getVisibleSize(pages[0]) : PrivPDFOperations.PAGE_SIZES[pageSize];
+        if (!target) {
+            throw new Error(`Unknown page size: ${pageSize}`);
+        }
+
+        for (let i = 0; i < pages.length; i++) {
+            await PrivPDFOperations.checkpoint(task, `Resizing page ${i + 1} of ${pages.length}...`, i, pages.length);
+            await this.normalizePage(pdf, pages[i], target, { fit, autoRotate });
+        }
+    }
+
+    // Width and height of a page as shown, after its rotation
+    static getVisibleSize(page) {
+        const { width, height } = page.getCropBox();
+        return page.getRotation().angle % 180 === 0 ? [width, height] : [height, width];
+    }
+
+    // Where a page's content goes on the target page. The content turns by the page's own
+    // rotation (clockwise, as /Rotate), plus a quarter turn with autoRotate when its orientation
+    // differs from the target's. fit 'fit' scales it to fit, 'fill' to cover the page (cropping
+    // the overflow), 'center' keeps its size; it is centered either way. matrix maps content
+    // coordinates, with (0, 0) at the crop box corner, onto the target page.
+    static getNormalizedPlacement({ width, height, rotation = 0 }, [targetWidth, targetHeight], { fit = 'fit', autoRotate = false } = {}) {
+        let turn = ((rotation % 360) + 360) % 360;
+        let [visibleWidth, visibleHeight] = turn % 180 === 0 ? [width, height] : [height, width];
+        if (autoRotate && visibleWidth !== visibleHeight && (visibleWidth > visibleHeight) !== (targetWidth > targetHeight)) {
+            turn = (turn + 90) % 360;
+            [visibleWidth, visibleHeight] = [visibleHeight, visibleWidth];
+        }
+
+        const scales = [targetWidth / visibleWidth, targetHeight / visibleHeight];
+        const scale = fit === 'fill' ? Math.max(...scales) : fit === 'center' ? 1 : Math.min(...scales);
+        const x = (targetWidth - visibleWidth * scale) / 2;
+        const y = (targetHeight - visibleHeight * scale) / 2;
+
+        // Cosine and sine of the clockwise turn, and where the turned content's corner ends up
+        const [cos, sin] = { 0: [1, 0], 90: [0, -1], 180: [-1, 0], 270: [0, 1] }[turn];
+        const [dx, dy] = { 0: [0, 0], 90: [0, width], 180: [width, height], 270: [height, 0] }[turn];
+        return {
+            turn,
+            scale,
+            matrix: [scale * cos, scale * sin, -scale * sin, scale * cos, x + dx * scale, y + dy * scale]
+        };
+    }
+
+    async normalizePage(pdf, page, [targetWidth, targetHeight], options) {
+        const { PDFName, PDFArray, PDFDict, PDFNumber, degrees, pushGraphicsState, popGraphicsState,
+            concatTransformationMatrix, drawObject } = this.PDFLib;
+        const box = page.getCropBox();
+        const rotation = page.getRotation().angle;
+        const { turn, scale, matrix } = PrivPDFOperations.getNormalizedPlacement(
+            { width: box.width, height: box.height, rotation }, [targetWidth, targetHeight], options);
+
+        // Pages that already have the target size stay untouched
+        const unchanged = turn === 0 && rotation % 360 === 0 && scale === 1 && box.x === 0 && box.y === 0 &&
+            Math.abs(box.width - targetWidth) < 0.5 && Math.abs(box.height - targetHeight) < 0.5;
+        if (unchanged) return;
+
+        // Embed now: embedding at save time would read the replaced content. Blank pages have
+        // nothing to embed.
+        const context = pdf.context;
+        if (page.node.Contents()) {
+            const embedded = await pdf.embedPage(page, { left: box.x, bottom: box.y, right: box.x + box.width, top: box.y + box.height });
+            await embedded.embed();
+            const content = context.contentStream([
+                pushGraphicsState(),
+                concatTransformationMatrix(...matrix),
+                drawObject('Page'),
+                popGraphicsState()
+            ]);
+            page.node.set(PDFName.of('Contents'), context.register(content));
+            page.node.set(PDFName.of('Resources'), context.obj({ XObject: { Page: embedded.ref } }));
+        }
+        ['CropBox', 'BleedBox', 'TrimBox', 'ArtBox'].forEach(name => page.node.delete(PDFName.of(name)));
+        page.setMediaBox(0, 0, targetWidth, targetHeight);
+        page.setRotation(degrees(0));
+
+        // Links and other annotations move with the content
+        const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+        const [a, b, c, d, e, f] = matrix;
+        for (let i = 0; annots && i < annots.size(); i++) {
+            const annot = annots.lookupMaybe(i, PDFDict);
+            const rect = annot && annot.lookupMaybe(PDFName.of('Rect'), PDFArray);
+            if (!rect || rect.size() !== 4) continue;
+
+            const [x1, y1, x2, y2] = rect.asArray().map(value => value instanceof PDFNumber ? value.asNumber() : 0);
+            const corners = [[x1, y1], [x1, y2], [x2, y1], [x2, y2]].map(([u, v]) => {
+                const [cu, cv] = [u - box.x, v - box.y];
+                return [a * cu + c * cv + e, b * cu + d * cv + f];
+            });
+            const xs = corners.map(([x]) => x);
+            const ys = corners.map(([, y]) => y);
+            annot.set(PDFName.of('Rect'), context.obj([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]));
+        }
+    }
+
+    // Page order of an interleaved merge as [side, index] pairs (side 0 fronts, 1 backs), null
+    // for a blank page. reverseBacks is for backs scanned last page first. With unequal counts the
+    // leftover pages go at the end ('append'), or blank pages keep every sheet two-sided ('blank').
+    static getInterleaveOrder(frontCount, backCount, { reverseBacks = false, unequal = 'append' } = {}) {
+        const backs = [...Array(backCount).keys()];
+        if (reverseBacks) backs.reverse();
+
+        const order = [];
+        const paired = Math.min(frontCount, backCount);
+        for (let i = 0; i < paired; i++) {
+            order.push([0, i], [1, backs[i]]);
+        }
+
+        for (let i = paired; i < Math.max(frontCount, backCount); i++) {
+            const front = i < frontCount ? [0, i] : null;
+            const back = i < backCount ? [1, backs[i]] : null;
+            if (unequal === 'blank') {
+                order.push(front, back);
+            } else {
+                order.push(front || back);
+            }
+        }
+        return order;
+    }
+
+    // Add the copied pages of one file (first half fronts) or two files (fronts, backs) interleaved
+    addInterleaved(pdf, files, options) {
+        let fronts = files[0].pages;
+        let backs = files.length > 1 ? files[1].pages : [];
+        if (files.length === 1) {
+            const half = Math.ceil(fronts.length / 2);
+            [fronts, backs] = [fronts.slice(0, half), fronts.slice(half)];
+        }
+
+        const sides = [fronts, backs];
+        const order = PrivPDFOperations.getInterleaveOrder(fronts.length, backs.length, options);
+        order.forEach((entry, n) => {
+            if (entry) {
+                pdf.addPage(sides[entry[0]][entry[1]]);
+            } else {
+                // Blank pages are only added in pairs, so the other side of the sheet is a page
+                const [side, index] = order[n % 2 === 0 ? n + 1 : n - 1];
+                const { width, height } = sides[side][index].getSize();
+                pdf.addPage([width, height]);
+            }
+        });
+    }
+
+    // Contents pages inserted at the front, sized like the first page; each line links to the
+    // first page of its file and shows that page's number in the finished document. Returns
+    // the first contents page.
+    async addTableOfContents(pdf, files) {
+        const { StandardFonts, rgb } = this.PDFLib;
+        const font = await pdf.embedFont(StandardFonts.Helvetica);
+        const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+        const first = pdf.getPageCount() > 0 ? pdf.getPage(0) : null;
+        const [width, height] = first ? [first.getWidth(), first.getHeight()] : PrivPDFOperations.PAGE_SIZES.a4;
+
+        const margin = 56;
+        const lineHeight = 22;
+        const top = height - margin - 48;
+        const perPage = Math.max(1, Math.floor((top - margin) / lineHeight));
+        const tocPages = Math.ceil(files.length / perPage);
+
+        // Standard fonts only cover WinAnsi; other characters are shown as '?'
+        const characters = new Set(font.getCharacterSet());
+        const printable = (text) => [...text].map(char => characters.has(char.codePointAt(0)) ? char : '?').join('');
+        const fit = (text, maxWidth) => {
+            let fitted = printable(text);
+            while (fitted.length > 1 && font.widthOfTextAtSize(fitted, 12) > maxWidth) {
+                fitted = fitted.slice(0, -2) + '…';
+            }
+            return fitted;
+        };
+
+        let startPage = tocPages + 1;
+        for (let p = 0; p < tocPages; p++) {
+            const page = pdf.insertPage(p, [width, height]);
+            if (p === 0) {
+                page.drawText('Contents', { x: margin, y: height - margin - 20, size: 20, font: bold, color: rgb(0, 0, 0) });
+            }
+
+            files.slice(p * perPage, (p + 1) * perPage).forEach((file, line) => {
+                const y = top - line * lineHeight;
+                const number = String(startPage);
+                const numberWidth = font.widthOfTextAtSize(number, 12);
+                page.drawText(fit(file.title, width - 2 * margin - numberWidth - 24), { x: margin, y, size: 12, font, color: rgb(0, 0, 0) });
+                page.drawText(number, { x: width - margin - numberWidth, y, size: 12, font, color: rgb(0, 0, 0) });
+
+                if (file.pages.length > 0) {
+                    const link = pdf.context.register(pdf.context.obj({
+                        Type: 'Annot',
+                        Subtype: 'Link',
+                        Rect: [margin, y - 6, width - margin, y + lineHeight - 8],
+                        Border: [0, 0, 0],
+                        Dest: [file.pages[0].ref, 'XYZ', null, null, null]
+                    }));
+                    page.node.addAnnot(link);
+                }
+                startPage += file.pages.length;
+            });
+        }
+
+        return pdf.getPage(0);
+    }
+
+    async split(input, options = {}, task = null) {
+        const {
+            method = 'pages', // 'single', 'pages', 'range', 'size', 'bookmarks', 'separators', 'pattern'
+            pagesPerDoc = 1,
+            ranges = '',
+            maxSize = 10 * 1024 * 1024,
+            level = 1,
+            separators = [],
+            dropSeparators = true,
+            matches = []
+        } = options;
+
+        const pdf = await this.load(input);
+        const totalPages = pdf.getPageCount();
+        const parts = [];
+        const skipped = [];
+        const oversized = [];
+
+        const addPart = async (startPage, endPage, filename) => {
+            await PrivPDFOperations.checkpoint(task, `Creating ${filename}...`, startPage - 1, totalPages);
+            const indices = Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage - 1 + i);
+            const bytes = await this.copyToNewDocument(pdf, indices);
+            parts.push({ filename, bytes, startPage, endPage });
+        };
+
+        // Parts named after bookmarks or separator values can share a name
+        const names = new Set();
+        const getUniqueName = (base) => PrivPDFOperations.getUniqueName(base, names);
+
+        if (method === 'single') {
+            // Extract each page as a separate PDF
+            for (let i = 1; i <= totalPages; i++) {
+                await addPart(i, i, `page_${i}.pdf`);
+            }
+
+        } else if (method === 'pages') {
+            // Split by page count
+            const count = parseInt(pagesPerDoc);
+
+            if (!(count > 0) || count > totalPages) {
+                throw new Error('Invalid page count. Please enter a valid number.');
+            }
+
+            for (let i = 1; i <= totalPages; i += count) {
+                const endPage = Math.min(i + count - 1, totalPages);
+                await addPart(i, endPage, `pages_${i}-${endPage}.pdf`);
+            }
+
+        } else if (method === 'range') {
+            // Split by custom ranges
+            if (!ranges.trim()) {
+                throw new Error('Please enter page ranges (e.g., 1-3, 4-6)');
+            }
+
+            for (const range of ranges.split(',').map(r => r.trim())) {
+                // Parse range (e.g., "1-3" or "5")
+                let startPage, endPage;
+
+                if (range.includes('-')) {
+                    const bounds = range.split('-').map(n => parseInt(n.trim()));
+                    startPage = bounds[0];
+                    endPage = bounds[1];
+                } else {
+                    startPage = endPage = parseInt(range);
+                }
+
+                // Validate range
+                if (isNaN(startPage) || isNaN(endPage) ||
+                    startPage < 1 || endPage > totalPages ||
+                    startPage > endPage) {
+                    skipped.push(range);
+                    continue;
+                }
+
+                const filename = startPage === endPage
+                    ? `page_${startPage}.pdf`
+                    : `pages_${startPage}-${endPage}.pdf`;
+                await addPart(startPage, endPage, filename);
+            }
+
+            if (parts.length === 0) {
+                throw new Error('No valid ranges found. Please check your input.');
+            }
+
+        } else if (method === 'size') {
+            // Split by the saved size of each part (maxSize in bytes). A page that is larger than
+            // that on its own still becomes a part and is reported in oversized.
+            const limit = Number(maxSize);
+            if (!(limit > 0)) {
+                throw new Error('Please enter a maximum file size');
+            }
+
+            for (let startPage = 1; startPage <= totalPages;) {
+                const { endPage, bytes } = await this.fitPagesInSize(pdf, startPage, limit, task);
+                if (bytes.length > limit) oversized.push({ page: startPage, size: bytes.length });
+                parts.push({ filename: `part_${parts.length + 1}.pdf`, bytes, startPage, endPage });
+                startPage = endPage + 1;
+            }
+
+        } else if (method === 'bookmarks') {
+            // One part per bookmark of the outline level (1 for the top level), named after it and
+            // keeping the bookmarks below it (see getOutlineSections)
+            const Outline = typeof PrivPDFOutline !== 'undefined' ? PrivPDFOutline : require('./privpdf-outline.js');
+            const outline = Outline.read(pdf, this.PDFLib);
+            if (outline.length === 0) {
+                throw new Error('This PDF has no bookmarks to split at');
+            }
+            const sections = PrivPDFOperations.getOutlineSections(outline, parseInt(level), totalPages);
+            if (sections.length === 0) {
+                throw new Error('None of the bookmarks lead to a page of this PDF');
+            }
+
+            for (const { title, startPage, endPage, children } of sections) {
+                const filename = getUniqueName(PrivPDFOperations.getFileTitle(title || 'front_matter'));
+                await PrivPDFOperations.checkpoint(task, `Creating ${filename}...`, startPage - 1, totalPages);
+                const part = await this.PDFLib.PDFDocument.create();
+                const indices = Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage - 1 + i);
+                const copies = await part.copyPages(pdf, indices);
+                copies.forEach(page => part.addPage(page));
+
+                // relink expects the copy of page i at index i
+                const pages = [];
+                copies.forEach((page, i) => { pages[indices[i]] = page; });
+                Outline.write(part, Outline.relink(children, pages), this.PDFLib);
+
+                parts.push({ filename, bytes: await part.save(), startPage, endPage, bookmark: title });
+            }
+
+        } else if (method === 'separators') {
+            // Parts between separator pages, as findSeparators returns them ([{ page, value }]).
+            // Each part is named after the value of the separator in front of it; separator pages
+            // are left out with dropSeparators, otherwise each one opens its part.
+            const starts = new Map(separators
+                .filter(({ page }) => page >= 1 && page <= totalPages)
+                .map(({ page, value }) => [page, value || '']));
+            if (starts.size === 0) {
+                throw new Error('No separator pages found');
+            }
+
+            const groups = [{ value: '', pages: [] }];
+            for (let page = 1; page <= totalPages; page++) {
+                if (starts.has(page)) {
+                    groups.push({ value: starts.get(page), pages: [] });
+                    if (dropSeparators) continue;
+                }
+                groups[groups.length - 1].pages.push(page);
+            }
+
+            for (const { value, pages } of groups.filter(group => group.pages.length > 0)) {
+                const base = value ? PrivPDFOperations.getFileTitle(value) : `part_${parts.length + 1}`;
+                await addPart(pages[0], pages[pages.length - 1], getUniqueName(base));
+                parts[parts.length - 1].separator = value;
+            }
+            if (parts.length === 0) {
+                throw new Error('Every page is a separator page');
+            }
+
+        } else if (method === 'pattern') {
+            // A part from every page a text pattern matched (see planPatternParts)
+            const plan = PrivPDFOperations.planPatternParts(matches, totalPages);
+            if (plan.length === 0) {
+                throw new Error('The pattern was not found in this PDF');
+            }
+
+            for (const { startPage, endPage, groups, filename } of plan) {
+                await addPart(startPage, endPage, filename);
+                parts[parts.length - 1].groups = groups;
+            }
+
+        } else {
+            throw new Error(`Unknown split method: ${method}`);
+        }
+
+        PrivPDFOperations.throwIfCancelled(task);
+        return { parts, skipped, oversized };
+    }
+
+    // Page ranges of a bookmark split as [{ title, startPage, endPage, children }], from an
+    // outline as PrivPDFOutline.read returns it. Every bookmark down to the level starts a part, so
+    // the opening pages of a chapter do not end up in the previous chapter's last section; a
+    // bookmark followed by another on the same page gives way to it. Only parts made at the level
+    // itself keep their children. Pages before the first bookmark get a part with a null title.
+    static getOutlineSections(outline, level, totalPages) {
+        if (!(level >= 1)) {
+            throw new Error('Please choose a bookmark level of 1 or more');
+        }
+
+        const starts = [];
+        const walk = (items, depth) => items.forEach(item => {
+            if (item.pageIndex !== null && item.pageIndex < totalPages) {
+                starts.push({ title: item.title, pageIndex: item.pageIndex, children: depth === level ? item.children : [] });
+            }
+            if (depth < level) walk(item.children, depth + 1);
+        });
+        walk(outline, 1);
+        if (starts.length === 0) return [];
+
+        // Outlines are usually in page order, but not always
+        starts.sort((a, b) => a.pageIndex - b.pageIndex);
+        const sections = [];
+        if (starts[0].pageIndex > 0) sections.push({ title: null, startPage: 1, children: [] });
+        starts.forEach((start, i) => {
+            const next = starts[i + 1];
+            if (next && next.pageIndex === start.pageIndex) return;
+            sections.push({ title: start.title, startPage: start.pageIndex + 1, children: start.children });
+        });
+        return sections.map((section, i) => ({
+            ...section,
+            endPage: i + 1 < sections.length ? sections[i + 1].startPage - 1 : totalPages
+        }));
+    }
+
+    // A bookmark title or found value as a file name
+    static getFileTitle(title) {
+        return title.replace(/[\\/:*?"<>|\x00-\x1F]+/g, '_').replace(/\s+/g, ' ').trim().slice(0, 100) || 'part';
+    }
+
+    // base.pdf, or base_2.pdf and so on when names (a Set, updated) already has it
+    static getUniqueName(base, names) {
+        let filename = `${base}.pdf`;
+        for (let n = 2; names.has(filename.toLowerCase()); n++) filename = `${base}_${n}.pdf`;
+        names.add(filename.toLowerCase());
+        return filename;
+    }
+
+    // Parts of a split by text pattern as [{ startPage, endPage, groups, filename }]: every page
+    // the pattern matched ([{ page, groups }] from findSeparators) starts one, named after the
+    // first group; the naming template can use {1}, {2}... instead. Pages before the first match
+    // are the front matter. Also shows the parts before a split is made.
+    static planPatternParts(matches, totalPages) {
+        const starts = matches
+            .filter(({ page }) => page >= 1 && page <= totalPages)
+            .sort((a, b) => a.page - b.page);
+        if (starts.length === 0) return [];
+
+        const plan = starts.map(({ page, groups = [] }) => ({
+            startPage: page,
+            groups,
+            name: groups[1] || groups[0] || ''
+        }));
+        if (starts[0].page > 1) plan.unshift({ startPage: 1, groups: [], name: 'front_matter' });
+
+        const names = new Set();
+        return plan.map(({ startPage, groups, name }, i) => ({
+            startPage,
+            endPage: i + 1 < plan.length ? plan[i + 1].startPage - 1 : totalPages,
+            groups,
+            filename: PrivPDFOperations.getUniqueName(name.trim() ? PrivPDFOperations.getFileTitle(name) : `part_${i + 1}`, names)
+        }));
+    }
+
+    // The longest run of pages from startPage whose saved copy fits in maxSize, as
+    // { endPage, bytes }. Pages share fonts and images and differ widely in size, so copies are
+    // measured: the run doubles until it no longer fits, then is narrowed down. It always holds
+    // at least startPage, even when that page alone is too large.
+    async fitPagesInSize(pdf, startPage, maxSize, task = null) {
+        const totalPages = pdf.getPageCount();
+        const copy = async (endPage) => {
+            await PrivPDFOperations.checkpoint(task, `Measuring pages ${startPage}-${endPage}...`, startPage - 1, totalPages);
+            const indices = Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage - 1 + i);
+            return { endPage, bytes: await this.copyToNewDocument(pdf, indices) };
+        };
+
+        let fits = await copy(startPage);
+        if (fits.bytes.length > maxSize) return fits;
+
+        let tooLarge = null;
+        for (let count = 2; !tooLarge && fits.endPage < totalPages; count *= 2) {
+            const part = await copy(Math.min(startPage + count - 1, totalPages));
+            if (part.bytes.length <= maxSize) fits = part;
+            else tooLarge = part.endPage;
+        }
+        while (tooLarge && tooLarge - fits.endPage > 1) {
+            const part = await copy(Math.floor((fits.endPage + tooLarge) / 2));
+            if (part.bytes.length <= maxSize) fits = part;
+            else tooLarge = part.endPage;
+        }
+        return fits;
+    }
+
+    // pages: one-based page numbers to keep, in any order
+    async extractPages(input, options = {}) {
+        const { pages = [] } = options;
+        const indices = [...pages].map(p => p - 1).sort((a, b) => a - b);
+
+        if (indices.length === 0) {
+            throw new Error('Please select pages to extract');
+        }
+
+        const pdf = await this.load(input);
+        PrivPDFOperations.checkPageNumbers(pages, pdf.getPageCount());
+        return await this.copyToNewDocument(pdf, indices);
+    }
+
+    // rotations: Map or plain object of one-based page number -> degrees added to that page
+    // all: degrees added to the current rotation of every page; a page in both turns by the sum
+    async rotatePages(input, options = {}) {
+        const { rotations = {}, all = 0 } = options;
+        const entries = rotations instanceof Map ? [...rotations] : Object.entries(rotations);
+        const pdf = await this.load(input);
+        PrivPDFOperations.checkPageNumbers(entries.map(([pageNum]) => Number(pageNum)), pdf.getPageCount());
+
+        pdf.getPages().forEach(page => this.rotateBy(page, all));
+        entries.forEach(([pageNum, rotation]) => this.rotateBy(pdf.getPage(parseInt(pageNum) - 1), rotation));
+
+        return await pdf.save();
+    }
+
+    // order: one-based page numbers in their new order
+    async reorderPages(input, options = {}) {
+        const { order = [] } = options;
+        const pdf = await this.load(input);
+
+        if (order.length === 0) {
+            throw new Error('No page order given');
+        }
+        PrivPDFOperations.checkPageNumbers(order, pdf.getPageCount());
+
+        return await this.copyToNewDocument(pdf, order.map(p => p - 1));
+    }
+
+    // pages: one-based page numbers to remove
+    async deletePages(input, options = {}) {
+        const toDelete = new Set(options.pages || []);
+        const pdf = await this.load(input);
+        PrivPDFOperations.checkPageNumbers(toDelete, pdf.getPageCount());
+
+        const pagesToKeep = [];
+        for (let i = 1; i <= pdf.getPageCount(); i++) {
+            if (!toDelete.has(i)) {
+                pagesToKeep.push(i - 1);
+            }
+        }
+
+        if (pagesToKeep.length === 0) {
+            throw new Error('Cannot delete all pages');
+        }
+
+        return await this.copyToNewDocument(pdf, pagesToKeep);
+    }
+
+    async addPages(input, options = {}) {
+        const {
+            type = 'blank', // 'blank', 'from-pdf'
+            count = 1,
+            position = 'end', // 'start', 'end', 'after'
+            afterPage = 1,
+            source = null
+        } = options;
+
+        const pdf = await this.load(input);
+
+        let insertIndex = pdf.getPageCount();
+        if (position === 'start') {
+            insertIndex = 0;
+        } else if (position === 'after') {
+            insertIndex = Math.min(Math.max(parseInt(afterPage), 0), pdf.getPageCount());
+        }
+
+        if (type === 'blank') {
+            for (let i = 0; i < parseInt(count); i++) {
+                pdf.insertPage(insertIndex + i);
+            }
+        } else {
+            if (!source) {
+                throw new Error('Please select a source PDF');
+            }
+
+            const sourcePdf = await this.load(source);
+            const pages = await pdf.copyPages(sourcePdf, sourcePdf.getPageIndices());
+
+            pages.forEach((page, i) => {
+                pdf.insertPage(insertIndex + i, page);
+            });
+        }
+
+        return await pdf.save();
+    }
+
+    // Build new documents page by page from several sources. documents is
+    // [{ name, pages: [{ source, page, rotation }] }] where source indexes inputs, page is
+    // 1-based and rotation is added to the page's own. A page may be used any number of times.
+    // Returns one { filename, bytes } per document that has pages.
+    async organize(inputs, options = {}, task = null) {
+        const documents = (options.documents || []).filter(doc => doc.pages && doc.pages.length > 0);
+        if (documents.length === 0) {
+            throw new Error('No pages to export');
+        }
+
+        const total = inputs.length + documents.length;
+        const sources = [];
+        for (let i = 0; i < inputs.length; i++) {
+            await PrivPDFOperations.checkpoint(task, `Loading file ${i + 1} of ${inputs.length}...`, i, total);
+            sources.push(await this.load(inputs[i]));
+        }
+
+        const outputs = [];
+        for (let d = 0; d < documents.length; d++) {
+            const { name, pages } = documents[d];
+            await PrivPDFOperations.checkpoint(task, `Building document ${d + 1} of ${documents.length}...`, inputs.length + d, total);
+
+            pages.forEach(({ source, page }) => {
+                if (!sources[source]) {
+                    throw new Error(`Unknown source document: ${source}`);
+                }
+                if (!Number.isInteger(page) || page < 1 || page > sources[source].getPageCount()) {
+                    throw new Error(`Page ${page} does not exist in source document ${source + 1}`);
+                }
+            });
+
+            // One copy per source document, handed out in the order the pages are used
+            const pdf = await this.PDFLib.PDFDocument.create();
+            const copies = new Map();
+            for (const source of new Set(pages.map(entry => entry.source))) {
+                const indices = pages.filter(entry => entry.source === source).map(entry => entry.page - 1);
+                copies.set(source, await pdf.copyPages(sources[source], indices));
+            }
+
+            pages.forEach(({ source, rotation = 0 }) => {
+                const page = copies.get(source).shift();
+                this.rotateBy(page, rotation);
+                pdf.addPage(page);
+            });
+
+            outputs.push({ filename: name || `document_${d + 1}.pdf`, bytes: await this.save(pdf, task) });
+        }
+
+        return outputs;
+    }
+
+    async watermark(input, options = {}, task = null) {
+        const {
+            type = 'text',
+            text = 'WATERMARK',
+            opacity = 0.3,
+            position = 'center',
+            pages = 'all', // 'all', 'first', 'last', 'custom'
+            range = ''
+        } = options;
+
+        const pdf = await this.load(input);
+        const pageCount = pdf.getPageCount();
+
+        let pagesToWatermark = [];
+        if (pages === 'all') {
+            pagesToWatermark = Array.from({ length: pageCount }, (_, i) => i);
+        } else if (pages === 'first') {
+            pagesToWatermark = [0];
+        } else if (pages === 'last') {
+            pagesToWatermark = [pageCount - 1];
+        } else if (pages === 'custom') {
+            pagesToWatermark = PrivPDFOperations.parsePageRange(range, pageCount);
+        }
+
+        if (type === 'text') {
+            const font = await pdf.embedFont(this.PDFLib.StandardFonts.HelveticaBold);
+
+            for (let i = 0; i < pagesToWatermark.length; i++) {
+                await PrivPDFOperations.checkpoint(task, `Watermarking page ${i + 1} of ${pagesToWatermark.length}...`, i, pagesToWatermark.length);
+
+                const page = pdf.getPage(pagesToWatermark[i]);
+                const { width, height } = page.getSize();
+                const { x, y, rotation } = PrivPDFOperations.getWatermarkPlacement(position, width, height);
+
+                page.drawText(text || 'WATERMARK', {
+                    x: x,
+                    y: y,
+                    size: 50,
+                    font: font,
+                    color: this.PDFLib.rgb(0.5, 0.5, 0.5),
+                    opacity: opacity,
+                    rotate: this.PDFLib.degrees(rotation)
+                });
+            }
+        }
+
+        return await this.save(pdf, task);
+    }
+
+    // images: [{ bytes, type }] where type is 'image/jpeg' or 'image/png';
+    // other formats must be converted to PNG by the caller
+    async imagesToPDF(images, options = {}, task = null) {
+        const {
+            pageSize = 'a4', // 'a4', 'letter', 'legal', 'fit'
+            orientation = 'portrait', // 'portrait', 'landscape', 'auto'
+            margin = 10
+        } = options;
+
+        if (!images || images.length === 0) {
+            throw new Error('No images to convert');
+        }
+
+        const pdf = await this.PDFLib.PDFDocument.create();
+        const totalBytes = images.reduce((sum, image) => sum + image.bytes.byteLength, 0);
+        let doneBytes = 0;
+
+        for (const { bytes, type } of images) {
+            await PrivPDFOperations.checkpoint(task, `Adding image ${pdf.getPageCount() + 1} of ${images.length}...`, doneBytes, totalBytes);
+            doneBytes += bytes.byteLength;
+            let image;
+
+            if (type === 'image/jpeg' || type === 'image/jpg') {
+                image = await pdf.embedJpg(bytes);
+            } else if (type === 'image/png') {
+                image = await pdf.embedPng(bytes);
+            } else {
+                throw new Error(`Unsupported image type: ${type}`);
+            }
+
+            let [pageWidth, pageHeight] = PrivPDFOperations.PAGE_SIZES[pageSize] || [image.width, image.height];
+
+            if (orientation === 'landscape' || (orientation === 'auto' && image.width > image.height)) {
+                [pageWidth, pageHeight] = [pageHeight, pageWidth];
+            }
+
+            const page = pdf.addPage([pageWidth, pageHeight]);
+
+            const availableWidth = pageWidth - 2 * margin;
+            const availableHeight = pageHeight - 2 * margin;
+
+            const scale = Math.min(
+                availableWidth / image.width,
+                availableHeight / image.height
+            );
+
+            const scaledWidth = image.width * scale;
+            const scaledHeight = image.height * scale;
+
+            page.drawImage(image, {
+                x: (pageWidth - scaledWidth) / 2,
+                y: (pageHeight - scaledHeight) / 2,
+                width: scaledWidth,
+                height: scaledHeight
+            });
+        }
+
+        return await this.save(pdf, task);
+    }
+
+    // Separator sheets of a pdf.js document as [{ page, value, groups }], for a split with
+    // method 'separators' or 'pattern'. detect 'blank' finds pages with almost no ink (tolerance
+    // is the share of inked pixels allowed; a short line of text is about 0.0005), 'code' pages
+    // with a QR code or barcode and 'text' pages whose text matches pattern. groups holds the
+    // match and its capture groups, value the first group or else the whole match; codes only
+    // count when their payload matches. canvas is as for renderPages, plus readCodes(canvas)
+    // resolving to the payloads on a canvas where the host can decode them.
+    async findSeparators(pdf, options = {}, canvas = null, task = null) {
+        const { detect = 'blank', pattern = '', tolerance = 0.0002 } = options;
+        if (!['blank', 'code', 'text'].includes(detect)) {
+            throw new Error(`Unknown separator type: ${detect}`);
+        }
+        if (detect === 'text' && !pattern.trim()) {
+            throw new Error('Please enter the text that marks a separator page');
+        }
+        if (detect !== 'text' && !canvas) {
+            throw new Error('Finding separator pages needs page rendering');
+        }
+        if (detect === 'code' && !canvas.readCodes) {
+            throw new Error('Reading QR codes and barcodes is not supported here');
+        }
+
+        const regex = pattern.trim() ? PrivPDFOperations.compilePattern(pattern) : null;
+        const getMatch = (text) => {
+            const match = regex ? regex.exec(text) : [text];
+            if (!match) return null;
+            const groups = Array.from(match, group => (group || '').trim());
+            return { value: groups.length > 1 ? groups[1] : groups[0], groups };
+        };
+
+        const separators = [];
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            await PrivPDFOperations.checkpoint(task, `Checking page ${pageNum} of ${pdf.numPages}...`, pageNum - 1, pdf.numPages);
+            const page = await pdf.getPage(pageNum);
+            let found = null;
+
+            if (detect === 'text') {
+                found = getMatch(await PrivPDFOperations.getPageText(page));
+            } else if (detect === 'blank') {
+                // A coarse rendering is enough to tell whether there is anything on the page
+                const target = await PrivPDFOperations.renderPage(page, 50, canvas);
+                const image = target.getContext('2d').getImageData(0, 0, target.width, target.height);
+                if (PrivPDFOperations.getInkRatio(image) <= tolerance) found = { value: '', groups: [] };
+            } else {
+                const target = await PrivPDFOperations.renderPage(page, 150, canvas);
+                for (const code of await canvas.readCodes(target)) {
+                    found = getMatch(code);
+                    if (found) break;
+                }
+            }
+
+            if (found) separators.push({ page: pageNum, ...found });
+            page.cleanup();
+        }
+
+        PrivPDFOperations.throwIfCancelled(task);
+        return separators;
+    }
+
+    // A user's search pattern as a regular expression, ignoring case
+    static compilePattern(pattern) {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid pattern: ${error.message}`);
+        }
+    }
+
+    // The text of a pdf.js page, with line breaks where pdf.js found the ends of lines
+    static async getPageText(page) {
+        const { items } = await page.getTextContent();
+        return items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('');
+    }
+
+    static async renderPage(page, dpi, canvas) {
+        const viewport = page.getViewport({ scale: dpi / 72 });
+        const target = canvas.create(Math.floor(viewport.width), Math.floor(viewport.height));
+        await page.render({ canvasContext: target.getContext('2d'), viewport }).promise;
+        return target;
+    }
+
+    // Share of dark pixels in RGBA image data ({ data, width, height }), leaving out a margin
+    // where scanners leave shadows along the edges of the sheet
+    static getInkRatio({ data, width, height }, margin = 0.05) {
+        const [left, top] = [Math.floor(width * margin), Math.floor(height * margin)];
+        let inked = 0;
+        let total = 0;
+        for (let y = top; y < height - top; y++) {
+            for (let x = left; x < width - left; x++) {
+                const i = (y * width + x) * 4;
+                // Transparent pixels are the paper
+                if (data[i + 3] > 0 && data[i] + data[i + 1] + data[i + 2] < 3 * 200) inked++;
+                total++;
+            }
+        }
+        return total > 0 ? inked / total : 0;
+    }
+
+    // Render the chosen pages of a pdf.js document to image files:
+    // [{ filename, bytes, type, startPage, endPage }]
+    // canvas is { create(width, height), encode(canvas, type, quality) } - a DOM canvas on the
+    // page, a canvas package under Node
+    async renderPages(pdf, options = {}, canvas, task = null) {
+        const { format = 'png', quality = 0.9, dpi = 150, pages = 'all', range = '' } = options;
+
+        let pagesToConvert = [];
+        if (pages === 'all') {
+            pagesToConvert = Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+        } else if (pages === 'range') {
+            pagesToConvert = PrivPDFOperations.parsePageRange(range, pdf.numPages).map(p => p + 1);
+        }
+
+        const type = `image/${format}`;
+        const images = [];
+
+        for (const [i, pageNum] of pagesToConvert.entries()) {
+            await PrivPDFOperations.checkpoint(task, `Rendering page ${i + 1} of ${pagesToConvert.length}...`, i, pagesToConvert.length);
+            const page = await pdf.getPage(pageNum);
+            const target = await PrivPDFOperations.renderPage(page, dpi, canvas);
+
+            images.push({
+                filename: `page_${pageNum}.${format}`,
+                bytes: await canvas.encode(target, type, quality),
+                type: type,
+                startPage: pageNum,
+                endPage: pageNum
+            });
+        }
+
+        PrivPDFOperations.throwIfCancelled(task);
+        return images;
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFOperations = PrivPDFOperations;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFOperations;
+}
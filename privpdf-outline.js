@@ -0,0 +1,166 @@
+// PrivPDF Outline - reads and writes document outlines (bookmarks) with PDF-lib
+// PDF-lib has no outline API and copyPages leaves the outline behind, so tools that build
+// new documents read it from the source, point it at the copied pages and write it back.
+
+class PrivPDFOutline {
+    // The outline of a loaded document as [{ title, pageIndex, view, children }]. view is the rest
+    // of the destination (['XYZ', left, top, zoom], ['Fit'], ...); pageIndex is null when a
+    // bookmark does not lead to a page of the document.
+    static read(pdf, PDFLib) {
+        const { PDFName, PDFDict, PDFArray, PDFRef, PDFNumber, PDFString, PDFHexString } = PDFLib;
+        const context = pdf.context;
+        const outlines = pdf.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+        if (!outlines) return [];
+
+        const pageIndices = new Map(pdf.getPages().map((page, index) => [page.ref.toString(), index]));
+        const names = PrivPDFOutline.readNamedDestinations(pdf, PDFLib);
+
+        const resolve = (dest) => {
+            let target = context.lookup(dest);
+            if (target instanceof PDFString || target instanceof PDFHexString || target instanceof PDFName) {
+                target = context.lookup(names.get(target.decodeText()));
+            }
+            if (target instanceof PDFDict) target = target.lookup(PDFName.of('D'));
+            if (!(target instanceof PDFArray) || target.size() === 0) return null;
+
+            const page = target.get(0);
+            const pageIndex = page instanceof PDFRef ? pageIndices.get(page.toString()) : null;
+            const view = target.asArray().slice(1).map(value => {
+                if (value instanceof PDFName) return value.decodeText();
+                if (value instanceof PDFNumber) return value.asNumber();
+                return null;
+            });
+            return { pageIndex: pageIndex === undefined ? null : pageIndex, view };
+        };
+
+        // Malformed files can link items in a loop; every item is read once
+        const seen = new Set();
+        const readItems = (ref) => {
+            const items = [];
+            while (ref && !seen.has(ref.toString())) {
+                seen.add(ref.toString());
+                const item = context.lookup(ref);
+                if (!(item instanceof PDFDict)) break;
+
+                let dest = item.get(PDFName.of('Dest'));
+                const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+                if (!dest && action && action.get(PDFName.of('S')) === PDFName.of('GoTo')) {
+                    dest = action.get(PDFName.of('D'));
+                }
+                const target = dest ? resolve(dest) : null;
+                const title = item.lookupMaybe(PDFName.of('Title'), PDFString, PDFHexString);
+
+                items.push({
+                    title: title ? title.decodeText() : '',
+                    pageIndex: target ? target.pageIndex : null,
+                    view: target ? target.view : [],
+                    children: readItems(item.get(PDFName.of('First')))
+                });
+                ref = item.get(PDFName.of('Next'));
+            }
+            return items;
+        };
+
+        return readItems(outlines.get(PDFName.of('First')));
+    }
+
+    // Named destinations from the catalog's Dests dictionary and the Dests name tree
+    static readNamedDestinations(pdf, PDFLib) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        const names = new Map();
+
+        const dests = pdf.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+        if (dests) dests.entries().forEach(([key, value]) => names.set(key.decodeText(), value));
+
+        const nameTrees = pdf.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+        const walk = (node, depth) => {
+            if (!node || depth > 32) return;
+
+            const leaf = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+            for (let i = 0; leaf && i + 1 < leaf.size(); i += 2) {
+                const key = leaf.lookup(i);
+                if (key && key.decodeText) names.set(key.decodeText(), leaf.get(i + 1));
+            }
+            const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+            for (let i = 0; kids && i < kids.size(); i++) {
+                walk(kids.lookupMaybe(i, PDFDict), depth + 1);
+            }
+        };
+        walk(nameTrees && nameTrees.lookupMaybe(PDFName.of('Dests'), PDFDict), 0);
+
+        return names;
+    }
+
+    // Items shown when the outline is first displayed: open items show their children
+    static countVisible(items) {
+        return items.reduce((total, item) => total + 1 + (item.open ? PrivPDFOutline.countVisible(item.children) : 0), 0);
+    }
+
+    // Replace the document's outline with [{ title, pageRef, view, open, children }]; items
+    // without a pageRef are kept as headings that lead nowhere
+    static write(pdf, items, PDFLib) {
+        const { PDFName, PDFHexString } = PDFLib;
+        const context = pdf.context;
+
+        if (items.length === 0) {
+            pdf.catalog.delete(PDFName.of('Outlines'));
+            return;
+        }
+
+        const addItems = (entries, parentRef) => {
+            const refs = entries.map(() => context.nextRef());
+            entries.forEach((entry, i) => {
+                const dict = { Title: PDFHexString.fromText(entry.title), Parent: parentRef };
+                if (i > 0) dict.Prev = refs[i - 1];
+                if (i < refs.length - 1) dict.Next = refs[i + 1];
+                if (entry.pageRef) {
+                    const view = entry.view && entry.view.length > 0 ? entry.view : ['XYZ', null, null, null];
+                    dict.Dest = context.obj([entry.pageRef, ...view]);
+                }
+
+                const children = entry.children || [];
+                if (children.length > 0) {
+                    const [first, last] = addItems(children, refs[i]);
+                    dict.First = first;
+                    dict.Last = last;
+                    dict.Count = (entry.open ? 1 : -1) * PrivPDFOutline.countVisible(children);
+                }
+                context.assign(refs[i], context.obj(dict));
+            });
+            return [refs[0], refs[refs.length - 1]];
+        };
+
+        const rootRef = context.nextRef();
+        const [first, last] = addItems(items, rootRef);
+        context.assign(rootRef, context.obj({
+            Type: 'Outlines',
+            First: first,
+            Last: last,
+            Count: PrivPDFOutline.countVisible(items)
+        }));
+        pdf.catalog.set(PDFName.of('Outlines'), rootRef);
+        pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+    }
+
+    // Read outline items pointed at the pages they were copied to; pages[i] is the copy of page i.
+    // Items left without a page or children, because their pages were not copied, are dropped.
+    static relink(items, pages) {
+        return items
+            .map(item => ({
+                title: item.title,
+                pageRef: item.pageIndex !== null && pages[item.pageIndex] ? pages[item.pageIndex].ref : null,
+                view: item.view,
+                open: false,
+                children: PrivPDFOutline.relink(item.children, pages)
+            }))
+            .filter(item => item.pageRef || item.children.length > 0);
+    }
+}
+
+// Export for use in the browser, in the worker and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFOutline = PrivPDFOutline;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFOutline;
+}
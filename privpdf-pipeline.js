@@ -0,0 +1,267 @@
+// PrivPDF Pipeline - chain tools without intermediate downloads
+// Records each tool run as a step ({ tool, options }) so the chain can be replayed on new files
+
+class PrivPDFPipeline {
+    // pageRenderer(bytes, options) turns PDF pages into [{ filename, bytes }] images and
+    // separatorFinder(bytes, options) finds the separator pages of a split ([{ page, value }]);
+    // both need pdf.js, and a canvas to render on, and are supplied by the host page.
+    // capabilities (PrivPDFCapabilities) is asked before the WASM engines run.
+    constructor({ operations, ghostscript = null, pdfProtection = null, pageRenderer = null, separatorFinder = null, capabilities = null } = {}) {
+        this.operations = operations;
+        this.ghostscript = ghostscript;
+        this.pdfProtection = pdfProtection;
+        this.pageRenderer = pageRenderer;
+        this.separatorFinder = separatorFinder;
+        this.capabilities = capabilities;
+        this.steps = [];
+        // Engine that produced each step's output in the last run: [{ tool, engine, degraded }]
+        this.engines = [];
+        // Problems the last run worked around, as messages
+        this.warnings = [];
+    }
+
+    // Tools that start a chain from several input files
+    static get MULTI_INPUT_TOOLS() {
+        return ['merge', 'imagetopdf'];
+    }
+
+    // Tools that produce several files and therefore end a chain
+    static get TERMINAL_TOOLS() {
+        return ['split', 'pdftoimage'];
+    }
+
+    static get TOOL_NAMES() {
+        return {
+            merge: 'Merge PDFs',
+            split: 'Split PDF',
+            extract: 'Extract Pages',
+            rotate: 'Rotate Pages',
+            reorder: 'Reorder Pages',
+            delete: 'Delete Pages',
+            add: 'Add Pages',
+            compress: 'Compress PDF',
+            protect: 'Protect PDF',
+            watermark: 'Add Watermark',
+            normalize: 'Normalize Page Size',
+            imagetopdf: 'Image to PDF',
+            pdftoimage: 'PDF to Image'
+        };
+    }
+
+    addStep(tool, options = {}) {
+        if (!PrivPDFPipeline.TOOL_NAMES[tool]) {
+            throw new Error(`Tool cannot be used in a pipeline: ${tool}`);
+        }
+        if (this.steps.length > 0 && PrivPDFPipeline.MULTI_INPUT_TOOLS.includes(tool)) {
+            throw new Error(`${PrivPDFPipeline.TOOL_NAMES[tool]} can only start a pipeline`);
+        }
+        if (this.isTerminated()) {
+            throw new Error('The pipeline already ends with a multi-file step');
+        }
+
+        this.steps.push({ tool, options });
+        return this.steps.length - 1;
+    }
+
+    // Replace all steps, e.g. with the steps of an imported recipe
+    loadSteps(steps) {
+        const previous = this.steps;
+        this.steps = [];
+
+        try {
+            steps.forEach(({ tool, options }) => this.addStep(tool, options));
+        } catch (error) {
+            this.steps = previous;
+            throw error;
+        }
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+    }
+
+    clear() {
+        this.steps = [];
+    }
+
+    isTerminated() {
+        const last = this.steps[this.steps.length - 1];
+        return !!last && PrivPDFPipeline.TERMINAL_TOOLS.includes(last.tool);
+    }
+
+    // Replay every step. inputs is an array of Uint8Array (or { bytes, type } images when the
+    // chain starts with imagetopdf); multi-input tools consume all of them, every other step
+    // works on the previous step's output.
+    // Returns [{ filename, bytes }]
+    async run(inputs, { onStep = null } = {}) {
+        if (this.steps.length === 0) {
+            throw new Error('The pipeline has no steps');
+        }
+        if (!inputs || inputs.length === 0) {
+            throw new Error('No input files for the pipeline');
+        }
+
+        let current = inputs;
+        this.engines = [];
+        this.warnings = [];
+
+        for (let i = 0; i < this.steps.length; i++) {
+            const { tool, options } = this.steps[i];
+            if (onStep) onStep(i, tool);
+            // Compress and protect replace this with the engine their result names
+            this.engines.push({ tool, engine: tool === 'pdftoimage' ? 'PDF.js' : 'PDF-lib', degraded: false });
+
+            const stepInput = PrivPDFPipeline.MULTI_INPUT_TOOLS.includes(tool) ? current : current[0];
+            const output = await this.runStep(tool, stepInput, options);
+            current = Array.isArray(output) ? output : [output];
+        }
+
+        if (this.isTerminated()) {
+            return current;
+        }
+        return [{ filename: 'pipeline_result.pdf', bytes: current[0] }];
+    }
+
+    async runStep(tool, input, options) {
+        const operations = this.operations;
+
+        switch (tool) {
+            case 'merge':
+                return await operations.merge(input, options);
+            case 'split': {
+                // Separator pages and pattern matches are found again in every document the step runs on
+                if (options.method === 'separators') {
+                    options = { ...options, separators: await this.findSeparators(input, options) };
+                }
+                if (options.method === 'pattern') {
+                    options = { ...options, matches: await this.findSeparators(input, { ...options, detect: 'text' }) };
+                }
+                const { parts, oversized = [] } = await operations.split(input, options);
+                oversized.forEach(({ page, size }) => this.warnings.push(PrivPDFPipeline.describeOversized(page, size)));
+                // Page numbers, pattern groups and bookmark titles stay with each part for the naming template
+                return parts;
+            }
+            case 'extract':
+                return await operations.extractPages(input, options);
+            case 'rotate':
+                return await operations.rotatePages(input, options);
+            case 'reorder':
+                return await operations.reorderPages(input, options);
+            case 'delete':
+                return await operations.deletePages(input, options);
+            case 'add':
+                return await operations.addPages(input, options);
+            case 'watermark':
+                return await operations.watermark(input, options);
+            case 'normalize':
+                return await operations.normalize(input, options);
+            case 'imagetopdf':
+                return await operations.imagesToPDF(input, options);
+            case 'compress':
+                return await this.runCompress(input, options);
+            case 'protect':
+                return await this.runProtect(input, options);
+            case 'pdftoimage':
+                if (!this.pageRenderer) {
+                    throw new Error('Page rendering not available');
+                }
+                return await this.pageRenderer(input, options);
+            default:
+                throw new Error(`Unknown pipeline tool: ${tool}`);
+        }
+    }
+
+    async findSeparators(input, options) {
+        if (!this.separatorFinder) {
+            throw new Error('Finding separator pages is not available');
+        }
+        return await this.separatorFinder(input, options);
+    }
+
+    async runCompress(input, options) {
+        if (!this.ghostscript) {
+            throw new Error('Compression engine not available');
+        }
+
+        if (this.capabilities) {
+            await this.capabilities.require('compress', [input, options.quality]);
+        } else {
+            await this.ghostscript.loadModule();
+        }
+        const result = await this.ghostscript.module.compress(input, options.quality);
+        if (!result.success) {
+            throw new Error('Compression failed');
+        }
+        this.recordEngine(result);
+        return new Uint8Array(result.data);
+    }
+
+    async runProtect(input, options) {
+        if (!this.pdfProtection) {
+            throw new Error('Protection engine not available');
+        }
+
+        if (this.capabilities) {
+            await this.capabilities.require('protect', [input, options]);
+        }
+        const result = await this.pdfProtection.protectPDF(input, options);
+        if (!result.success) {
+            throw new Error('Protection failed');
+        }
+        this.recordEngine(result);
+        return new Uint8Array(result.data);
+    }
+
+    // Warning for a page that is larger than a split's size limit on its own
+    static describeOversized(page, size) {
+        const shown = size < 1024 * 1024 ? `${Math.ceil(size / 1024)} KB` : `${(size / (1024 * 1024)).toFixed(1)} MB`;
+        return `Page ${page} is ${shown} on its own, over the size limit`;
+    }
+
+    recordEngine({ engine, degraded = false }) {
+        Object.assign(this.engines[this.engines.length - 1], { engine, degraded });
+    }
+
+    describeStep({ tool, options }) {
+        const name = PrivPDFPipeline.TOOL_NAMES[tool];
+
+        switch (tool) {
+            case 'split':
+                if (options.method === 'size' && options.maxSize) {
+                    return `${name} (up to ${+(options.maxSize / (1024 * 1024)).toFixed(2)} MB)`;
+                }
+                if (options.method === 'bookmarks') {
+                    return `${name} (bookmarks, level ${options.level || 1})`;
+                }
+                if (options.method === 'separators') {
+                    return `${name} (at ${{ blank: 'blank', code: 'QR/barcode', text: 'text' }[options.detect] || options.detect} separators)`;
+                }
+                if (options.method === 'pattern') {
+                    return `${name} (at "${options.pattern}")`;
+                }
+                return `${name} (${options.method})`;
+            case 'extract':
+                return `${name} (${options.pages.length} pages)`;
+            case 'delete':
+                return `${name} (${options.pages.length} pages)`;
+            case 'watermark':
+                return `${name} ("${options.text}", ${options.position})`;
+            case 'compress':
+                return `${name} (${options.quality})`;
+            case 'protect':
+                return `${name} (${options.method})`;
+            case 'pdftoimage':
+                return `${name} (${options.format}, ${options.dpi} DPI)`;
+            default:
+                return name;
+        }
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFPipeline = PrivPDFPipeline;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFPipeline;
+}
@@ -0,0 +1,229 @@
+// PrivPDF Recipes - versioned JSON description of a saved workflow
+// A recipe is an ordered list of tool steps and their settings. Passwords and source files
+// are never written into a recipe; they are asked for when the recipe runs.
+//
+// {
+//     "format": "privpdf-recipe",
+//     "version": 1,
+//     "name": "Board pack",
+//     "steps": [
+//         { "tool": "merge", "settings": {} },
+//         { "tool": "watermark", "settings": { "text": "DRAFT", "opacity": 0.3, ... } },
+//         { "tool": "protect", "settings": { "method": "password", "permissions": { ... } } }
+//     ]
+// }
+
+class PrivPDFRecipe {
+    constructor({ name = 'Untitled recipe', steps = [] } = {}) {
+        this.name = name;
+        this.steps = steps;
+    }
+
+    static get FORMAT() {
+        return 'privpdf-recipe';
+    }
+
+    static get VERSION() {
+        return 1;
+    }
+
+    static get HASH_PREFIX() {
+        return '#recipe=';
+    }
+
+    // Settings each tool accepts, with their types. Every tool panel switched by switchTool is covered
+    // except organize, whose documents are built from particular pages of particular files and
+    // so cannot be recorded in a recipe.
+    static get STEP_SETTINGS() {
+        return {
+            merge: { bookmarks: 'boolean', tableOfContents: 'boolean', mode: 'string', reverseBacks: 'boolean', unequal: 'string',
+                pageSize: 'string', fit: 'string', autoRotate: 'boolean' },
+            split: { method: 'string', pagesPerDoc: 'number', ranges: 'string', maxSize: 'number', level: 'number',
+                detect: 'string', pattern: 'string', dropSeparators: 'boolean' },
+            extract: { pages: 'pages' },
+            rotate: { rotations: 'rotations', all: 'degrees' },
+            reorder: { order: 'pages' },
+            delete: { pages: 'pages' },
+            add: { type: 'string', count: 'number', position: 'string', afterPage: 'number' },
+            compress: { quality: 'string' },
+            protect: { method: 'string', permissions: 'permissions' },
+            watermark: { type: 'string', text: 'string', opacity: 'number', position: 'string', pages: 'string', range: 'string' },
+            normalize: { pageSize: 'string', fit: 'string', autoRotate: 'boolean' },
+            imagetopdf: { pageSize: 'string', orientation: 'string', margin: 'number' },
+            pdftoimage: { format: 'string', quality: 'number', dpi: 'number', pages: 'string', range: 'string' }
+        };
+    }
+
+    // Settings that are only known at run time and never leave the browser session
+    static get RUNTIME_SETTINGS() {
+        return {
+            add: ['source'],
+            protect: ['userPassword', 'ownerPassword']
+        };
+    }
+
+    // Build a recipe from pipeline steps ({ tool, options }), dropping runtime-only settings
+    static fromSteps(steps, name) {
+        return new PrivPDFRecipe({
+            name,
+            steps: steps.map(({ tool, options }) => ({
+                tool,
+                settings: PrivPDFRecipe.pickSettings(tool, options)
+            }))
+        });
+    }
+
+    static pickSettings(tool, options = {}) {
+        const schema = PrivPDFRecipe.STEP_SETTINGS[tool] || {};
+        const settings = {};
+
+        Object.keys(schema).forEach(key => {
+            if (options[key] !== undefined) {
+                settings[key] = options[key];
+            }
+        });
+
+        return settings;
+    }
+
+    static validateValue(type, value) {
+        const isPageNumber = (n) => Number.isInteger(n) && n > 0;
+
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'number':
+                return typeof value === 'number' && isFinite(value);
+            case 'degrees':
+                return Number.isInteger(value) && value % 90 === 0;
+            case 'pages':
+                return Array.isArray(value) && value.every(isPageNumber);
+            case 'rotations':
+                return value !== null && typeof value === 'object' &&
+                    Object.entries(value).every(([page, degrees]) =>
+                        isPageNumber(parseInt(page)) && [0, 90, 180, 270].includes(degrees));
+            case 'permissions':
+                return value !== null && typeof value === 'object' &&
+                    Object.values(value).every(allowed => typeof allowed === 'boolean');
+            default:
+                return false;
+        }
+    }
+
+    // Throws on anything that is not a recipe this version can run
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Recipe must be a JSON object');
+        }
+        if (data.format !== PrivPDFRecipe.FORMAT) {
+            throw new Error('Not a PrivPDF recipe');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('Recipe version is missing');
+        }
+        if (data.version > PrivPDFRecipe.VERSION) {
+            throw new Error(`Recipe version ${data.version} is newer than this PrivPDF supports (${PrivPDFRecipe.VERSION})`);
+        }
+        if (!Array.isArray(data.steps) || data.steps.length === 0) {
+            throw new Error('Recipe has no steps');
+        }
+
+        data.steps.forEach((step, index) => {
+            const schema = PrivPDFRecipe.STEP_SETTINGS[step.tool];
+            if (!schema) {
+                throw new Error(`Step ${index + 1}: unknown tool "${step.tool}"`);
+            }
+
+            Object.entries(step.settings || {}).forEach(([key, value]) => {
+                if (!schema[key]) {
+                    throw new Error(`Step ${index + 1} (${step.tool}): unknown setting "${key}"`);
+                }
+                if (!PrivPDFRecipe.validateValue(schema[key], value)) {
+                    throw new Error(`Step ${index + 1} (${step.tool}): invalid value for "${key}"`);
+                }
+            });
+        });
+    }
+
+    static parse(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error(`Recipe is not valid JSON: ${error.message}`);
+        }
+
+        PrivPDFRecipe.validate(data);
+        return new PrivPDFRecipe({
+            name: typeof data.name === 'string' ? data.name : 'Untitled recipe',
+            steps: data.steps.map(({ tool, settings }) => ({ tool, settings: { ...(settings || {}) } }))
+        });
+    }
+
+    toJSON() {
+        return {
+            format: PrivPDFRecipe.FORMAT,
+            version: PrivPDFRecipe.VERSION,
+            name: this.name,
+            steps: this.steps
+        };
+    }
+
+    stringify() {
+        return JSON.stringify(this.toJSON(), null, 2);
+    }
+
+    // Share through the URL hash as base64url-encoded UTF-8 JSON
+    toURLHash() {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.toJSON()));
+        let binary = '';
+        bytes.forEach(byte => binary += String.fromCharCode(byte));
+
+        const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return PrivPDFRecipe.HASH_PREFIX + base64;
+    }
+
+    static fromURLHash(hash) {
+        if (!hash || !hash.startsWith(PrivPDFRecipe.HASH_PREFIX)) {
+            return null;
+        }
+
+        const base64 = hash.slice(PrivPDFRecipe.HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        let json;
+        try {
+            const binary = atob(base64);
+            json = new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+        } catch (error) {
+            throw new Error('Recipe link is damaged');
+        }
+
+        return PrivPDFRecipe.parse(json);
+    }
+
+    // Steps that still need runtime values before the recipe can run
+    getRuntimeRequirements() {
+        return this.steps
+            .map((step, index) => ({ index, tool: step.tool, settings: step.settings }))
+            .filter(({ tool, settings }) =>
+                (tool === 'add' && settings.type === 'from-pdf') ||
+                (tool === 'protect' && ['auto', 'password', 'encryption'].includes(settings.method)));
+    }
+
+    // Pipeline steps ({ tool, options }) with runtime values merged in
+    toSteps(runtime = {}) {
+        return this.steps.map(({ tool, settings }, index) => ({
+            tool,
+            options: { ...settings, ...(runtime[index] || {}) }
+        }));
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFRecipe = PrivPDFRecipe;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFRecipe;
+}
@@ -0,0 +1,361 @@
+// PrivPDF Sortable - reorder the items of a list with a mouse, a finger or the keyboard
+// Pointer events cover mouse, touch and pen. Touch and pen pick an item up after a long press,
+// so the list still scrolls; the mouse picks it up as soon as it moves. Keyboard users press
+// Space or Enter to pick an item up, move it with the arrow keys, Home, End or by typing a
+// position, and press Enter again to drop it. Every change is announced for screen readers.
+
+class PrivPDFSortable {
+    // onMove(item, from, to) runs after a drop that changed the item's position.
+    // getLabel(item) names an item in announcements, announce(message) speaks them.
+    // vertical lists compare against the middle of each item, grids go row by row.
+    constructor(container, { itemSelector, vertical = false, getLabel = () => 'Item', onMove = () => {}, announce = () => {}, describedBy = null } = {}) {
+        this.container = container;
+        this.itemSelector = itemSelector;
+        this.vertical = vertical;
+        this.getLabel = getLabel;
+        this.onMove = onMove;
+        this.announce = announce;
+        this.describedBy = describedBy;
+        this.press = null;
+        this.drag = null;
+        this.moving = null;
+        this.suppressClick = false;
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerCancel = this.onPointerCancel.bind(this);
+
+        container.setAttribute('role', 'list');
+        container.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        container.addEventListener('keydown', (e) => this.onKeyDown(e));
+        container.addEventListener('focusout', (e) => this.onFocusOut(e));
+        // Once an item is picked up, the finger drags it instead of scrolling the page
+        container.addEventListener('touchmove', (e) => {
+            if (this.drag) e.preventDefault();
+        }, { passive: false });
+        container.addEventListener('contextmenu', (e) => {
+            if (this.press || this.drag) e.preventDefault();
+        });
+        // The click that ends a mouse drag must not also select the item
+        container.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+
+        // Items are added and removed by their tools; make every new one focusable
+        this.refresh();
+        if (typeof MutationObserver !== 'undefined') {
+            new MutationObserver(() => this.refresh()).observe(container, { childList: true });
+        }
+    }
+
+    // Milliseconds a touch must rest on an item before it is picked up
+    static get LONG_PRESS() {
+        return 400;
+    }
+
+    // Pixels a pointer may travel before a press counts as a drag (mouse) or a scroll (touch)
+    static get MOVE_THRESHOLD() {
+        return 8;
+    }
+
+    // Distance from the edge of the list or the window at which dragging scrolls it
+    static get SCROLL_EDGE() {
+        return 48;
+    }
+
+    // New index for a key pressed in move mode, or null when the key does not move the item
+    static getKeyTarget(key, index, count) {
+        switch (key) {
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                return Math.max(index - 1, 0);
+            case 'ArrowRight':
+            case 'ArrowDown':
+                return Math.min(index + 1, count - 1);
+            case 'Home':
+                return 0;
+            case 'End':
+                return count - 1;
+            default:
+                return null;
+        }
+    }
+
+    // Index a dragged item takes among the other items, given their boxes in order and the
+    // pointer position. In a grid the row nearest to the pointer wins, then the position in it.
+    static getDropIndex(boxes, x, y, vertical = false) {
+        if (boxes.length === 0) return 0;
+
+        let index;
+        if (vertical) {
+            index = boxes.findIndex(box => y < box.top + box.height / 2);
+        } else {
+            const distance = box => y < box.top ? box.top - y : y > box.bottom ? y - box.bottom : 0;
+            const row = boxes.reduce((nearest, box) => distance(box) < distance(nearest) ? box : nearest);
+            index = boxes.findIndex(box => box.top > row.top + 1 ||
+                (Math.abs(box.top - row.top) <= 1 && x < box.left + box.width / 2));
+        }
+        return index === -1 ? boxes.length : index;
+    }
+
+    getItems() {
+        return [...this.container.children].filter(child => child.matches(this.itemSelector));
+    }
+
+    getItem(target) {
+        const item = target instanceof Element ? target.closest(this.itemSelector) : null;
+        return item && item.parentElement === this.container ? item : null;
+    }
+
+    refresh() {
+        this.getItems().forEach(item => {
+            if (item.getAttribute('role') === 'listitem') return;
+            item.setAttribute('role', 'listitem');
+            item.setAttribute('aria-roledescription', 'sortable item');
+            item.tabIndex = 0;
+            if (this.describedBy) item.setAttribute('aria-describedby', this.describedBy);
+        });
+    }
+
+    describePosition(item) {
+        const items = this.getItems();
+        return `position ${items.indexOf(item) + 1} of ${items.length}`;
+    }
+
+    // Put an item at an index among the other items
+    placeAt(item, index) {
+        const others = this.getItems().filter(other => other !== item);
+        if (others[index]) {
+            this.container.insertBefore(item, others[index]);
+        } else if (others.length) {
+            others[others.length - 1].after(item);
+        }
+    }
+
+    // Pointer dragging
+    onPointerDown(e) {
+        if (e.button !== 0 || this.press || this.drag) return;
+        const item = this.getItem(e.target);
+        if (!item || e.target.closest('button, input, select, textarea, a, label')) return;
+
+        if (this.moving) this.dropKeyboardMove();
+        this.press = { item, pointerId: e.pointerId, type: e.pointerType, startX: e.clientX, startY: e.clientY, x: e.clientX, y: e.clientY };
+        if (e.pointerType !== 'mouse') {
+            this.press.timer = setTimeout(() => this.pickUp(), PrivPDFSortable.LONG_PRESS);
+        }
+
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        window.addEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    onPointerMove(e) {
+        const press = this.press;
+        if (!press || e.pointerId !== press.pointerId) return;
+        press.x = e.clientX;
+        press.y = e.clientY;
+
+        if (!this.drag) {
+            const distance = Math.hypot(press.x - press.startX, press.y - press.startY);
+            if (distance < PrivPDFSortable.MOVE_THRESHOLD) return;
+            if (press.type !== 'mouse') {
+                // Moved before the long press ended: the user is scrolling
+                this.release();
+                return;
+            }
+            this.pickUp();
+        }
+        this.updateDrag();
+    }
+
+    onPointerUp(e) {
+        if (!this.press || e.pointerId !== this.press.pointerId) return;
+        if (this.drag) {
+            this.drop();
+        } else {
+            this.release();
+        }
+    }
+
+    onPointerCancel(e) {
+        if (!this.press || e.pointerId !== this.press.pointerId) return;
+        if (this.drag) {
+            this.cancelDrag();
+        } else {
+            this.release();
+        }
+    }
+
+    pickUp() {
+        const { item, x, y } = this.press;
+        clearTimeout(this.press.timer);
+
+        const box = item.getBoundingClientRect();
+        this.drag = { item, from: this.getItems().indexOf(item), offsetX: x - box.left, offsetY: y - box.top };
+        item.classList.add('dragging');
+        if (this.press.type !== 'mouse' && navigator.vibrate) navigator.vibrate(10);
+        this.announce(`${this.getLabel(item)} picked up, ${this.describePosition(item)}`);
+        this.autoScroll();
+    }
+
+    // Move the item to the slot under the pointer and keep it under the pointer
+    updateDrag() {
+        const { item, offsetX, offsetY } = this.drag;
+        const { x, y } = this.press;
+        const boxes = this.getItems().filter(other => other !== item).map(other => other.getBoundingClientRect());
+
+        this.placeAt(item, PrivPDFSortable.getDropIndex(boxes, x, y, this.vertical));
+        item.style.transform = '';
+        const box = item.getBoundingClientRect();
+        item.style.transform = `translate(${x - offsetX - box.left}px, ${y - offsetY - box.top}px)`;
+    }
+
+    // Scroll the list, or the window, while the pointer is held near its edge
+    autoScroll() {
+        if (!this.drag) return;
+
+        const { x, y } = this.press;
+        const edge = PrivPDFSortable.SCROLL_EDGE;
+        const speed = (position, start, end) =>
+            position < start + edge ? -Math.ceil((start + edge - position) / 4) :
+            position > end - edge ? Math.ceil((position - end + edge) / 4) : 0;
+
+        const container = this.container;
+        const box = container.getBoundingClientRect();
+        const scrollX = container.scrollWidth > container.clientWidth ? speed(x, box.left, box.right) : 0;
+        const scrollY = container.scrollHeight > container.clientHeight ? speed(y, box.top, box.bottom) : 0;
+        const windowY = speed(y, 0, window.innerHeight);
+
+        if (scrollX || scrollY) container.scrollBy(scrollX, scrollY);
+        if (windowY) window.scrollBy(0, windowY);
+        if (scrollX || scrollY || windowY) this.updateDrag();
+
+        requestAnimationFrame(() => this.autoScroll());
+    }
+
+    drop() {
+        const { item, from } = this.drag;
+        const to = this.getItems().indexOf(item);
+        this.suppressClick = this.press.type === 'mouse';
+        setTimeout(() => { this.suppressClick = false; }, 0);
+        this.release();
+
+        this.announce(`${this.getLabel(item)} dropped, ${this.describePosition(item)}`);
+        if (to !== from) this.onMove(item, from, to);
+    }
+
+    cancelDrag() {
+        const { item, from } = this.drag;
+        this.placeAt(item, from);
+        this.release();
+        this.announce(`Move cancelled, ${this.getLabel(item)} is back at ${this.describePosition(item)}`);
+    }
+
+    // End a press or a drag without moving anything further
+    release() {
+        if (this.press) clearTimeout(this.press.timer);
+        if (this.drag) {
+            this.drag.item.classList.remove('dragging');
+            this.drag.item.style.transform = '';
+        }
+        this.press = null;
+        this.drag = null;
+
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        window.removeEventListener('pointercancel', this.onPointerCancel);
+    }
+
+    // Keyboard move mode
+    onKeyDown(e) {
+        const item = this.getItem(e.target);
+        if (!item || e.target !== item) return;
+
+        if (!this.moving) {
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                this.startKeyboardMove(item);
+            }
+            return;
+        }
+
+        const moving = this.moving;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.placeAt(item, moving.from);
+            this.endKeyboardMove();
+            this.announce(`Move cancelled, ${this.getLabel(item)} is back at ${this.describePosition(item)}`);
+        } else if (e.key === ' ' || e.key === 'Enter') {
+            e.preventDefault();
+            if (moving.typed) this.moveTo(parseInt(moving.typed) - 1);
+            this.dropKeyboardMove();
+        } else if (/^[0-9]$/.test(e.key)) {
+            e.preventDefault();
+            moving.typed += e.key;
+            this.announce(`Move to position ${moving.typed} of ${this.getItems().length}, press Enter to drop`);
+        } else if (e.key === 'Backspace' && moving.typed) {
+            e.preventDefault();
+            moving.typed = moving.typed.slice(0, -1);
+        } else {
+            const items = this.getItems();
+            const target = PrivPDFSortable.getKeyTarget(e.key, items.indexOf(item), items.length);
+            if (target === null) return;
+            e.preventDefault();
+            moving.typed = '';
+            this.moveTo(target);
+        }
+    }
+
+    startKeyboardMove(item) {
+        this.moving = { item, from: this.getItems().indexOf(item), typed: '' };
+        item.classList.add('moving');
+        this.announce(`${this.getLabel(item)} picked up, ${this.describePosition(item)}. ` +
+            'Use the arrow keys, Home, End or type a position to move it, Enter to drop, Escape to cancel.');
+    }
+
+    moveTo(index) {
+        const { item } = this.moving;
+        const count = this.getItems().length;
+        const target = Math.min(Math.max(index, 0), count - 1);
+
+        // Moving a focused element can drop its focus; focusout must not end the move
+        this.moving.repositioning = true;
+        this.placeAt(item, target);
+        item.focus();
+        this.moving.repositioning = false;
+
+        this.announce(`${this.getLabel(item)}, ${this.describePosition(item)}`);
+    }
+
+    dropKeyboardMove() {
+        const { item, from } = this.moving;
+        const to = this.getItems().indexOf(item);
+        this.endKeyboardMove();
+
+        this.announce(`${this.getLabel(item)} dropped, ${this.describePosition(item)}`);
+        if (to !== from) this.onMove(item, from, to);
+    }
+
+    endKeyboardMove() {
+        this.moving.item.classList.remove('moving');
+        this.moving = null;
+    }
+
+    // Tabbing away drops the item where it is
+    onFocusOut(e) {
+        if (!this.moving || this.moving.repositioning || e.target !== this.moving.item) return;
+        if (e.relatedTarget === this.moving.item) return;
+        this.dropKeyboardMove();
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFSortable = PrivPDFSortable;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFSortable;
+}
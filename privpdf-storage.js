@@ -0,0 +1,247 @@
+// PrivPDF Storage - an opt-in copy of the session kept in this browser's IndexedDB
+// Nothing is stored until the user turns it on. With a passphrase every record is encrypted
+// with AES-GCM under a key derived from it (PBKDF2, as in pdf-protection.js); the key is only
+// held in memory, so a saved session has to be unlocked again after a reload.
+
+class PrivPDFStorage {
+    constructor({ name = 'privpdf', indexedDB = globalThis.indexedDB, crypto = globalThis.crypto } = {}) {
+        this.name = name;
+        this.indexedDB = indexedDB;
+        this.cryptoAPI = crypto;
+        this.db = null;
+        this.key = null;
+        this.storedFiles = null;
+        this.queue = Promise.resolve();
+    }
+
+    static get DB_VERSION() {
+        return 1;
+    }
+
+    static get STORE() {
+        return 'records';
+    }
+
+    static get KDF_ITERATIONS() {
+        return 100000;
+    }
+
+    // Decrypts to this text only with the right passphrase
+    static get CHECK_VALUE() {
+        return 'privpdf-session';
+    }
+
+    // JSON with its Uint8Arrays moved out of it: [json length][json]([length][bytes])...
+    static pack(value) {
+        const blobs = [];
+        const json = JSON.stringify(value, (key, item) => {
+            if (!(item instanceof Uint8Array)) return item;
+            blobs.push(item);
+            return { $bytes: blobs.length - 1 };
+        });
+        const jsonBytes = new TextEncoder().encode(json);
+
+        const size = 4 + jsonBytes.length + blobs.reduce((total, blob) => total + 4 + blob.length, 0);
+        const packed = new Uint8Array(size);
+        const view = new DataView(packed.buffer);
+        let offset = 0;
+        for (const part of [jsonBytes, ...blobs]) {
+            view.setUint32(offset, part.length);
+            packed.set(part, offset + 4);
+            offset += 4 + part.length;
+        }
+        return packed;
+    }
+
+    static unpack(packed) {
+        const view = new DataView(packed.buffer, packed.byteOffset, packed.byteLength);
+        const parts = [];
+        for (let offset = 0; offset < packed.length;) {
+            const length = view.getUint32(offset);
+            parts.push(packed.slice(offset + 4, offset + 4 + length));
+            offset += 4 + length;
+        }
+
+        const [jsonBytes, ...blobs] = parts;
+        return JSON.parse(new TextDecoder().decode(jsonBytes), (key, item) => {
+            const isBlob = item && typeof item === 'object' && typeof item.$bytes === 'number' && Object.keys(item).length === 1;
+            return isBlob ? blobs[item.$bytes] : item;
+        });
+    }
+
+    // Resolve an IndexedDB request or transaction
+    static whenDone(request) {
+        return new Promise((resolve, reject) => {
+            if ('oncomplete' in request) {
+                request.oncomplete = () => resolve();
+                request.onabort = () => reject(request.error || new Error('Saving was aborted'));
+            } else {
+                request.onsuccess = () => resolve(request.result);
+            }
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    isAvailable() {
+        return !!this.indexedDB;
+    }
+
+    isEncrypted() {
+        return !!this.key;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (!this.indexedDB) throw new Error('This browser cannot store data locally');
+
+        const request = this.indexedDB.open(this.name, PrivPDFStorage.DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(PrivPDFStorage.STORE);
+        this.db = await PrivPDFStorage.whenDone(request);
+        return this.db;
+    }
+
+    async get(key) {
+        const db = await this.open();
+        return await PrivPDFStorage.whenDone(db.transaction(PrivPDFStorage.STORE).objectStore(PrivPDFStorage.STORE).get(key));
+    }
+
+    async getKeys() {
+        const db = await this.open();
+        return await PrivPDFStorage.whenDone(db.transaction(PrivPDFStorage.STORE).objectStore(PrivPDFStorage.STORE).getAllKeys());
+    }
+
+    // Apply puts ({ key: value }) and deletes in one transaction
+    async write(puts, deletes = []) {
+        const db = await this.open();
+        const transaction = db.transaction(PrivPDFStorage.STORE, 'readwrite');
+        const store = transaction.objectStore(PrivPDFStorage.STORE);
+        Object.entries(puts).forEach(([key, value]) => store.put(value, key));
+        deletes.forEach(key => store.delete(key));
+        await PrivPDFStorage.whenDone(transaction);
+    }
+
+    async deriveKey(passphrase, salt) {
+        const subtle = this.cryptoAPI.subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return await subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: PrivPDFStorage.KDF_ITERATIONS, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // Start encrypting with a new passphrase; returns the meta record that unlocks it later
+    async lock(passphrase) {
+        const salt = this.cryptoAPI.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt);
+        const check = await this.encode(PrivPDFStorage.CHECK_VALUE);
+        return { version: 1, encrypted: true, salt, check };
+    }
+
+    async unlock(passphrase, meta) {
+        const key = await this.deriveKey(passphrase, meta.salt);
+        const check = await this.decode(meta.check, key).catch(() => null);
+        if (check !== PrivPDFStorage.CHECK_VALUE) throw new Error('Wrong passphrase');
+        this.key = key;
+    }
+
+    // A value as stored: packed, then [iv][ciphertext] when a passphrase is set
+    async encode(value) {
+        const packed = PrivPDFStorage.pack(value);
+        if (!this.key) return packed;
+
+        const iv = this.cryptoAPI.getRandomValues(new Uint8Array(12));
+        const encrypted = new Uint8Array(await this.cryptoAPI.subtle.encrypt({ name: 'AES-GCM', iv }, this.key, packed));
+        const record = new Uint8Array(12 + encrypted.length);
+        record.set(iv);
+        record.set(encrypted, 12);
+        return record;
+    }
+
+    async decode(record, key = this.key) {
+        if (!key) return PrivPDFStorage.unpack(record);
+
+        const plain = await this.cryptoAPI.subtle.decrypt({ name: 'AES-GCM', iv: record.slice(0, 12) }, key, record.slice(12));
+        return PrivPDFStorage.unpack(new Uint8Array(plain));
+    }
+
+    // The meta record exists only while saving is turned on
+    async getMeta() {
+        return (await this.get('meta')) || null;
+    }
+
+    async enable(passphrase = '') {
+        const meta = passphrase ? await this.lock(passphrase) : { version: 1, encrypted: false };
+        if (!passphrase) this.key = null;
+        await this.write({ meta });
+        this.storedFiles = null;
+    }
+
+    // Save the session state and the files it refers to ({ id: bytes }). Files are written once
+    // and deleted when they are gone; saves run one after the other.
+    saveSession(session, files) {
+        this.queue = this.queue.catch(() => {}).then(() => this.writeSession(session, files));
+        return this.queue;
+    }
+
+    async writeSession(session, files) {
+        if (!this.storedFiles) {
+            const keys = await this.getKeys();
+            this.storedFiles = new Set(keys.filter(key => key.startsWith('file:')));
+        }
+
+        const puts = { session: await this.encode(session) };
+        for (const [id, bytes] of Object.entries(files)) {
+            if (!this.storedFiles.has(`file:${id}`)) puts[`file:${id}`] = await this.encode(bytes);
+        }
+        const deletes = [...this.storedFiles].filter(key => !(key.slice(5) in files));
+
+        await this.write(puts, deletes);
+        Object.keys(puts).filter(key => key.startsWith('file:')).forEach(key => this.storedFiles.add(key));
+        deletes.forEach(key => this.storedFiles.delete(key));
+    }
+
+    // { session, files: { id: bytes } }, or null when nothing was saved yet
+    async loadSession() {
+        const record = await this.get('session');
+        if (!record) return null;
+
+        const session = await this.decode(record);
+        const files = {};
+        const keys = (await this.getKeys()).filter(key => key.startsWith('file:'));
+        for (const key of keys) {
+            files[key.slice(5)] = await this.decode(await this.get(key));
+        }
+        this.storedFiles = new Set(keys);
+        return { session, files };
+    }
+
+    // Delete the database; pending saves are dropped
+    async wipe() {
+        await this.queue.catch(() => {});
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.key = null;
+        this.storedFiles = null;
+        if (!this.indexedDB) return;
+
+        const request = this.indexedDB.deleteDatabase(this.name);
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => resolve();
+        });
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFStorage = PrivPDFStorage;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFStorage;
+}
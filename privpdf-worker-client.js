@@ -0,0 +1,125 @@
+// PrivPDF Worker Client - sends operations to privpdf-worker.js and resolves with their results
+// Input documents are transferred to the worker, not copied: do not reuse them after run().
+// When no worker can be started (no Worker support, file:// pages) the fallback host runs
+// the operation on the main thread instead.
+// Aborting the signal given to run() terminates the worker: that is the only way to stop a
+// running WASM call such as Ghostscript. A fresh worker is started for the next operation.
+
+class PrivPDFWorkerClient {
+    constructor({ url = 'privpdf-worker.js', fallback = null } = {}) {
+        this.url = url;
+        this.fallback = fallback;
+        this.worker = null;
+        this.ready = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    // Resolves to true once the worker has loaded its libraries, false if it cannot be used
+    start() {
+        if (!this.ready) {
+            this.ready = new Promise(resolve => {
+                if (typeof Worker === 'undefined') {
+                    resolve(false);
+                    return;
+                }
+
+                let worker;
+                try {
+                    worker = new Worker(this.url);
+                } catch (error) {
+                    console.warn('PDF worker not available, running on the main thread:', error);
+                    resolve(false);
+                    return;
+                }
+
+                worker.onmessage = (event) => {
+                    if (event.data.type === 'ready') {
+                        this.worker = worker;
+                        worker.onmessage = (e) => this.handleMessage(e.data);
+                        worker.onerror = (e) => this.handleCrash(e);
+                        resolve(true);
+                    } else if (event.data.type === 'init-error') {
+                        console.warn('PDF worker failed to start, running on the main thread:', event.data.message);
+                        worker.terminate();
+                        resolve(false);
+                    }
+                };
+                worker.onerror = (event) => {
+                    event.preventDefault();
+                    console.warn('PDF worker failed to load, running on the main thread:', event.message);
+                    worker.terminate();
+                    resolve(false);
+                };
+                worker.postMessage({ type: 'init' });
+            });
+        }
+        return this.ready;
+    }
+
+    // Run an operation (see PrivPDFWorkerHost.run) and resolve with its result
+    // onProgress(message, percent) receives the worker's progress messages
+    async run(operation, args = [], { onProgress = null, signal = null } = {}) {
+        if (!(await this.start())) {
+            if (!this.fallback) {
+                throw new Error('No PDF engine available');
+            }
+            return await this.fallback.run(operation, args, onProgress || undefined, signal);
+        }
+        if (signal && signal.aborted) {
+            throw new DOMException('Operation cancelled', 'AbortError');
+        }
+
+        const id = this.nextId++;
+        return await new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    if (this.pending.has(id)) this.stop(new DOMException('Operation cancelled', 'AbortError'));
+                }, { once: true });
+            }
+
+            // Move the input documents; option objects are copied so callers can keep them
+            const inputs = args.filter(arg => Array.isArray(arg) || ArrayBuffer.isView(arg) || arg instanceof ArrayBuffer);
+            this.worker.postMessage({ type: 'run', id, operation, args }, PrivPDFWorkerHost.getTransferables(inputs));
+        });
+    }
+
+    handleMessage({ type, id, result, message, progress }) {
+        const task = this.pending.get(id);
+        if (!task) return;
+
+        if (type === 'progress') {
+            if (task.onProgress) task.onProgress(message, progress);
+        } else if (type === 'result') {
+            this.pending.delete(id);
+            task.resolve(result);
+        } else if (type === 'error') {
+            this.pending.delete(id);
+            task.reject(new Error(message));
+        }
+    }
+
+    // The worker died (e.g. out of memory); fail what was running
+    handleCrash(event) {
+        this.stop(new Error(event.message || 'PDF worker stopped unexpectedly'));
+    }
+
+    // Terminate the worker and reject everything it was doing; the next run() starts a new one
+    stop(error) {
+        this.pending.forEach(task => task.reject(error));
+        this.pending.clear();
+
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.ready = null;
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFWorkerClient = PrivPDFWorkerClient;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFWorkerClient;
+}
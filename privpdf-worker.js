@@ -0,0 +1,160 @@
+// PrivPDF Worker - runs PDF-lib operations and the WASM engines off the main thread
+// Loaded as a dedicated worker by PrivPDFWorkerClient. The page loads it too, so that
+// PrivPDFWorkerHost can run the same operations in-thread when no worker can be started.
+
+class PrivPDFWorkerHost {
+    constructor({ operations, ghostscript = null, pdfProtection = null }) {
+        this.operations = operations;
+        this.ghostscript = ghostscript;
+        this.pdfProtection = pdfProtection;
+
+        const Capabilities = typeof PrivPDFCapabilities !== 'undefined' ? PrivPDFCapabilities : require('./privpdf-capabilities.js');
+        this.capabilities = new Capabilities({ pdfLib: operations.PDFLib, ghostscript, pdfProtection });
+    }
+
+    // PrivPDFOperations methods that can be called by name, with the number of arguments
+    // they take before the task argument
+    static get PDF_OPERATIONS() {
+        return {
+            merge: 2,
+            split: 2,
+            extractPages: 2,
+            deletePages: 2,
+            rotatePages: 2,
+            reorderPages: 2,
+            addPages: 2,
+            organize: 2,
+            watermark: 2,
+            normalize: 2,
+            imagesToPDF: 2
+        };
+    }
+
+    // onProgress(message, percent) is called with progress messages for the UI. An aborted
+    // signal stops the operation with an AbortError; the WASM engines cannot be interrupted
+    // mid-call, so their results are discarded instead.
+    async run(operation, args = [], onProgress = () => {}, signal = null) {
+        const task = { signal, onProgress };
+        const cancelled = () => this.operations.constructor.throwIfCancelled(task);
+
+        // Blocks the operation when its engine is not really available
+        await this.capabilities.require(operation, args, onProgress);
+        cancelled();
+
+        const arity = PrivPDFWorkerHost.PDF_OPERATIONS[operation];
+        if (arity !== undefined) {
+            const callArgs = Array.from({ length: arity }, (_, i) => args[i]);
+            const result = await this.operations[operation](...callArgs, task);
+            onProgress('Done', 100);
+            return result;
+        }
+
+        switch (operation) {
+            case 'compress': {
+                const [input, quality] = args;
+                const result = await this.ghostscript.module.compress(input, quality, onProgress);
+                cancelled();
+                return result;
+            }
+            case 'protect': {
+                const [input, options] = args;
+                onProgress(`Applying protection to ${(input.byteLength / 1024 / 1024).toFixed(1)} MB...`, 50);
+                const result = await this.pdfProtection.protectPDF(input, { ...options, onProgress });
+                cancelled();
+                onProgress('Protection complete!', 100);
+                return result;
+            }
+            case 'decrypt': {
+                const [input, password] = args;
+                const result = await this.pdfProtection.decryptPDF(input, password);
+                cancelled();
+                return result;
+            }
+            case 'status':
+                return this.capabilities.getStatus();
+            case 'capabilities':
+                return this.capabilities.getCapabilities();
+            default:
+                throw new Error(`Unknown operation: ${operation}`);
+        }
+    }
+
+    // Every ArrayBuffer reachable from a value, so results and inputs are moved instead of copied
+    static getTransferables(value, found = new Set()) {
+        if (value instanceof ArrayBuffer) {
+            found.add(value);
+        } else if (ArrayBuffer.isView(value)) {
+            found.add(value.buffer);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => PrivPDFWorkerHost.getTransferables(item, found));
+        } else if (value instanceof Map) {
+            value.forEach(item => PrivPDFWorkerHost.getTransferables(item, found));
+        } else if (value && typeof value === 'object' && !(value instanceof Blob)) {
+            Object.values(value).forEach(item => PrivPDFWorkerHost.getTransferables(item, found));
+        }
+        return [...found];
+    }
+}
+
+// Worker entry point
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    // The self-hosted copy first, then CDN builds of the same pinned version
+    const PDF_LIB_SOURCES = [
+        'vendor/pdf-lib/pdf-lib.min.js',
+        'https://cdn.jsdelivr.net/npm/pdf-lib@1.16.0/dist/pdf-lib.min.js',
+        'https://unpkg.com/pdf-lib@1.16.0/dist/pdf-lib.min.js'
+    ];
+    let host = null;
+
+    const init = () => {
+        for (const url of PDF_LIB_SOURCES) {
+            try {
+                importScripts(url);
+                break;
+            } catch (error) {
+                console.warn(`Worker could not load ${url}:`, error);
+            }
+        }
+        if (typeof PDFLib === 'undefined') {
+            throw new Error('PDF-lib could not be loaded in the worker');
+        }
+
+        importScripts('privpdf-operations.js', 'privpdf-outline.js', 'privpdf-capabilities.js', 'ghostscript-wasm.js', 'qpdf-encryption.js', 'pdf-protection.js');
+        host = new PrivPDFWorkerHost({
+            operations: new PrivPDFOperations(),
+            ghostscript: new GhostscriptWASM(),
+            pdfProtection: new PDFProtection()
+        });
+    };
+
+    self.onmessage = async (event) => {
+        const { type, id, operation, args } = event.data;
+
+        if (type === 'init') {
+            try {
+                init();
+                self.postMessage({ type: 'ready' });
+            } catch (error) {
+                self.postMessage({ type: 'init-error', message: error.message });
+            }
+            return;
+        }
+
+        // Cancelling terminates the worker, so no signal is needed here
+        const onProgress = (message, progress) => self.postMessage({ type: 'progress', id, message, progress });
+        try {
+            const result = await host.run(operation, args, onProgress);
+            self.postMessage({ type: 'result', id, result }, PrivPDFWorkerHost.getTransferables(result));
+        } catch (error) {
+            self.postMessage({ type: 'error', id, message: error.message || String(error) });
+        }
+    };
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFWorkerHost = PrivPDFWorkerHost;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFWorkerHost;
+}
@@ -0,0 +1,181 @@
+// PrivPDF Workspace - every document opened or produced in this session, each held once
+// Tools act on workspace documents, and a tool's result is added as a new version of the
+// document it was made from instead of being downloaded straight away.
+
+class PrivPDFWorkspace {
+    constructor() {
+        this.documents = new Map();
+        this.groups = new Map();
+        this.listeners = [];
+        this.nextId = 1;
+    }
+
+    // Size plus CRC-32, so the same file dropped twice is recognised
+    static fingerprint(bytes) {
+        const Zip = typeof PrivPDFZip !== 'undefined' ? PrivPDFZip : require('./privpdf-zip.js');
+        return `${bytes.length}:${Zip.crc32(bytes).toString(16)}`;
+    }
+
+    // reports/q1.pdf -> q1
+    static getBaseName(name) {
+        return name.split('/').pop().replace(/\.[^.]+$/, '');
+    }
+
+    // A result is named after the document it came from: q1.pdf + rotated.pdf -> q1_rotated.pdf
+    static getResultName(source, filename) {
+        return source ? `${PrivPDFWorkspace.getBaseName(source)}_${filename}` : filename;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    get(id) {
+        return this.documents.get(id) || null;
+    }
+
+    list() {
+        return [...this.documents.values()];
+    }
+
+    find(bytes) {
+        const fingerprint = PrivPDFWorkspace.fingerprint(bytes);
+        return this.list().find(doc => doc.fingerprint === fingerprint) || null;
+    }
+
+    // An opened file; returns the existing document when the same bytes are already here
+    add({ name, bytes, type = 'application/pdf', pageCount = null }) {
+        const fingerprint = PrivPDFWorkspace.fingerprint(bytes);
+        const existing = this.list().find(doc => doc.fingerprint === fingerprint);
+        if (existing) return existing;
+
+        return this.create({ name, bytes, type, pageCount, version: 1, parentId: null, tool: null, group: null, output: null, fingerprint });
+    }
+
+    // A tool's output. With a parent it becomes the parent's next version; output is what
+    // the operation returned ({ filename, startPage?, ... }), kept for ZIP downloads of a group.
+    addResult(parentId, { name, bytes, type = 'application/pdf', pageCount = null, tool, group = null, output = null }) {
+        const parent = this.get(parentId);
+        return this.create({
+            name,
+            bytes,
+            type,
+            pageCount,
+            version: parent ? parent.version + 1 : 1,
+            parentId: parent ? parent.id : null,
+            tool,
+            group,
+            output
+        });
+    }
+
+    create(fields) {
+        const bytes = fields.bytes instanceof Uint8Array ? fields.bytes : new Uint8Array(fields.bytes);
+        const doc = {
+            ...fields,
+            id: this.nextId++,
+            bytes,
+            size: bytes.length,
+            fingerprint: fields.fingerprint || PrivPDFWorkspace.fingerprint(bytes),
+            createdAt: new Date()
+        };
+        this.documents.set(doc.id, doc);
+        this.notify();
+        return doc;
+    }
+
+    // Fill in details found later, such as the page count
+    update(id, fields) {
+        const doc = this.get(id);
+        if (!doc) return null;
+
+        Object.assign(doc, fields);
+        this.notify();
+        return doc;
+    }
+
+    // Several outputs of one run share a group; options are the PrivPDFZip.bundle options
+    // used when the whole group is downloaded as one ZIP
+    createGroup(options = {}) {
+        const id = this.nextId++;
+        this.groups.set(id, options);
+        return id;
+    }
+
+    getGroup(id) {
+        if (!this.groups.has(id)) return null;
+        return {
+            options: this.groups.get(id),
+            documents: this.list().filter(doc => doc.group === id)
+        };
+    }
+
+    remove(id) {
+        const doc = this.get(id);
+        if (!doc) return false;
+
+        this.documents.delete(id);
+        if (doc.group !== null && !this.list().some(other => other.group === doc.group)) {
+            this.groups.delete(doc.group);
+        }
+        this.notify();
+        return true;
+    }
+
+    clear() {
+        this.documents.clear();
+        this.groups.clear();
+        this.notify();
+    }
+
+    // Everything but the bytes, for saving the session; restore() is given them back by id
+    serialize() {
+        return {
+            nextId: this.nextId,
+            documents: this.list().map(({ bytes, output, ...doc }) => ({
+                ...doc,
+                output: output ? { ...output, bytes: undefined } : null
+            })),
+            groups: [...this.groups]
+        };
+    }
+
+    // Documents whose bytes are missing are left out
+    restore({ nextId, documents, groups }, files) {
+        this.documents.clear();
+        documents.forEach(doc => {
+            const bytes = files[doc.id];
+            if (!bytes) return;
+            this.documents.set(doc.id, {
+                ...doc,
+                bytes,
+                createdAt: new Date(doc.createdAt),
+                output: doc.output ? { ...doc.output, bytes } : null
+            });
+        });
+        this.groups = new Map(groups.filter(([id]) => this.list().some(doc => doc.group === id)));
+        this.nextId = Math.max(this.nextId, nextId);
+        this.notify();
+    }
+
+    // The documents a version was made from, oldest first, ending with the document itself
+    getLineage(id) {
+        const lineage = [];
+        for (let doc = this.get(id); doc; doc = this.get(doc.parentId)) {
+            lineage.unshift(doc);
+        }
+        return lineage;
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFWorkspace = PrivPDFWorkspace;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFWorkspace;
+}
@@ -0,0 +1,247 @@
+// PrivPDF ZIP - dependency-free ZIP archive writer
+// Files are stored without compression: PDFs and images are already compressed,
+// so deflating them again costs time for almost no gain
+
+class PrivPDFZip {
+    constructor() {
+        this.entries = [];
+    }
+
+    static get CRC_TABLE() {
+        if (!PrivPDFZip._crcTable) {
+            const table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                table[n] = c >>> 0;
+            }
+            PrivPDFZip._crcTable = table;
+        }
+        return PrivPDFZip._crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = PrivPDFZip.CRC_TABLE;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date and time as used in ZIP headers (local time, 2 second resolution)
+    static dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    addFile(name, bytes, date = new Date()) {
+        if (!name) {
+            throw new Error('ZIP entries need a name');
+        }
+
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        this.entries.push({
+            name: name.replace(/\\/g, '/').replace(/^\/+/, ''),
+            data,
+            crc: PrivPDFZip.crc32(data),
+            date
+        });
+    }
+
+    hasFile(name) {
+        return this.entries.some(entry => entry.name === name);
+    }
+
+    // Fill a naming pattern. Tokens: {name} source file name without extension, {tool} the tool,
+    // {date} today as 2024-05-31, {index} output number, {start} and {end} first and last page,
+    // {pages} "3" or "3-5", {bookmark} and {separator} what a split part was named after.
+    // Unknown tokens are left as typed.
+    static formatName(pattern, values) {
+        return pattern.replace(/\{(\w+)\}/g, (match, token) =>
+            values[token] !== undefined && values[token] !== null ? String(values[token]) : match);
+    }
+
+    static formatDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // A name that is valid on Windows, macOS and Linux. Separators left at either end by empty
+    // tokens are dropped, and device names such as CON or NUL get an underscore.
+    static sanitizeName(name) {
+        const clean = name
+            .replace(/[\\/:*?"<>|\x00-\x1F]+/g, '_')
+            .slice(0, 200)
+            .replace(/^[\s._-]+|[\s._-]+$/g, '');
+        if (!clean) return 'file';
+        return /^(con|prn|aux|nul|com\d|lpt\d)(\.|$)/i.test(clean) ? `${clean}_` : clean;
+    }
+
+    // filename, or name_2.pdf and so on when names (a Set of lower-case names, updated) has it
+    static getUniqueName(filename, names) {
+        let name = filename;
+        for (let n = 2; names.has(name.toLowerCase()); n++) {
+            name = filename.replace(/(\.[^./]+)?$/, `_${n}$1`);
+        }
+        names.add(name.toLowerCase());
+        return name;
+    }
+
+    // File name for one output: the pattern when given, otherwise the name the operation chose.
+    // {0}, {1}... are the groups of a split by text pattern; parts without them keep their own name.
+    static getOutputName(output, index, count, { naming = '', source = '', tool = '', date = new Date() } = {}) {
+        const extension = (output.filename.match(/\.[^./]+$/) || [''])[0];
+        if (!naming) {
+            return output.filename;
+        }
+
+        const hasPages = output.startPage !== undefined;
+        const withGroups = output.groups ? naming.replace(/\{(\d+)\}/g, (match, n) => output.groups[n] || '') : naming;
+        const base = PrivPDFZip.formatName(withGroups, {
+            name: (output.source || source).split('/').pop().replace(/\.[^.]+$/, ''),
+            tool,
+            date: PrivPDFZip.formatDate(date),
+            index: String(index + 1).padStart(String(count).length, '0'),
+            start: hasPages ? output.startPage : '',
+            end: hasPages ? output.endPage : '',
+            pages: !hasPages ? '' : output.startPage === output.endPage ? output.startPage : `${output.startPage}-${output.endPage}`,
+            bookmark: output.bookmark || '',
+            separator: output.separator || ''
+        });
+        if (!base.trim()) {
+            return output.filename;
+        }
+        return PrivPDFZip.sanitizeName(base) + extension;
+    }
+
+    // Package the outputs of one operation as a ZIP with an optional manifest.json
+    // outputs: [{ filename, bytes, startPage?, endPage?, folder?, source? }]
+    // engines: [{ tool, engine, degraded }] that produced the outputs
+    static bundle(outputs, { tool = '', source = '', settings = {}, naming = '', manifest = true, errors = [], engines = [] } = {}) {
+        const zip = new PrivPDFZip();
+        const names = new Set(manifest ? ['manifest.json'] : []);
+        const files = outputs.map((output, index) => {
+            const filename = PrivPDFZip.getOutputName(output, index, outputs.length, { naming, source, tool });
+            const path = output.folder ? `${output.folder}/${filename}` : filename;
+
+            zip.addFile(PrivPDFZip.getUniqueName(path, names), output.bytes);
+
+            const entry = zip.entries[zip.entries.length - 1];
+            return {
+                name: entry.name,
+                size: entry.data.length,
+                crc32: entry.crc.toString(16).padStart(8, '0'),
+                ...(output.startPage !== undefined ? { startPage: output.startPage, endPage: output.endPage } : {}),
+                ...(output.source ? { source: output.source } : {})
+            };
+        });
+
+        if (manifest) {
+            const data = {
+                generator: 'PrivPDF',
+                tool,
+                source: source || undefined,
+                created: new Date().toISOString(),
+                settings,
+                engines: engines.length ? engines : undefined,
+                files,
+                errors: errors.length ? errors : undefined
+            };
+            zip.addFile('manifest.json', new TextEncoder().encode(JSON.stringify(data, null, 2)));
+        }
+
+        return zip.generate();
+    }
+
+    generate() {
+        if (this.entries.length > 0xFFFF) {
+            throw new Error('Too many files for one ZIP archive');
+        }
+
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const nameBytes = encoder.encode(entry.name);
+            const { time, date } = PrivPDFZip.dosDateTime(entry.date);
+            const size = entry.data.length;
+
+            if (size > 0xFFFFFFFF || offset > 0xFFFFFFFF) {
+                throw new Error('ZIP archive too large');
+            }
+
+            // Local file header
+            const local = new Uint8Array(30 + nameBytes.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034B50, true);
+            localView.setUint16(4, 20, true);        // version needed
+            localView.setUint16(6, 0x0800, true);    // UTF-8 names
+            localView.setUint16(8, 0, true);         // stored
+            localView.setUint16(10, time, true);
+            localView.setUint16(12, date, true);
+            localView.setUint32(14, entry.crc, true);
+            localView.setUint32(18, size, true);
+            localView.setUint32(22, size, true);
+            localView.setUint16(26, nameBytes.length, true);
+            localView.setUint16(28, 0, true);
+            local.set(nameBytes, 30);
+
+            // Central directory header
+            const central = new Uint8Array(46 + nameBytes.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014B50, true);
+            centralView.setUint16(4, 20, true);      // version made by
+            centralView.setUint16(6, 20, true);      // version needed
+            centralView.setUint16(8, 0x0800, true);
+            centralView.setUint16(10, 0, true);
+            centralView.setUint16(12, time, true);
+            centralView.setUint16(14, date, true);
+            centralView.setUint32(16, entry.crc, true);
+            centralView.setUint32(20, size, true);
+            centralView.setUint32(24, size, true);
+            centralView.setUint16(28, nameBytes.length, true);
+            centralView.setUint32(42, offset, true); // local header offset
+            central.set(nameBytes, 46);
+
+            localParts.push(local, entry.data);
+            centralParts.push(central);
+            offset += local.length + size;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+        // End of central directory record
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054B50, true);
+        endView.setUint16(8, this.entries.length, true);
+        endView.setUint16(10, this.entries.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+
+        const archive = new Uint8Array(offset + centralSize + end.length);
+        let position = 0;
+        [...localParts, ...centralParts, end].forEach(part => {
+            archive.set(part, position);
+            position += part.length;
+        });
+
+        return archive;
+    }
+}
+
+// Export for use in the browser and under Node
+if (typeof window !== 'undefined') {
+    window.PrivPDFZip = PrivPDFZip;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrivPDFZip;
+}
@@ -3,6 +3,7 @@
 if (typeof pdfjsLib !== 'undefined') {
     // Try multiple worker sources with fallbacks
     const workerSources = [
+        'vendor/pdfjs/pdf.worker.min.js',
         'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.54/build/pdf.worker.min.js',
         'https://unpkg.com/pdfjs-dist@5.4.54/build/pdf.worker.min.js',
         'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
@@ -51,8 +52,44 @@ class PrivPDF {
         this.selectedPages = new Set();
         this.pageRotations = new Map();
         this.pageOrder = [];
+        this.operations = new PrivPDFOperations();
         this.ghostscript = new GhostscriptWASM();
         this.pdfProtection = new PDFProtection();
+        const host = new PrivPDFWorkerHost({
+            operations: this.operations,
+            ghostscript: this.ghostscript,
+            pdfProtection: this.pdfProtection
+        });
+        this.worker = new PrivPDFWorkerClient({ fallback: host });
+        this.pipeline = new PrivPDFPipeline({
+            operations: this.operations,
+            ghostscript: this.ghostscript,
+            pdfProtection: this.pdfProtection,
+            capabilities: host.capabilities,
+            pageRenderer: async (bytes, options) => {
+                const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+                return await this.renderPDFPagesToImages(pdf, options);
+            },
+            separatorFinder: (bytes, options) => this.findSeparatorPages(bytes, options)
+        });
+        this.recipeSource = null;
+        this.pipelineMode = false;
+        this.pipelineResult = null;
+        this.histories = new Map();
+        this.toolSessions = new Map();
+        this.batchFiles = new Map();
+        this.mergePreviews = new Map();
+        this.workspace = new PrivPDFWorkspace();
+        this.workspaceFiles = new WeakMap();
+        this.lastResultId = null;
+        this.organizer = { sources: [], documents: [], nextId: 1 };
+        this.storage = new PrivPDFStorage();
+        this.persisting = false;
+        this.restoring = false;
+        this.lockedMeta = null;
+        this.saveTimer = null;
+        this.activeTask = null;
+        this.offline = new PrivPDFOffline();
         this.init();
     }
 
@@ -63,6 +100,17 @@ class PrivPDF {
         this.setupFileInputs();
         this.setupButtons();
         this.setupSettings();
+        this.setupNaming();
+        this.setupPipeline();
+        this.setupHistory();
+        this.setupBatch();
+        this.setupWorkspace();
+        this.setupOrganizer();
+        this.setupSortables();
+        this.setupPersistence();
+        document.getElementById('task-cancel').addEventListener('click', () => this.cancelTask());
+        this.worker.start();
+        this.setupOffline();
         this.showToast('Welcome to PrivPDF! Select a tool to get started.', 'success');
     }
 
@@ -118,6 +166,8 @@ class PrivPDF {
     }
 
     switchTool(tool) {
+        this.saveToolSession(this.currentTool);
+
         document.querySelectorAll('.tool-btn').forEach(btn => btn.classList.remove('active'));
         document.querySelectorAll('.tool-panel').forEach(panel => panel.classList.remove('active'));
         
@@ -126,6 +176,10 @@ class PrivPDF {
         
         this.currentTool = tool;
         this.resetTool();
+        const restored = this.restoreToolSession(tool);
+        this.renderWorkspace();
+        this.scheduleSave();
+        return restored;
     }
 
     resetTool() {
@@ -133,7 +187,9 @@ class PrivPDF {
         this.selectedPages.clear();
         this.pageRotations.clear();
         this.pageOrder = [];
-        
+        this.batchFiles.clear();
+        this.clearMergePreviews();
+
         document.querySelectorAll('.file-list').forEach(list => list.innerHTML = '');
         document.querySelectorAll('.page-thumbnails').forEach(container => {
             container.innerHTML = '';
@@ -145,7 +201,7 @@ class PrivPDF {
         document.querySelectorAll('.settings-grid').forEach(settings => {
             settings.style.display = 'none';
         });
-        document.querySelectorAll('.batch-actions').forEach(actions => {
+        document.querySelectorAll('.batch-actions, .batch-panel').forEach(actions => {
             actions.style.display = 'none';
         });
         document.querySelectorAll('.action-buttons button').forEach(btn => {
@@ -202,7 +258,9 @@ class PrivPDF {
 
         // Rotate tool
         document.getElementById('rotate-input').addEventListener('change', (e) => {
-            this.handleRotateFile(e.target.files[0]);
+            const files = Array.from(e.target.files);
+            if (files.length > 1) this.handleBatchFiles('rotate', files);
+            else this.handleRotateFile(files[0]);
         });
 
         // Reorder tool
@@ -224,19 +282,30 @@ class PrivPDF {
             this.handleAddSourceFile(e.target.files[0]);
         });
 
+        // Normalize page size tool
+        document.getElementById('normalize-input').addEventListener('change', (e) => {
+            this.handleNormalizeFile(e.target.files[0]);
+        });
+
         // Compress tool
         document.getElementById('compress-input').addEventListener('change', (e) => {
-            this.handleCompressFileWASM(e.target.files[0]);
+            const files = Array.from(e.target.files);
+            if (files.length > 1) this.handleBatchFiles('compress', files);
+            else this.handleCompressFileWASM(files[0]);
         });
 
         // Protect tool
         document.getElementById('protect-input').addEventListener('change', (e) => {
-            this.handleProtectFile(e.target.files[0]);
+            const files = Array.from(e.target.files);
+            if (files.length > 1) this.handleBatchFiles('protect', files);
+            else this.handleProtectFile(files[0]);
         });
 
         // Watermark tool
         document.getElementById('watermark-input').addEventListener('change', (e) => {
-            this.handleWatermarkFile(e.target.files[0]);
+            const files = Array.from(e.target.files);
+            if (files.length > 1) this.handleBatchFiles('watermark', files);
+            else this.handleWatermarkFile(files[0]);
         });
 
 
@@ -280,6 +349,9 @@ class PrivPDF {
         // Add pages button
         document.getElementById('add-button').addEventListener('click', () => this.addPages());
 
+        // Normalize button
+        document.getElementById('normalize-button').addEventListener('click', () => this.normalizePDF());
+
         // Compress button
         document.getElementById('compress-button').addEventListener('click', () => this.compressPDFWithWASM());
 
@@ -301,11 +373,39 @@ class PrivPDF {
     }
 
     setupSettings() {
+        // Merge mode change
+        document.getElementById('merge-mode').addEventListener('change', (e) => {
+            const interleave = e.target.value === 'interleave';
+            document.getElementById('merge-interleave-settings').style.display = interleave ? 'block' : 'none';
+            document.getElementById('merge-mode-hint').textContent = interleave ?
+                'Fronts in the first file and backs in the second, or one file with all fronts followed by all backs' : '';
+        });
+
+        // Merge page size change
+        document.getElementById('merge-page-size').addEventListener('change', (e) => {
+            document.getElementById('merge-normalize-settings').style.display = e.target.value ? 'block' : 'none';
+        });
+
         // Split method change
         document.getElementById('split-method').addEventListener('change', (e) => {
             const method = e.target.value;
             document.getElementById('split-pages-setting').style.display = method === 'pages' ? 'block' : 'none';
             document.getElementById('split-range-setting').style.display = method === 'range' ? 'block' : 'none';
+            document.getElementById('split-size-setting').style.display = method === 'size' ? 'block' : 'none';
+            document.getElementById('split-level-setting').style.display = method === 'bookmarks' ? 'block' : 'none';
+            document.getElementById('split-separator-setting').style.display = method === 'separators' ? 'block' : 'none';
+            document.getElementById('split-text-setting').style.display = method === 'pattern' ? 'block' : 'none';
+
+            // Parts split at bookmarks or a text pattern are named after them unless the pattern was changed
+            const naming = document.getElementById('split-naming');
+            const defaults = { bookmarks: '{bookmark}', pattern: '{1}' };
+            if (naming && ['{name}_{pages}', ...Object.values(defaults)].includes(naming.value)) {
+                naming.value = defaults[method] || '{name}_{pages}';
+            }
+        });
+        document.getElementById('split-preview-parts').addEventListener('click', () => this.previewPatternSplit());
+        document.getElementById('split-text-pattern').addEventListener('input', () => {
+            document.getElementById('split-plan').innerHTML = '';
         });
 
         // Add type change
@@ -360,6 +460,80 @@ class PrivPDF {
         });
     }
 
+    static get NAMING_KEY() {
+        return 'privpdf-naming';
+    }
+
+    // File name templates ({tool}-naming inputs) are remembered per tool in this browser
+    setupNaming() {
+        const saved = this.loadNamingTemplates();
+        document.querySelectorAll('.setting-input[id$="-naming"]').forEach(input => {
+            const tool = input.id.slice(0, -'-naming'.length);
+            if (typeof saved[tool] === 'string') input.value = saved[tool];
+            input.addEventListener('change', () => {
+                try {
+                    localStorage.setItem(PrivPDF.NAMING_KEY, JSON.stringify({ ...this.loadNamingTemplates(), [tool]: input.value.trim() }));
+                } catch (error) {
+                    console.warn('Could not remember the file name template:', error);
+                }
+            });
+        });
+    }
+
+    loadNamingTemplates() {
+        try {
+            return JSON.parse(localStorage.getItem(PrivPDF.NAMING_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Tools whose settings only hold the file name show them once a document is loaded
+    showNamingSettings(tool) {
+        const settings = document.getElementById(`${tool}-naming-settings`);
+        if (settings) settings.style.display = 'grid';
+    }
+
+    setupPipeline() {
+        const toggle = document.getElementById('pipeline-mode');
+        if (!toggle) return;
+
+        toggle.addEventListener('change', (e) => {
+            this.pipelineMode = e.target.checked;
+            document.getElementById('pipeline-bar').style.display = this.pipelineMode ? 'block' : 'none';
+            this.renderPipeline();
+        });
+
+        document.getElementById('pipeline-send').addEventListener('click', () => {
+            this.sendPipelineResultTo(document.getElementById('pipeline-target').value);
+        });
+        document.getElementById('pipeline-download').addEventListener('click', () => {
+            if (this.pipelineResult) {
+                this.downloadPDF(this.pipelineResult.bytes, this.pipelineResult.filename);
+            }
+        });
+        document.getElementById('pipeline-clear').addEventListener('click', () => this.clearPipeline());
+        document.getElementById('pipeline-replay-input').addEventListener('change', (e) => {
+            this.replayPipeline(Array.from(e.target.files));
+            e.target.value = '';
+        });
+
+        // Recipes
+        document.getElementById('recipe-export').addEventListener('click', () => this.exportRecipe());
+        document.getElementById('recipe-share').addEventListener('click', () => this.shareRecipe());
+        document.getElementById('recipe-import-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importRecipeFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('recipe-source-input').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            this.recipeSource = file ? await this.readFileBytes(file) : null;
+            if (file) this.showToast(`${file.name} will be used for Add Pages steps`, 'success');
+        });
+
+        this.loadRecipeFromURL();
+    }
+
     // File handling methods
     async handleMergeFiles(files) {
         const fileList = document.getElementById('merge-files');
@@ -372,10 +546,12 @@ class PrivPDF {
 
             const fileId = Date.now() + Math.random();
             this.loadedPDFs.set(fileId, file);
+            await this.addToWorkspace(file);
 
             const fileItem = document.createElement('div');
             fileItem.className = 'file-item';
             fileItem.dataset.fileId = fileId;
+            fileItem.dataset.rotation = 0;
             fileItem.innerHTML = `
                 <div class="file-info">
                     <span class="file-icon">📄</span>
@@ -389,11 +565,29 @@ class PrivPDF {
                     <button class="icon-btn" onclick="privpdf.moveFileDown('${fileId}')">↓</button>
                     <button class="icon-btn danger" onclick="privpdf.removeFile('${fileId}')">✕</button>
                 </div>
+                <div class="merge-entry-options">
+                    <input type="text" class="setting-input merge-range" placeholder="All pages (e.g. 1-3, 7)">
+                    <button class="icon-btn" onclick="privpdf.rotateMergeFile('${fileId}')" title="Rotate these pages clockwise">↻</button>
+                    <span class="file-size merge-summary"></span>
+                </div>
+                <div class="merge-strip"></div>
             `;
+            const range = fileItem.querySelector('.merge-range');
+            range.setAttribute('aria-label', `Pages of ${file.name} to merge`);
+            range.addEventListener('input', () => this.updateMergeStrip(fileItem));
             fileList.appendChild(fileItem);
+
+            try {
+                const pdf = await pdfjsLib.getDocument({ data: await this.readFileBytes(file) }).promise;
+                this.mergePreviews.set(String(fileId), { pdf, thumbnails: new Map() });
+                await this.updateMergeStrip(fileItem);
+            } catch (error) {
+                console.warn(`No preview for ${file.name}:`, error);
+            }
         }
 
         if (this.loadedPDFs.size > 0) {
+            document.getElementById('merge-settings').style.display = 'grid';
             document.getElementById('merge-button').style.display = 'inline-flex';
             document.getElementById('merge-clear').style.display = 'inline-flex';
         }
@@ -406,6 +600,7 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('split', file);
+        await this.addToWorkspace(file);
         
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
@@ -415,6 +610,47 @@ class PrivPDF {
         document.getElementById('split-button').style.display = 'inline-flex';
 
         this.renderPreview(pdf, 'split-canvas');
+        await this.updateSplitLevels(pdf);
+    }
+
+    // Separator pages of a PDF for a split at separators: [{ page, value }]. QR codes and
+    // barcodes are read with the browser's BarcodeDetector where there is one.
+    async findSeparatorPages(bytes, options, task = null) {
+        const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+        const canvas = {
+            create: (width, height) => Object.assign(document.createElement('canvas'), { width, height })
+        };
+        if (typeof BarcodeDetector !== 'undefined') {
+            canvas.readCodes = async (target) => (await new BarcodeDetector().detect(target)).map(code => code.rawValue);
+        }
+
+        try {
+            return await this.operations.findSeparators(pdf, options, canvas, task);
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    // Offer the outline levels of the loaded document, with the number of bookmarks on each
+    async updateSplitLevels(pdf) {
+        const counts = [];
+        const count = (items, depth) => (items || []).forEach(item => {
+            counts[depth] = (counts[depth] || 0) + 1;
+            count(item.items, depth + 1);
+        });
+        count(await pdf.getOutline(), 0);
+
+        const select = document.getElementById('split-level');
+        const selected = select.value;
+        select.innerHTML = '';
+        if (counts.length === 0) {
+            select.add(new Option('No bookmarks in this PDF', '1'));
+            return;
+        }
+        counts.forEach((n, depth) => {
+            select.add(new Option(`Level ${depth + 1}${depth === 0 ? ' (top)' : ''} - ${n} bookmark${n === 1 ? '' : 's'}`, String(depth + 1)));
+        });
+        if (selected <= counts.length) select.value = selected;
     }
 
     async handleExtractFile(file) {
@@ -424,7 +660,9 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('extract', file);
-        
+        await this.addToWorkspace(file);
+        this.getHistory('extract').clear();
+
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
         
@@ -434,6 +672,7 @@ class PrivPDF {
         
         document.getElementById('extract-batch').style.display = 'flex';
         document.getElementById('extract-button').style.display = 'inline-flex';
+        this.showNamingSettings('extract');
 
         for (let i = 1; i <= pdf.numPages; i++) {
             const thumbnail = await this.createPageThumbnail(pdf, i, 'extract');
@@ -448,7 +687,9 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('rotate', file);
-        
+        await this.addToWorkspace(file);
+        this.getHistory('rotate').clear();
+
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
         
@@ -458,6 +699,7 @@ class PrivPDF {
         
         document.getElementById('rotate-batch').style.display = 'flex';
         document.getElementById('rotate-save').style.display = 'inline-flex';
+        this.showNamingSettings('rotate');
 
         for (let i = 1; i <= pdf.numPages; i++) {
             const thumbnail = await this.createRotatableThumbnail(pdf, i);
@@ -472,7 +714,9 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('reorder', file);
-        
+        await this.addToWorkspace(file);
+        this.getHistory('reorder').clear();
+
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
         
@@ -482,6 +726,7 @@ class PrivPDF {
         
         document.getElementById('reorder-save').style.display = 'inline-flex';
         document.getElementById('reorder-reset').style.display = 'inline-flex';
+        this.showNamingSettings('reorder');
 
         this.pageOrder = [];
         for (let i = 1; i <= pdf.numPages; i++) {
@@ -489,8 +734,6 @@ class PrivPDF {
             const thumbnail = await this.createDraggableThumbnail(pdf, i);
             thumbnailsContainer.appendChild(thumbnail);
         }
-
-        this.setupDragAndDrop(thumbnailsContainer);
     }
 
     async handleDeleteFile(file) {
@@ -500,7 +743,9 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('delete', file);
-        
+        await this.addToWorkspace(file);
+        this.getHistory('delete').clear();
+
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
         
@@ -510,6 +755,7 @@ class PrivPDF {
         
         document.getElementById('delete-batch').style.display = 'flex';
         document.getElementById('delete-button').style.display = 'inline-flex';
+        this.showNamingSettings('delete');
 
         for (let i = 1; i <= pdf.numPages; i++) {
             const thumbnail = await this.createSelectableThumbnail(pdf, i, 'delete');
@@ -524,7 +770,9 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('add-base', file);
-        
+        await this.addToWorkspace(file);
+        this.getHistory('add').clear();
+
         document.getElementById('add-settings').style.display = 'grid';
         document.getElementById('add-button').style.display = 'inline-flex';
         
@@ -533,13 +781,29 @@ class PrivPDF {
         document.getElementById('add-after-page').max = pdf.numPages;
     }
 
+    async handleNormalizeFile(file) {
+        if (!file || file.type !== 'application/pdf') {
+            this.showToast('Please select a valid PDF file', 'error');
+            return;
+        }
+
+        this.loadedPDFs.set('normalize', file);
+        await this.addToWorkspace(file);
+
+        document.getElementById('normalize-settings').style.display = 'grid';
+        document.getElementById('normalize-button').style.display = 'inline-flex';
+    }
+
     async handleAddSourceFile(file) {
         if (!file || file.type !== 'application/pdf') {
             this.showToast('Please select a valid PDF file', 'error');
             return;
         }
 
-        this.loadedPDFs.set('add-source', file);
+        await this.addToWorkspace(file);
+        this.changePageState(`Add pages from ${file.name}`, () => {
+            this.loadedPDFs.set('add-source', file);
+        });
         this.showToast('Source PDF loaded successfully', 'success');
     }
 
@@ -550,6 +814,7 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('compress', file);
+        await this.addToWorkspace(file);
         
         // Show compression settings - with error checking
         const settingsEl = document.getElementById('compress-settings');
@@ -561,12 +826,9 @@ class PrivPDF {
         if (buttonEl) buttonEl.style.display = 'inline-flex';
         if (sizeEl) sizeEl.textContent = this.formatFileSize(file.size);
         
-        // Update WASM status
+        // Update WASM status (Ghostscript runs in the worker)
         if (wasmStatusEl) {
-            const status = this.ghostscript.getStatus();
-            wasmStatusEl.textContent = status === 'not-loaded' ? 'Not loaded' : 
-                                     status === 'loading' ? 'Loading...' : 'Ready';
-            wasmStatusEl.className = `wasm-status ${status}`;
+            await this.updateEngineStatus(wasmStatusEl, 'compress');
         }
         
         this.showToast('PDF loaded for compression. Select quality and compress!', 'success');
@@ -579,6 +841,7 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('watermark', file);
+        await this.addToWorkspace(file);
         
         document.getElementById('watermark-settings').style.display = 'grid';
         document.getElementById('watermark-button').style.display = 'inline-flex';
@@ -614,6 +877,7 @@ class PrivPDF {
 
             const fileId = Date.now() + Math.random();
             this.loadedPDFs.set(fileId, file);
+            await this.addToWorkspace(file);
 
             const fileItem = document.createElement('div');
             fileItem.className = 'file-item';
@@ -649,6 +913,7 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('pdftoimage', file);
+        await this.addToWorkspace(file);
         this.currentPage = 1;
         
         const arrayBuffer = await file.arrayBuffer();
@@ -662,188 +927,169 @@ class PrivPDF {
         this.renderPDFToImagePreview();
     }
 
-    // PDF operations
+    // PDF operations - settings are read from the panels, the work is done by PrivPDFOperations
+    async readFileBytes(file) {
+        return new Uint8Array(await file.arrayBuffer());
+    }
+
     async mergePDFs() {
         try {
             this.showToast('Merging PDFs...', 'success');
             
-            const mergedPdf = await PDFLib.PDFDocument.create();
             const fileItems = document.querySelectorAll('#merge-files .file-item');
+            const inputs = [];
+            const names = [];
+            const ranges = [];
+            const rotations = [];
             
             for (const item of fileItems) {
-                const fileId = parseFloat(item.dataset.fileId);
-                const file = this.loadedPDFs.get(fileId);
-                
-                const arrayBuffer = await file.arrayBuffer();
-                const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-                const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-                pages.forEach(page => mergedPdf.addPage(page));
+                const file = this.loadedPDFs.get(parseFloat(item.dataset.fileId));
+                inputs.push(await this.readFileBytes(file));
+                names.push(file.name);
+                ranges.push(item.querySelector('.merge-range').value);
+                rotations.push(parseInt(item.dataset.rotation) || 0);
             }
             
-            const mergedBytes = await mergedPdf.save();
-            this.downloadPDF(mergedBytes, 'merged.pdf');
+            const options = this.getMergeOptions();
+            const mergedBytes = await this.runTask('merge', [inputs, { ...options, names, ranges, rotations }]);
+            this.deliverResult('merge', mergedBytes, options.mode === 'interleave' ? 'interleaved.pdf' : 'merged.pdf', options);
             
             this.showToast('PDFs merged successfully!', 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error merging PDFs: ' + error.message, 'error');
         }
     }
 
+    getMergeOptions() {
+        return {
+            mode: document.getElementById('merge-mode').value,
+            reverseBacks: document.getElementById('merge-reverse-backs').checked,
+            unequal: document.getElementById('merge-unequal').value,
+            bookmarks: document.getElementById('merge-bookmarks').checked,
+            tableOfContents: document.getElementById('merge-toc').checked,
+            pageSize: document.getElementById('merge-page-size').value,
+            fit: document.getElementById('merge-fit').value,
+            autoRotate: document.getElementById('merge-auto-rotate').checked
+        };
+    }
+
+    getSplitOptions() {
+        const method = document.getElementById('split-method').value;
+        return {
+            method,
+            pagesPerDoc: parseInt(document.getElementById('split-pages').value),
+            ranges: document.getElementById('split-ranges').value,
+            maxSize: Math.floor(parseFloat(document.getElementById('split-max-size').value) * 1024 * 1024),
+            level: parseInt(document.getElementById('split-level').value),
+            detect: document.getElementById('split-detect').value,
+            pattern: document.getElementById(method === 'pattern' ? 'split-text-pattern' : 'split-pattern').value,
+            dropSeparators: document.getElementById('split-drop-separators').checked
+        };
+    }
+
     async splitPDF() {
         try {
             this.showToast('Splitting PDF...', 'info');
             
             const file = this.loadedPDFs.get('split');
-            const method = document.getElementById('split-method').value;
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            const totalPages = pdf.getPageCount();
-            
-            let filesCreated = 0;
+            const options = this.getSplitOptions();
+            const bytes = await this.readFileBytes(file);
+            // Separator pages and pattern matches are found here, where pdf.js can read them; the split runs in the worker
+            const separators = options.method === 'separators'
+                ? await this.runWithProgress(task => this.findSeparatorPages(bytes, options, task))
+                : [];
+            const matches = options.method === 'pattern'
+                ? await this.runWithProgress(task => this.findSeparatorPages(bytes, { ...options, detect: 'text' }, task))
+                : [];
+            const { parts, skipped, oversized } = await this.runTask('split', [bytes, { ...options, separators, matches }]);
+            
+            skipped.forEach(range => this.showToast(`Invalid range: ${range}. Skipping...`, 'warning'));
+            oversized.forEach(({ page, size }) => this.showToast(PrivPDFPipeline.describeOversized(page, size), 'warning'));
+            this.recordPipelineStep('split', options);
+            this.deliverFiles('split', parts, {
+                source: file.name,
+                settings: options,
+                engines: [await this.getEngineRecord('split')]
+            });
             
-            if (method === 'single') {
-                // Extract each page as a separate PDF
-                for (let i = 0; i < totalPages; i++) {
-                    const newPdf = await PDFLib.PDFDocument.create();
-                    const [page] = await newPdf.copyPages(pdf, [i]);
-                    newPdf.addPage(page);
-                    const bytes = await newPdf.save();
-                    this.downloadPDF(bytes, `page_${i + 1}.pdf`);
-                    filesCreated++;
-                }
-                this.showToast(`Split into ${filesCreated} individual pages successfully!`, 'success');
-                
-            } else if (method === 'pages') {
-                // Split by page count
-                const pagesPerDoc = parseInt(document.getElementById('split-pages').value);
-                
-                if (pagesPerDoc <= 0 || pagesPerDoc > totalPages) {
-                    this.showToast('Invalid page count. Please enter a valid number.', 'error');
-                    return;
-                }
-                
-                for (let i = 0; i < totalPages; i += pagesPerDoc) {
-                    const newPdf = await PDFLib.PDFDocument.create();
-                    const endPage = Math.min(i + pagesPerDoc, totalPages);
-                    const indices = Array.from({ length: endPage - i }, (_, idx) => i + idx);
-                    const pages = await newPdf.copyPages(pdf, indices);
-                    pages.forEach(page => newPdf.addPage(page));
-                    const bytes = await newPdf.save();
-                    
-                    const startPage = i + 1;
-                    const endPageNum = endPage;
-                    this.downloadPDF(bytes, `pages_${startPage}-${endPageNum}.pdf`);
-                    filesCreated++;
-                }
-                this.showToast(`Split into ${filesCreated} files (${pagesPerDoc} pages each)!`, 'success');
-                
-            } else if (method === 'range') {
-                // Split by custom ranges
-                const rangeInput = document.getElementById('split-ranges').value;
-                
-                if (!rangeInput.trim()) {
-                    this.showToast('Please enter page ranges (e.g., 1-3, 4-6)', 'error');
-                    return;
-                }
-                
-                const ranges = rangeInput.split(',').map(r => r.trim());
-                
-                for (let idx = 0; idx < ranges.length; idx++) {
-                    const range = ranges[idx];
-                    
-                    // Parse range (e.g., "1-3" or "5")
-                    let startPage, endPage;
-                    
-                    if (range.includes('-')) {
-                        const parts = range.split('-').map(n => parseInt(n.trim()));
-                        startPage = parts[0];
-                        endPage = parts[1];
-                    } else {
-                        startPage = endPage = parseInt(range.trim());
-                    }
-                    
-                    // Validate range
-                    if (isNaN(startPage) || isNaN(endPage) || 
-                        startPage < 1 || endPage > totalPages || 
-                        startPage > endPage) {
-                        this.showToast(`Invalid range: ${range}. Skipping...`, 'warning');
-                        continue;
-                    }
-                    
-                    const newPdf = await PDFLib.PDFDocument.create();
-                    const indices = Array.from(
-                        { length: endPage - startPage + 1 }, 
-                        (_, i) => startPage - 1 + i
-                    );
-                    const pages = await newPdf.copyPages(pdf, indices);
-                    pages.forEach(page => newPdf.addPage(page));
-                    const bytes = await newPdf.save();
-                    
-                    const filename = startPage === endPage 
-                        ? `page_${startPage}.pdf` 
-                        : `pages_${startPage}-${endPage}.pdf`;
-                    this.downloadPDF(bytes, filename);
-                    filesCreated++;
-                }
-                
-                if (filesCreated > 0) {
-                    this.showToast(`Split into ${filesCreated} files based on ranges!`, 'success');
-                } else {
-                    this.showToast('No valid ranges found. Please check your input.', 'error');
-                }
-                
-            } else if (method === 'size') {
-                // Split by file size (approximation)
-                this.showToast('Split by size: Creating balanced files...', 'info');
-                
-                // Estimate pages per file based on original size
-                const targetSizeKB = 1024; // 1MB target per file
-                const fileSizeKB = file.size / 1024;
-                const pagesPerFile = Math.max(1, Math.floor((targetSizeKB / fileSizeKB) * totalPages));
-                
-                for (let i = 0; i < totalPages; i += pagesPerFile) {
-                    const newPdf = await PDFLib.PDFDocument.create();
-                    const endPage = Math.min(i + pagesPerFile, totalPages);
-                    const indices = Array.from({ length: endPage - i }, (_, idx) => i + idx);
-                    const pages = await newPdf.copyPages(pdf, indices);
-                    pages.forEach(page => newPdf.addPage(page));
-                    const bytes = await newPdf.save();
-                    
-                    this.downloadPDF(bytes, `part_${filesCreated + 1}.pdf`);
-                    filesCreated++;
-                }
-                
-                this.showToast(`Split into ${filesCreated} files (size-balanced)!`, 'success');
+            if (options.method === 'single') {
+                this.showToast(`Split into ${parts.length} individual pages successfully!`, 'success');
+            } else if (options.method === 'pages') {
+                this.showToast(`Split into ${parts.length} files (${options.pagesPerDoc} pages each)!`, 'success');
+            } else if (options.method === 'range') {
+                this.showToast(`Split into ${parts.length} files based on ranges!`, 'success');
+            } else if (options.method === 'bookmarks') {
+                this.showToast(`Split into ${parts.length} files at level ${options.level} bookmarks!`, 'success');
+            } else if (options.method === 'separators') {
+                this.showToast(`Found ${separators.length} separator page${separators.length === 1 ? '' : 's'}, split into ${parts.length} files!`, 'success');
+            } else if (options.method === 'pattern') {
+                this.showToast(`The pattern matched ${matches.length} page${matches.length === 1 ? '' : 's'}, split into ${parts.length} files!`, 'success');
+            } else {
+                this.showToast(`Split into ${parts.length} files of up to ${this.formatFileSize(options.maxSize)}!`, 'success');
             }
             
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error splitting PDF: ' + error.message, 'error');
             console.error('Split error:', error);
         }
     }
 
-    async extractPages() {
+    // List the parts a split by text pattern would make, with their file names, before splitting
+    async previewPatternSplit() {
+        const list = document.getElementById('split-plan');
+        list.innerHTML = '';
         try {
-            const file = this.loadedPDFs.get('extract');
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            const selectedIndices = Array.from(this.selectedPages).map(p => p - 1).sort((a, b) => a - b);
-            
-            if (selectedIndices.length === 0) {
-                this.showToast('Please select pages to extract', 'error');
+            const file = this.loadedPDFs.get('split');
+            const options = this.getSplitOptions();
+            if (!options.pattern) {
+                this.showToast('Enter a text pattern first', 'warning');
                 return;
             }
+
+            const bytes = await this.readFileBytes(file);
+            const matches = await this.runWithProgress(task => this.findSeparatorPages(bytes, { ...options, detect: 'text' }, task));
+            const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+            const plan = PrivPDFOperations.planPatternParts(matches, pdf.numPages);
+            await pdf.destroy();
+            if (plan.length === 0) {
+                this.showToast('The pattern was not found in this PDF', 'warning');
+                return;
+            }
+
+            const { naming } = this.getArchiveOptions('split');
+            const names = new Set(this.workspace.list().map(doc => doc.name.toLowerCase()));
+            plan.forEach((part, index) => {
+                const pages = part.startPage === part.endPage ? `Page ${part.startPage}` : `Pages ${part.startPage}-${part.endPage}`;
+                const item = document.createElement('div');
+                item.className = 'file-item';
+                item.innerHTML = `
+                    <div class="file-details">
+                        <span class="file-name"></span>
+                        <span class="file-size">${pages}</span>
+                    </div>
+                `;
+                item.querySelector('.file-name').textContent = PrivPDFZip.getUniqueName(
+                    PrivPDFZip.getOutputName(part, index, plan.length, { naming, source: file.name, tool: 'split' }), names);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.showToast('Error previewing parts: ' + error.message, 'error');
+        }
+    }
+
+    async extractPages() {
+        try {
+            const file = this.loadedPDFs.get('extract');
+            const options = { pages: Array.from(this.selectedPages) };
+            const bytes = await this.runTask('extractPages', [await this.readFileBytes(file), options]);
+            this.deliverResult('extract', bytes, 'extracted_pages.pdf', options);
             
-            const newPdf = await PDFLib.PDFDocument.create();
-            const pages = await newPdf.copyPages(pdf, selectedIndices);
-            pages.forEach(page => newPdf.addPage(page));
-            
-            const bytes = await newPdf.save();
-            this.downloadPDF(bytes, 'extracted_pages.pdf');
-            
-            this.showToast(`Extracted ${selectedIndices.length} pages successfully!`, 'success');
+            this.showToast(`Extracted ${this.selectedPages.size} pages successfully!`, 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error extracting pages: ' + error.message, 'error');
         }
     }
@@ -851,21 +1097,13 @@ class PrivPDF {
     async saveRotatedPDF() {
         try {
             const file = this.loadedPDFs.get('rotate');
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            this.pageRotations.forEach((rotation, pageNum) => {
-                if (rotation !== 0) {
-                    const page = pdf.getPage(pageNum - 1);
-                    page.setRotation(PDFLib.degrees(rotation));
-                }
-            });
-            
-            const bytes = await pdf.save();
-            this.downloadPDF(bytes, 'rotated.pdf');
+            const options = { rotations: Object.fromEntries(this.pageRotations) };
+            const bytes = await this.runTask('rotatePages', [await this.readFileBytes(file), options]);
+            this.deliverResult('rotate', bytes, 'rotated.pdf', options);
             
             this.showToast('PDF rotated successfully!', 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error rotating PDF: ' + error.message, 'error');
         }
     }
@@ -873,19 +1111,13 @@ class PrivPDF {
     async saveReorderedPDF() {
         try {
             const file = this.loadedPDFs.get('reorder');
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            const newPdf = await PDFLib.PDFDocument.create();
-            const reorderedIndices = this.pageOrder.map(p => p - 1);
-            const pages = await newPdf.copyPages(pdf, reorderedIndices);
-            pages.forEach(page => newPdf.addPage(page));
-            
-            const bytes = await newPdf.save();
-            this.downloadPDF(bytes, 'reordered.pdf');
+            const options = { order: [...this.pageOrder] };
+            const bytes = await this.runTask('reorderPages', [await this.readFileBytes(file), options]);
+            this.deliverResult('reorder', bytes, 'reordered.pdf', options);
             
             this.showToast('Pages reordered successfully!', 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error reordering pages: ' + error.message, 'error');
         }
     }
@@ -893,80 +1125,65 @@ class PrivPDF {
     async deletePages() {
         try {
             const file = this.loadedPDFs.get('delete');
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            const pagesToKeep = [];
-            for (let i = 1; i <= pdf.getPageCount(); i++) {
-                if (!this.selectedPages.has(i)) {
-                    pagesToKeep.push(i - 1);
-                }
-            }
-            
-            if (pagesToKeep.length === 0) {
-                this.showToast('Cannot delete all pages', 'error');
-                return;
-            }
-            
-            const newPdf = await PDFLib.PDFDocument.create();
-            const pages = await newPdf.copyPages(pdf, pagesToKeep);
-            pages.forEach(page => newPdf.addPage(page));
-            
-            const bytes = await newPdf.save();
-            this.downloadPDF(bytes, 'pages_deleted.pdf');
+            const options = { pages: Array.from(this.selectedPages) };
+            const bytes = await this.runTask('deletePages', [await this.readFileBytes(file), options]);
+            this.deliverResult('delete', bytes, 'pages_deleted.pdf', options);
             
             this.showToast(`Deleted ${this.selectedPages.size} pages successfully!`, 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error deleting pages: ' + error.message, 'error');
         }
     }
 
+    getAddOptions() {
+        return {
+            type: document.getElementById('add-type').value,
+            count: parseInt(document.getElementById('add-blank-count').value),
+            position: document.getElementById('add-position').value,
+            afterPage: parseInt(document.getElementById('add-after-page').value)
+        };
+    }
+
     async addPages() {
         try {
             const baseFile = this.loadedPDFs.get('add-base');
-            const arrayBuffer = await baseFile.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            const addType = document.getElementById('add-type').value;
-            const position = document.getElementById('add-position').value;
+            const sourceFile = this.loadedPDFs.get('add-source');
+            const options = this.getAddOptions();
+            options.source = options.type === 'from-pdf' && sourceFile ? await this.readFileBytes(sourceFile) : null;
             
-            let insertIndex = pdf.getPageCount();
-            if (position === 'start') {
-                insertIndex = 0;
-            } else if (position === 'after') {
-                insertIndex = parseInt(document.getElementById('add-after-page').value);
-            }
-            
-            if (addType === 'blank') {
-                const count = parseInt(document.getElementById('add-blank-count').value);
-                for (let i = 0; i < count; i++) {
-                    const page = pdf.insertPage(insertIndex + i);
-                }
-            } else {
-                const sourceFile = this.loadedPDFs.get('add-source');
-                if (!sourceFile) {
-                    this.showToast('Please select a source PDF', 'error');
-                    return;
-                }
-                
-                const sourceBuffer = await sourceFile.arrayBuffer();
-                const sourcePdf = await PDFLib.PDFDocument.load(sourceBuffer);
-                const pages = await pdf.copyPages(sourcePdf, sourcePdf.getPageIndices());
-                
-                pages.forEach((page, i) => {
-                    pdf.insertPage(insertIndex + i, page);
-                });
-            }
-            
-            const bytes = await pdf.save();
-            this.downloadPDF(bytes, 'pages_added.pdf');
+            const bytes = await this.runTask('addPages', [await this.readFileBytes(baseFile), options]);
+            this.deliverResult('add', bytes, 'pages_added.pdf', options);
             
             this.showToast('Pages added successfully!', 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error adding pages: ' + error.message, 'error');
         }
     }
 
+    getNormalizeOptions() {
+        return {
+            pageSize: document.getElementById('normalize-size').value,
+            fit: document.getElementById('normalize-fit').value,
+            autoRotate: document.getElementById('normalize-auto-rotate').checked
+        };
+    }
+
+    async normalizePDF() {
+        try {
+            const file = this.loadedPDFs.get('normalize');
+            const options = this.getNormalizeOptions();
+            const bytes = await this.runTask('normalize', [await this.readFileBytes(file), options]);
+            this.deliverResult('normalize', bytes, 'normalized.pdf', options);
+
+            this.showToast('Pages normalized successfully!', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.showToast('Error normalizing pages: ' + error.message, 'error');
+        }
+    }
+
     async compressPDFWithWASM() {
         try {
             const file = this.loadedPDFs.get('compress');
@@ -994,44 +1211,29 @@ class PrivPDF {
             compressButton.disabled = true;
             compressButton.textContent = 'Compressing...';
 
-            // Load WASM module if not already loaded
-            if (this.ghostscript.getStatus() === 'not-loaded') {
+            // The worker loads the WASM module on first use
+            const { compress: capability } = await this.worker.run('capabilities');
+            if (capability.status === 'not-loaded') {
                 wasmStatus.textContent = 'Loading...';
                 wasmStatus.className = 'wasm-status loading';
-
-                await this.ghostscript.loadModule((message, progress) => {
-                    progressText.textContent = message;
-                    progressFill.style.width = `${progress}%`;
-                });
-
-                wasmStatus.textContent = 'Ready';
-                wasmStatus.className = 'wasm-status ready';
             }
 
-            // Convert file to ArrayBuffer
-            const arrayBuffer = await file.arrayBuffer();
-
-            // Compress using Ghostscript WASM
-            const result = await this.ghostscript.module.compress(
-                arrayBuffer,
-                quality,
-                (message, progress) => {
+            // Compress using Ghostscript WASM in the worker
+            const result = await this.runTask('compress', [await this.readFileBytes(file), quality], {
+                onProgress: (message, progress) => {
                     progressText.textContent = message;
                     progressFill.style.width = `${progress}%`;
-                },
-                (status) => {
-                    console.log('Compression status:', status);
                 }
-            );
+            });
 
             if (result.success) {
-                // Download compressed PDF
-                this.downloadPDF(result.data, 'compressed.pdf');
+                // Keep the compressed PDF in the workspace
+                this.deliverResult('compress', result.data, 'compressed.pdf', { quality });
                 
                 // Show success message
                 this.showToast(
                     `✅ Compression Complete!\n` +
-                    `Method: ${result.method || 'Ghostscript WASM'}\n` +
+                    `Engine: ${result.engine}\n` +
                     `Original: ${this.formatFileSize(result.originalSize)}\n` +
                     `Compressed: ${this.formatFileSize(result.compressedSize)}\n` +
                     `Reduction: ${result.reduction}%\n` +
@@ -1050,9 +1252,12 @@ class PrivPDF {
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('WASM compression error:', error);
             this.showToast(`Compression failed: ${error.message}`, 'error');
         } finally {
+            const wasmStatus = document.getElementById('wasm-status');
+            if (wasmStatus) this.updateEngineStatus(wasmStatus, 'compress');
             // Reset UI
             if (progressElement) progressElement.style.display = 'none';
             if (compressButton) {
@@ -1077,6 +1282,7 @@ class PrivPDF {
         }
 
         this.loadedPDFs.set('protect', file);
+        await this.addToWorkspace(file);
         
         // Check if it's an encrypted file
         const arrayBuffer = await file.arrayBuffer();
@@ -1103,24 +1309,63 @@ class PrivPDF {
         this.updateSecurityStatus();
     }
 
-    updateSecurityStatus() {
+    async updateSecurityStatus() {
         const statusEl = document.getElementById('security-status');
         if (!statusEl) return;
         
-        const methods = this.pdfProtection.getAvailableMethods();
+        const { protect } = await this.worker.run('capabilities');
         
-        if (methods.webCrypto) {
-            statusEl.textContent = 'AES-256 encryption available';
+        if (protect.status === 'real') {
+            statusEl.textContent = `Password encryption available (${protect.name})`;
             statusEl.className = 'security-status high';
-        } else if (methods.pdfLib) {
-            statusEl.textContent = 'Basic protection available';
-            statusEl.className = 'security-status medium';
-        } else {
-            statusEl.textContent = 'Limited protection available';
+        } else if (protect.status === 'degraded') {
+            statusEl.textContent = `No password encryption: ${protect.note}`;
             statusEl.className = 'security-status low';
+        } else {
+            statusEl.textContent = `Password encryption: ${protect.name} loads on first use`;
+            statusEl.className = 'security-status medium';
         }
     }
 
+    // Show an engine's real state: ready, loads on first use, or unavailable (and why)
+    async updateEngineStatus(element, operation) {
+        const capability = (await this.worker.run('capabilities'))[operation];
+        element.textContent = {
+            real: `Ready: ${capability.name}`,
+            loading: 'Loading...',
+            'not-loaded': 'Not loaded',
+            unavailable: `Unavailable${capability.note ? `: ${capability.note}` : ''}`
+        }[capability.status];
+        element.className = `wasm-status ${{ real: 'ready', unavailable: 'error' }[capability.status] || capability.status}`;
+    }
+
+    // The engine behind an operation, as recorded in ZIP manifests
+    async getEngineRecord(tool, operation = tool) {
+        const { name, status } = (await this.worker.run('capabilities'))[operation];
+        return { tool, engine: name, degraded: status !== 'real' };
+    }
+
+    // Add the engine named by a compress or protect result to a manifest's engine list, once
+    static recordEngine(engines, tool, result) {
+        if (!engines.some(entry => entry.engine === result.engine)) {
+            engines.push({ tool, engine: result.engine, degraded: !!result.degraded });
+        }
+    }
+
+    getProtectOptions() {
+        return {
+            method: document.getElementById('protect-method')?.value || 'auto',
+            userPassword: document.getElementById('protect-user-password')?.value || '',
+            ownerPassword: document.getElementById('protect-owner-password')?.value || '',
+            permissions: {
+                print: document.getElementById('protect-print')?.checked || true,
+                copy: document.getElementById('protect-copy')?.checked || true,
+                modify: document.getElementById('protect-modify')?.checked || true,
+                annotate: document.getElementById('protect-annotate')?.checked || true
+            }
+        };
+    }
+
     async protectPDFWithEncryption() {
         try {
             const file = this.loadedPDFs.get('protect');
@@ -1130,19 +1375,10 @@ class PrivPDF {
             }
 
             // Get protection settings
-            const method = document.getElementById('protect-method')?.value || 'auto';
-            const userPassword = document.getElementById('protect-user-password')?.value || '';
-            const ownerPassword = document.getElementById('protect-owner-password')?.value || '';
-            
-            const permissions = {
-                print: document.getElementById('protect-print')?.checked || true,
-                copy: document.getElementById('protect-copy')?.checked || true,
-                modify: document.getElementById('protect-modify')?.checked || true,
-                annotate: document.getElementById('protect-annotate')?.checked || true
-            };
+            const { method, userPassword, ownerPassword, permissions } = this.getProtectOptions();
 
             // Validate input
-            if (method === 'encryption' && !userPassword && !ownerPassword) {
+            if (['password', 'encryption'].includes(method) && !userPassword && !ownerPassword) {
                 this.showToast('Password required for encryption', 'error');
                 return;
             }
@@ -1168,38 +1404,47 @@ class PrivPDF {
             if (progressText) progressText.textContent = 'Applying protection...';
             if (progressFill) progressFill.style.width = '50%';
 
-            const result = await this.pdfProtection.protectPDF(arrayBuffer, {
+            const result = await this.runTask('protect', [arrayBuffer, {
                 method,
                 userPassword,
                 ownerPassword,
                 permissions
-            });
+            }]);
 
             if (progressFill) progressFill.style.width = '100%';
             if (progressText) progressText.textContent = 'Protection complete!';
 
             if (result.success) {
-                // Download protected PDF
-                this.downloadPDF(result.data, 'protected.pdf');
+                // Keep the protected PDF in the workspace
+                this.deliverResult('protect', result.data, 'protected.pdf', {
+                    method,
+                    userPassword,
+                    ownerPassword,
+                    permissions
+                });
                 
                 // Show success message
+                // Protection that is not encryption is never reported as a plain success
                 this.showToast(
-                    `✅ PDF Protection Applied!\n` +
+                    (result.degraded ? `⚠️ Not Encrypted - Limited Protection Applied\n` : `✅ PDF Protection Applied!\n`) +
                     `Method: ${result.method}\n` +
+                    `Engine: ${result.engine}\n` +
                     `Encrypted: ${result.isEncrypted ? 'Yes' : 'No'}\n` +
                     `Original: ${this.formatFileSize(result.originalSize)}\n` +
                     `Protected: ${this.formatFileSize(result.protectedSize)}` +
                     (result.note ? `\n\nNote: ${result.note}` : ''),
-                    'success'
+                    result.degraded ? 'warning' : 'success'
                 );
             } else {
                 throw new Error('Protection failed');
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('PDF protection error:', error);
             this.showToast(`Protection failed: ${error.message}`, 'error');
         } finally {
+            this.updateSecurityStatus();
             // Reset UI
             const progressEl = document.getElementById('protection-progress');
             const protectBtn = document.getElementById('protect-button');
@@ -1241,17 +1486,18 @@ class PrivPDF {
 
             // Decrypt
             const arrayBuffer = await file.arrayBuffer();
-            const result = await this.pdfProtection.decryptPDF(new Uint8Array(arrayBuffer), password);
+            const result = await this.runTask('decrypt', [new Uint8Array(arrayBuffer), password]);
 
             if (result.success) {
-                // Download decrypted PDF
-                this.downloadPDF(result.data, 'decrypted.pdf');
+                // Keep the decrypted PDF in the workspace
+                this.keepResult('protect', 'decrypted.pdf', result.data);
                 this.showToast('✅ PDF decrypted successfully!', 'success');
             } else {
                 throw new Error('Decryption failed');
             }
 
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('PDF decryption error:', error);
             this.showToast(`Decryption failed: ${error.message}`, 'error');
         } finally {
@@ -1267,324 +1513,1593 @@ class PrivPDF {
         }
     }
 
+    getWatermarkOptions() {
+        return {
+            type: document.getElementById('watermark-type').value,
+            text: document.getElementById('watermark-text').value || 'WATERMARK',
+            opacity: parseInt(document.getElementById('watermark-opacity').value) / 100,
+            position: document.getElementById('watermark-position').value,
+            pages: document.getElementById('watermark-pages').value,
+            range: document.getElementById('watermark-range').value
+        };
+    }
+
     async applyWatermark() {
         try {
             const file = this.loadedPDFs.get('watermark');
-            const arrayBuffer = await file.arrayBuffer();
-            const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-            
-            const watermarkType = document.getElementById('watermark-type').value;
-            const opacity = parseInt(document.getElementById('watermark-opacity').value) / 100;
-            const position = document.getElementById('watermark-position').value;
-            const pagesOption = document.getElementById('watermark-pages').value;
-            
-            let pagesToWatermark = [];
-            if (pagesOption === 'all') {
-                pagesToWatermark = Array.from({ length: pdf.getPageCount() }, (_, i) => i);
-            } else if (pagesOption === 'first') {
-                pagesToWatermark = [0];
-            } else if (pagesOption === 'last') {
-                pagesToWatermark = [pdf.getPageCount() - 1];
-            } else if (pagesOption === 'custom') {
-                const range = document.getElementById('watermark-range').value;
-                pagesToWatermark = this.parsePageRange(range, pdf.getPageCount());
-            }
-            
-            if (watermarkType === 'text') {
-                const text = document.getElementById('watermark-text').value || 'WATERMARK';
-                const font = await pdf.embedFont(PDFLib.StandardFonts.HelveticaBold);
-                
-                pagesToWatermark.forEach(pageIndex => {
-                    const page = pdf.getPage(pageIndex);
-                    const { width, height } = page.getSize();
-                    
-                    let x = width / 2;
-                    let y = height / 2;
-                    let rotation = 0;
-                    
-                    if (position === 'diagonal') {
-                        rotation = -45;
-                    } else if (position === 'top-left') {
-                        x = 50;
-                        y = height - 50;
-                    } else if (position === 'top-right') {
-                        x = width - 150;
-                        y = height - 50;
-                    } else if (position === 'bottom-left') {
-                        x = 50;
-                        y = 50;
-                    } else if (position === 'bottom-right') {
-                        x = width - 150;
-                        y = 50;
-                    }
-                    
-                    page.drawText(text, {
-                        x: x,
-                        y: y,
-                        size: 50,
-                        font: font,
-                        color: PDFLib.rgb(0.5, 0.5, 0.5),
-                        opacity: opacity,
-                        rotate: PDFLib.degrees(rotation)
-                    });
-                });
-            }
-            
-            const bytes = await pdf.save();
-            this.downloadPDF(bytes, 'watermarked.pdf');
+            const options = this.getWatermarkOptions();
+            const bytes = await this.runTask('watermark', [await this.readFileBytes(file), options]);
+            this.deliverResult('watermark', bytes, 'watermarked.pdf', options);
             
             this.showToast('Watermark applied successfully!', 'success');
         } catch (error) {
+            if (error.name === 'AbortError') return;
             this.showToast('Error applying watermark: ' + error.message, 'error');
         }
     }
 
+    getImageToPDFOptions() {
+        return {
+            pageSize: document.getElementById('imagetopdf-size').value,
+            orientation: document.getElementById('imagetopdf-orientation').value,
+            margin: parseInt(document.getElementById('imagetopdf-margin').value)
+        };
+    }
+
+    // JPEG and PNG are embedded as-is, other formats are re-encoded as PNG through a canvas
+    async readImageForPDF(file) {
+        const imageBytes = new Uint8Array(await file.arrayBuffer());
+        
+        if (file.type === 'image/jpeg' || file.type === 'image/jpg' || file.type === 'image/png') {
+            return { bytes: imageBytes, type: file.type };
+        }
+        
+        const blob = new Blob([imageBytes], { type: file.type });
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        await new Promise((resolve) => {
+            img.onload = resolve;
+            img.src = url;
+        });
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        
+        const dataUrl = canvas.toDataURL('image/png');
+        const base64 = dataUrl.split(',')[1];
+        const pngBytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+        
+        URL.revokeObjectURL(url);
+        return { bytes: pngBytes, type: 'image/png' };
+    }
+
     async createPDFFromImages() {
         try {
             this.showToast('Creating PDF from images...', 'success');
             
-            const pdf = await PDFLib.PDFDocument.create();
             const fileItems = document.querySelectorAll('#imagetopdf-files .file-item');
-            pdf.setKeywords(['protected', 'encrypted', 'secure']);
-            
-            // Add custom metadata for protection info
-            const protectionInfo = {
-                protected: true,
-                timestamp: new Date().toISOString(),
-                permissions: {
-                    print: allowPrint,
-                    copy: allowCopy,
-                    modify: allowModify,
-                    annotate: allowAnnotate
-                },
-                hasUserPassword: !!userPassword,
-                hasOwnerPassword: !!ownerPassword
-            };
-            
-            pdf.setCreationDate(new Date());
-            pdf.setModificationDate(new Date());
-            
-            // If user wants to prevent modifications, flatten forms and annotations
-            if (!allowModify) {
-                const form = pdf.getForm();
-                const fields = form.getFields();
-                fields.forEach(field => {
-                    try {
-                        // Make fields read-only
-                        field.enableReadOnly();
-                    } catch (e) {
-                        // Some fields might not support this
-                    }
-                });
-            }
+            const images = [];
             
-            // For basic protection, we can encrypt the content using a simple XOR cipher
-            // Note: This is a basic demonstration. For real security, use proper encryption libraries
-            if (userPassword) {
-                // Add a visible watermark indicating the document is protected
-                const pages = pdf.getPages();
-                const font = await pdf.embedFont(PDFLib.StandardFonts.Helvetica);
-                
-                pages.forEach(page => {
-                    const { width, height } = page.getSize();
-                    
-                    // Add subtle protection notice at the bottom
-                    page.drawText('Protected Document', {
-                        x: width / 2 - 50,
-                        y: 10,
-                        size: 8,
-                        font: font,
-                        color: PDFLib.rgb(0.7, 0.7, 0.7),
-                        opacity: 0.5
-                    });
-                });
+            for (const item of fileItems) {
+                const fileId = parseFloat(item.dataset.fileId);
+                images.push(await this.readImageForPDF(this.loadedPDFs.get(fileId)));
             }
             
-            // Save with compression to obfuscate content slightly
-            const bytes = await pdf.save({
-                useObjectStreams: true, // This provides some obfuscation
-                addDefaultPage: false,
-                objectsPerTick: 50
-            });
+            const options = this.getImageToPDFOptions();
+            const bytes = await this.runTask('imagesToPDF', [images, options]);
+            this.deliverResult('imagetopdf', bytes, 'images.pdf', options);
             
-            // Create a wrapper object with protection metadata
-            const protectedPDF = {
-                data: bytes,
-                protection: protectionInfo,
-                encrypted: !!userPassword
-            };
-            
-            this.downloadPDF(bytes, 'protected.pdf');
-            
-            let message = 'PDF protection applied:\n';
-            if (userPassword) message += '✓ User password set\n';
-            if (ownerPassword) message += '✓ Owner password set\n';
-            message += `Permissions: Print:${allowPrint ? '✓' : '✗'} Copy:${allowCopy ? '✓' : '✗'} Modify:${allowModify ? '✓' : '✗'} Annotate:${allowAnnotate ? '✓' : '✗'}`;
+            this.showToast('PDF created from images successfully!', 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.showToast('Error creating PDF: ' + error.message, 'error');
+        }
+    }
+
+    getPDFToImageOptions() {
+        const pagesOption = document.getElementById('pdftoimage-pages').value;
+        
+        return {
+            format: document.getElementById('pdftoimage-format').value,
+            quality: parseInt(document.getElementById('pdftoimage-quality').value) / 100,
+            dpi: parseInt(document.getElementById('pdftoimage-dpi').value),
+            // "Current page" is stored as a one-page range so the settings can be replayed
+            pages: pagesOption === 'current' ? 'range' : pagesOption,
+            range: pagesOption === 'current' ? String(this.currentPage) : document.getElementById('pdftoimage-range').value
+        };
+    }
+
+    // Render the chosen pages of a pdf.js document to image files: [{ filename, bytes, type }]
+    // task is the optional { signal, onProgress } of PrivPDFOperations
+    async renderPDFPagesToImages(pdf, options, task = null) {
+        return await this.operations.renderPages(pdf, options, {
+            create: (width, height) => Object.assign(document.createElement('canvas'), { width, height }),
+            encode: async (canvas, type, quality) => {
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+                return new Uint8Array(await blob.arrayBuffer());
+            }
+        }, task);
+    }
+
+    async convertPDFToImages() {
+        try {
+            this.showToast('Converting PDF to images...', 'success');
             
-            this.showToast(message, 'success');
+            const options = this.getPDFToImageOptions();
+            const images = await this.runWithProgress(task => this.renderPDFPagesToImages(this.currentPDF, options, task));
             
-            // Show additional warning about browser limitations
-            setTimeout(() => {
-                this.showToast('Note: Browser-based protection has limitations. For maximum security, use Adobe Acrobat or similar desktop software.', 'warning');
-            }, 2000);
+            this.recordPipelineStep('pdftoimage', options);
+            this.deliverFiles('pdftoimage', images, {
+                source: this.loadedPDFs.get('pdftoimage')?.name,
+                settings: options,
+                engines: [{ tool: 'pdftoimage', engine: `PDF.js ${pdfjsLib.version}`, degraded: false }]
+            });
             
+            this.showToast(`Converted ${images.length} pages to ${options.format.toUpperCase()}!`, 'success');
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.showToast('Error converting PDF: ' + error.message, 'error');
+        }
+    }
+
+    // Shared progress bar and Cancel button for long-running work. work({ signal, onProgress })
+    // does the job; after a cancel it throws an AbortError and returns nothing, so callers
+    // never deliver partial output.
+    async runWithProgress(work) {
+        if (this.activeTask) {
+            throw new Error('Another operation is still running');
+        }
+
+        const progress = document.getElementById('task-progress');
+        const fill = document.getElementById('task-progress-fill');
+        const text = document.getElementById('task-progress-text');
+        const controller = new AbortController();
+
+        this.activeTask = controller;
+        text.textContent = 'Starting...';
+        fill.style.width = '0%';
+        progress.style.display = 'block';
+
+        try {
+            const result = await work({
+                signal: controller.signal,
+                onProgress: (message, percent) => {
+                    text.textContent = message;
+                    if (percent !== undefined) fill.style.width = `${percent}%`;
+                }
+            });
+            // A cancel that came in while the result was on its way still discards it
+            PrivPDFOperations.throwIfCancelled({ signal: controller.signal });
+            return result;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showToast('Operation cancelled. Nothing was saved.', 'info');
+            }
+            throw error;
+        } finally {
+            progress.style.display = 'none';
+            this.activeTask = null;
+        }
+    }
+
+    cancelTask() {
+        if (this.activeTask) this.activeTask.abort();
+    }
+
+    // Run a PDF operation in the worker with the shared progress bar; onProgress also
+    // receives the messages, e.g. for a tool's own progress display
+    async runTask(operation, args, { onProgress = null } = {}) {
+        return await this.runWithProgress(task => this.worker.run(operation, args, {
+            signal: task.signal,
+            onProgress: (message, percent) => {
+                task.onProgress(message, percent);
+                if (onProgress) onProgress(message, percent);
+            }
+        }));
+    }
+
+    // Multi-output operations - every output goes to the workspace; several outputs form a group
+    // that can be downloaded as one ZIP
+    getArchiveOptions(tool) {
+        return {
+            naming: document.getElementById(`${tool}-naming`)?.value.trim() || '',
+            manifest: document.getElementById(`${tool}-manifest`)?.checked ?? true
+        };
+    }
+
+    deliverFiles(tool, outputs, { source = '', settings = {}, engines = [] } = {}) {
+        const { naming, manifest } = this.getArchiveOptions(tool);
+        const group = outputs.length > 1
+            ? this.workspace.createGroup({ tool, source, settings, naming, manifest, engines })
+            : null;
+
+        outputs.forEach((output, index) => {
+            const filename = PrivPDFZip.getOutputName(output, index, outputs.length, { naming, source, tool });
+            this.keepResult(tool, filename, output.bytes, {
+                type: output.type || 'application/pdf',
+                source,
+                group,
+                output,
+                named: !!naming
+            });
+        });
+    }
+
+    // Install the service worker and show which engines work without a network; pages
+    // without the badge only install it
+    async setupOffline() {
+        const badge = document.getElementById('offline-badge');
+        const panel = document.getElementById('engine-status');
+        const registered = await this.offline.register();
+        if (!badge) return;
+
+        badge.addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            badge.setAttribute('aria-expanded', String(!panel.hidden));
+        });
+
+        const engines = await this.offline.getEngineStatus();
+        const labels = {
+            offline: 'Works offline',
+            local: 'Self-hosted, not cached yet',
+            online: 'Needs network'
+        };
+
+        const list = document.getElementById('engine-status-list');
+        list.innerHTML = '';
+        Object.values(engines).forEach(({ label, status }) => {
+            const item = document.createElement('li');
+            item.className = `engine-status-item ${status}`;
+            item.innerHTML = `<span>${label}</span><span class="engine-status-state">${labels[status]}</span>`;
+            list.appendChild(item);
+        });
+
+        const allOffline = Object.values(engines).every(engine => engine.status === 'offline');
+        const state = allOffline ? 'offline' : registered ? 'partial' : 'online';
+        badge.textContent = { offline: '✈️ Offline ready', partial: 'Partly offline', online: 'Online only' }[state];
+        badge.className = `offline-badge ${state}`;
+    }
+
+    // Batch mode - run one tool with the same settings over many files, results come back as one ZIP
+    static get BATCH_TOOLS() {
+        return {
+            watermark: { suffix: 'watermarked', settings: 'watermark-settings' },
+            protect: { suffix: 'protected', settings: 'protect-settings' },
+            compress: { suffix: 'compressed', settings: 'compress-settings' },
+            rotate: { suffix: 'rotated', settings: 'rotate-batch-settings' }
+        };
+    }
+
+    setupBatch() {
+        Object.keys(PrivPDF.BATCH_TOOLS).forEach(tool => {
+            const folderInput = document.getElementById(`${tool}-folder-input`);
+            if (!folderInput) return;
+
+            folderInput.addEventListener('change', (e) => {
+                this.handleBatchFiles(tool, Array.from(e.target.files));
+                e.target.value = '';
+            });
+            document.getElementById(`${tool}-batch-button`).addEventListener('click', () => this.runBatch(tool));
+        });
+    }
+
+    handleBatchFiles(tool, files) {
+        const pdfs = files.filter(file => PrivPDFBatch.isPDF(file));
+        const skipped = files.length - pdfs.length;
+
+        if (pdfs.length === 0) {
+            this.showToast('No PDF files found in the selection', 'error');
+            return;
+        }
+
+        this.resetTool();
+        this.getHistory(tool).clear();
+        this.batchFiles.set(tool, pdfs);
+
+        document.getElementById(PrivPDF.BATCH_TOOLS[tool].settings).style.display = 'grid';
+        this.showNamingSettings(tool);
+        document.getElementById(`${tool}-batch-panel`).style.display = 'block';
+        document.getElementById(`${tool}-batch-button`).style.display = 'inline-flex';
+
+        if (tool === 'watermark') {
+            document.getElementById('watermark-preview-container').style.display = 'none';
+        } else if (tool === 'protect') {
+            this.updateSecurityStatus();
+        } else if (tool === 'compress') {
+            const totalSize = pdfs.reduce((sum, file) => sum + file.size, 0);
+            document.getElementById('compress-original-size').textContent = this.formatFileSize(totalSize) + ' total';
+        }
+
+        const list = document.getElementById(`${tool}-batch-list`);
+        pdfs.forEach((file, index) => {
+            const item = document.createElement('div');
+            item.className = 'file-item';
+            item.dataset.index = index;
+            item.innerHTML = `
+                <div class="file-info">
+                    <span class="file-icon">📄</span>
+                    <div class="file-details">
+                        <span class="file-name"></span>
+                        <span class="file-size">${this.formatFileSize(file.size)}</span>
+                    </div>
+                </div>
+                <span class="batch-status">Waiting</span>
+            `;
+            item.querySelector('.file-name').textContent = PrivPDFBatch.getPath(file);
+            list.appendChild(item);
+        });
+
+        document.getElementById(`${tool}-batch-summary`).textContent =
+            `${pdfs.length} PDFs ready` + (skipped ? ` (${skipped} non-PDF files skipped)` : '');
+        this.showToast(`${pdfs.length} PDFs loaded. Configure the settings and process them all at once.`, 'success');
+    }
+
+    updateBatchItem(tool, index, result) {
+        const status = document.querySelector(`#${tool}-batch-list [data-index="${index}"] .batch-status`);
+        if (!status) return;
+
+        status.className = `batch-status ${result.status}`;
+        status.textContent = result.status === 'processing' ? 'Processing...' :
+                             result.status === 'done' ? `✓ ${this.formatFileSize(result.bytes.length)}` :
+                             `✕ ${result.error}`;
+    }
+
+    // Read the tool's settings once; returns { settings, process, engines } where process runs on
+    // every file and engines lists the engines that produced the outputs, for the manifest
+    async getBatchProcessor(tool) {
+        switch (tool) {
+            case 'watermark': {
+                const options = this.getWatermarkOptions();
+                return {
+                    settings: options,
+                    engines: [await this.getEngineRecord(tool)],
+                    process: (bytes, file, signal) => this.worker.run('watermark', [bytes, options], { signal })
+                };
+            }
+            case 'rotate': {
+                const all = parseInt(document.getElementById('rotate-batch-angle').value);
+                return {
+                    settings: { all },
+                    engines: [await this.getEngineRecord(tool, 'rotatePages')],
+                    process: (bytes, file, signal) => this.worker.run('rotatePages', [bytes, { all }], { signal })
+                };
+            }
+            case 'protect': {
+                const options = this.getProtectOptions();
+                if (['password', 'encryption'].includes(options.method) && !options.userPassword && !options.ownerPassword) {
+                    throw new Error('Password required for encryption');
+                }
+                const engines = [];
+                return {
+                    // Passwords never go into the manifest
+                    settings: { method: options.method, permissions: options.permissions },
+                    engines,
+                    process: async (bytes, file, signal) => {
+                        if (this.pdfProtection.isEncryptedPDF(bytes)) {
+                            throw new Error('Already encrypted');
+                        }
+                        const result = await this.worker.run('protect', [bytes, options], { signal });
+                        if (!result.success) throw new Error('Protection failed');
+                        PrivPDF.recordEngine(engines, tool, result);
+                        return result.data;
+                    }
+                };
+            }
+            case 'compress': {
+                const quality = document.getElementById('compress-quality').value;
+                const engines = [];
+                return {
+                    settings: { quality },
+                    engines,
+                    process: async (bytes, file, signal) => {
+                        const result = await this.worker.run('compress', [bytes, quality], { signal });
+                        if (!result.success) throw new Error('Compression failed');
+                        PrivPDF.recordEngine(engines, tool, result);
+                        return result.data;
+                    }
+                };
+            }
+            default:
+                throw new Error(`Batch mode is not available for ${tool}`);
+        }
+    }
+
+    async runBatch(tool) {
+        const files = this.batchFiles.get(tool);
+        if (!files || files.length === 0) {
+            this.showToast('No PDFs loaded for batch processing', 'error');
+            return;
+        }
+
+        const button = document.getElementById(`${tool}-batch-button`);
+        const summary = document.getElementById(`${tool}-batch-summary`);
+        button.disabled = true;
+
+        try {
+            const { settings, process, engines } = await this.getBatchProcessor(tool);
+            const batch = new PrivPDFBatch({ process, suffix: PrivPDF.BATCH_TOOLS[tool].suffix });
+
+            // Overall progress is measured in bytes, so one large file does not look like one small one
+            const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+            let finished = 0;
+            let doneBytes = 0;
+
+            const results = await this.runWithProgress(task => batch.run(files, {
+                signal: task.signal,
+                onProgress: ({ index, total, result }) => {
+                    this.updateBatchItem(tool, index, result);
+                    if (result.status !== 'processing') {
+                        finished++;
+                        doneBytes += result.file.size;
+                    }
+                    summary.textContent = `Processed ${finished} of ${total} files`;
+                    task.onProgress(`Processing ${result.path}...`, totalBytes ? Math.round(doneBytes / totalBytes * 100) : 0);
+                }
+            }));
+
+            const failed = results.filter(result => result.status === 'error').length;
+            const succeeded = results.length - failed;
+            summary.textContent = `${succeeded} of ${results.length} files processed` + (failed ? `, ${failed} failed` : '');
+
+            if (succeeded === 0) {
+                throw new Error('No file could be processed');
+            }
+
+            const archive = PrivPDFBatch.createArchive(results, { tool, settings, engines, ...this.getArchiveOptions(tool) });
+            this.keepResult(tool, `${tool}_batch.zip`, archive, { type: 'application/zip' });
+            if (engines.some(entry => entry.degraded)) {
+                this.showToast(`${succeeded} files processed, but they are NOT encrypted (${engines[0].engine} watermark/metadata only)`, 'warning');
+            } else {
+                this.showToast(
+                    failed ? `${succeeded} files processed, ${failed} failed. See the list for details.` : `All ${succeeded} files processed!`,
+                    failed ? 'warning' : 'success'
+                );
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                summary.textContent = 'Batch cancelled';
+                return;
+            }
+            this.showToast('Batch processing failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Workspace - every opened document stays available to all tools, and results are kept as
+    // new versions until they are downloaded
+    setupWorkspace() {
+        const clear = document.getElementById('workspace-clear');
+        if (!clear) return;
+
+        this.workspace.onChange(() => this.renderWorkspace());
+        clear.addEventListener('click', () => {
+            if (confirm('Remove all documents from the workspace?')) this.workspace.clear();
+        });
+    }
+
+    // The workspace document behind a File a tool was given; added on first sight
+    async addToWorkspace(file) {
+        const known = this.workspace.get(this.workspaceFiles.get(file));
+        if (known) return known;
+
+        const doc = this.workspace.add({ name: file.name, bytes: await this.readFileBytes(file), type: file.type });
+        this.workspaceFiles.set(file, doc.id);
+        this.updatePageCount(doc);
+        return doc;
+    }
+
+    // The document a tool is working on, if it came through the workspace
+    getSourceDocument(tool) {
+        const [key] = PrivPDF.PAGE_TOOLS[tool] || [tool];
+        const file = this.loadedPDFs.get(key);
+        return file ? this.workspace.get(this.workspaceFiles.get(file)) : null;
+    }
+
+    // Add a tool's output as the next version of the document the tool was working on. It is
+    // named after the original document, unless a naming pattern already chose the name or
+    // naming is the tool's template; a name already in the workspace gets a number.
+    keepResult(tool, filename, bytes, { type = 'application/pdf', source = '', group = null, output = null, named = false, naming = '' } = {}) {
+        const parent = this.getSourceDocument(tool);
+        const original = parent ? this.workspace.getLineage(parent.id)[0].name : source;
+        let name = named ? filename : PrivPDFWorkspace.getResultName(original, filename);
+        if (naming) {
+            name = PrivPDFZip.getOutputName({ filename }, 0, 1, { naming, source: original, tool });
+        }
+
+        const names = new Set(this.workspace.list().map(doc => doc.name.toLowerCase()));
+        const doc = this.workspace.addResult(parent ? parent.id : null, {
+            name: PrivPDFZip.getUniqueName(name, names),
+            bytes,
+            type,
+            tool,
+            group,
+            output
+        });
+        this.lastResultId = doc.id;
+        this.updatePageCount(doc);
+        return doc;
+    }
+
+    async updatePageCount(doc) {
+        if (doc.type !== 'application/pdf' || doc.pageCount !== null) return;
+
+        // Encrypted PDFs and broken files simply show no page count
+        try {
+            const pdf = await pdfjsLib.getDocument({ data: doc.bytes.slice() }).promise;
+            this.workspace.update(doc.id, { pageCount: pdf.numPages });
+            pdf.destroy();
         } catch (error) {
-            this.showToast('Error protecting PDF: ' + error.message, 'error');
-            console.error('Protection error:', error);
+            console.warn(`Could not count the pages of ${doc.name}:`, error);
+        }
+    }
+
+    // Merge and Image to PDF add to their file lists; every other tool replaces its document
+    canOpenInTool(doc, tool) {
+        if (!this.getToolEntryPoint(tool)) return false;
+        return tool === 'imagetopdf' ? doc.type.startsWith('image/') : doc.type === 'application/pdf';
+    }
+
+    async openWorkspaceDocument(id, tool = this.currentTool) {
+        const doc = this.workspace.get(id);
+        if (!doc || !this.canOpenInTool(doc, tool)) return;
+
+        const file = this.getWorkspaceFile(doc.id);
+        if (tool !== this.currentTool) this.switchTool(tool);
+        await this.getToolEntryPoint(tool)(file);
+    }
+
+    // A File for a workspace document, known to be that document when a tool is given it
+    getWorkspaceFile(id) {
+        const doc = this.workspace.get(id);
+        if (!doc) return null;
+
+        const file = new File([doc.bytes], doc.name, { type: doc.type });
+        this.workspaceFiles.set(file, doc.id);
+        return file;
+    }
+
+    downloadWorkspaceDocument(id) {
+        const doc = this.workspace.get(id);
+        if (doc) this.downloadFile(doc.bytes, doc.name, doc.type);
+    }
+
+    // All outputs of one run that are still in the workspace, as one ZIP with its manifest
+    downloadWorkspaceGroup(group) {
+        const { options, documents } = this.workspace.getGroup(group);
+        const archive = PrivPDFZip.bundle(documents.map(doc => doc.output), options);
+        const base = options.source ? PrivPDFZip.sanitizeName(PrivPDFWorkspace.getBaseName(options.source)) + '_' : '';
+        this.downloadFile(archive, `${base}${options.tool}.zip`, 'application/zip');
+    }
+
+    getToolLabel(tool) {
+        const button = document.querySelector(`.tool-btn[data-tool="${tool}"]`);
+        return button ? button.querySelector('.tool-icon + span').textContent : tool.charAt(0).toUpperCase() + tool.slice(1);
+    }
+
+    describeWorkspaceDocument(doc) {
+        const parts = [
+            doc.type === 'application/zip' ? 'ZIP archive' :
+            doc.type.startsWith('image/') ? doc.type.slice(6).toUpperCase() + ' image' :
+            doc.pageCount === null ? 'PDF' : `${doc.pageCount} page${doc.pageCount === 1 ? '' : 's'}`,
+            this.formatFileSize(doc.size),
+            `v${doc.version}`
+        ];
+        if (doc.tool) parts.push(this.getToolLabel(doc.tool));
+        return parts.join(' · ');
+    }
+
+    renderWorkspace() {
+        const panel = document.getElementById('workspace-panel');
+        if (!panel) return;
+
+        const documents = this.workspace.list();
+        const list = document.getElementById('workspace-list');
+        const toolLabel = this.getToolLabel(this.currentTool);
+        const totalSize = documents.reduce((sum, doc) => sum + doc.size, 0);
+
+        panel.style.display = documents.length ? 'block' : 'none';
+        document.getElementById('workspace-summary').textContent =
+            `${documents.length} document${documents.length === 1 ? '' : 's'}, ${this.formatFileSize(totalSize)}`;
+
+        list.innerHTML = '';
+        documents.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'file-item' + (doc.id === this.lastResultId ? ' latest' : '');
+            item.dataset.documentId = doc.id;
+            item.innerHTML = `
+                <div class="file-info">
+                    <span class="file-icon">${doc.type === 'application/zip' ? '🗂️' : doc.type.startsWith('image/') ? '🖼️' : '📄'}</span>
+                    <div class="file-details">
+                        <span class="file-name"></span>
+                        <span class="file-size"></span>
+                    </div>
+                </div>
+                <div class="file-actions"></div>
+            `;
+            item.querySelector('.file-name').textContent = doc.name;
+            item.querySelector('.file-size').textContent = this.describeWorkspaceDocument(doc);
+
+            const actions = item.querySelector('.file-actions');
+            const addAction = (label, title, onClick, className = 'icon-btn') => {
+                const button = document.createElement('button');
+                button.className = className;
+                button.textContent = label;
+                button.title = title;
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+                return button;
+            };
+
+            const open = addAction('Open', `Open in ${toolLabel}`, () => this.openWorkspaceDocument(doc.id), 'btn btn-secondary');
+            open.disabled = !this.canOpenInTool(doc, this.currentTool);
+            addAction('⬇', `Download ${doc.name}`, () => this.downloadWorkspaceDocument(doc.id));
+            if (doc.group !== null) {
+                const { documents: outputs } = this.workspace.getGroup(doc.group);
+                addAction('ZIP', `Download all ${outputs.length} files from this run as one ZIP`, () => this.downloadWorkspaceGroup(doc.group));
+            }
+            addAction('✕', 'Remove from workspace', () => this.workspace.remove(doc.id), 'icon-btn danger');
+
+            list.appendChild(item);
+        });
+    }
+
+    // Persistence - an opt-in copy of the workspace and of every tool's state in this browser,
+    // so a reload brings each panel back where it was left
+    async setupPersistence() {
+        const toggle = document.getElementById('persist-mode');
+        if (!toggle) return;
+
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                this.showPersistSettings('Start Saving', 'Add a passphrase to encrypt what is saved, or leave it empty');
+            } else {
+                this.stopPersistence();
+            }
+        });
+        document.getElementById('persist-start').addEventListener('click', () => this.startPersistence());
+        document.getElementById('persist-wipe').addEventListener('click', () => this.wipeLocalData());
+
+        this.workspace.onChange(() => this.scheduleSave());
+        document.querySelector('.workspace').addEventListener('change', () => this.scheduleSave());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveSession();
+        });
+
+        let meta = null;
+        try {
+            meta = this.storage.isAvailable() ? await this.storage.getMeta() : null;
+        } catch (error) {
+            console.warn('Local storage unavailable:', error);
+        }
+        if (!this.storage.isAvailable()) {
+            toggle.disabled = true;
+            return;
+        }
+        if (!meta) return;
+
+        toggle.checked = true;
+        if (meta.encrypted) {
+            this.lockedMeta = meta;
+            this.showPersistSettings('Unlock Saved Session', 'The saved session is encrypted. Enter its passphrase to restore it.');
+            return;
+        }
+        await this.restoreSession();
+    }
+
+    showPersistSettings(buttonLabel, status) {
+        document.getElementById('persist-settings').style.display = 'flex';
+        document.getElementById('persist-start').textContent = buttonLabel;
+        document.getElementById('persist-status').textContent = status;
+    }
+
+    // Turn saving on, or unlock the encrypted session found on startup
+    async startPersistence() {
+        const input = document.getElementById('persist-passphrase');
+        const passphrase = input.value;
+
+        try {
+            if (this.lockedMeta) {
+                await this.storage.unlock(passphrase, this.lockedMeta);
+                this.lockedMeta = null;
+                await this.restoreSession();
+            } else {
+                await this.storage.enable(passphrase);
+                this.persisting = true;
+                await this.saveSession();
+                this.showToast(passphrase ? 'This session is saved in this browser, encrypted' :
+                    'This session is saved in this browser', 'success');
+            }
+        } catch (error) {
+            this.showToast(error.message === 'Wrong passphrase' ? 'Wrong passphrase' : `Could not open local storage: ${error.message}`, 'error');
+            return;
+        }
+
+        input.value = '';
+        document.getElementById('persist-settings').style.display = 'none';
+    }
+
+    async stopPersistence() {
+        const toggle = document.getElementById('persist-mode');
+        if (!this.persisting && !this.lockedMeta) {
+            document.getElementById('persist-settings').style.display = 'none';
+            return;
+        }
+        if (!confirm('Stop saving this session and delete what was saved in this browser?')) {
+            toggle.checked = true;
+            return;
+        }
+        await this.wipeLocalData({ confirmed: true });
+    }
+
+    // Everything PrivPDF keeps in this browser; documents open in this tab are left alone
+    async wipeLocalData({ confirmed = false } = {}) {
+        if (!confirmed && !confirm('Delete every document and setting PrivPDF saved in this browser?')) return;
+
+        this.persisting = false;
+        this.lockedMeta = null;
+        clearTimeout(this.saveTimer);
+        try {
+            await this.storage.wipe();
+            if (typeof localStorage !== 'undefined') {
+                Object.keys(localStorage).filter(key => key.startsWith('privpdf')).forEach(key => localStorage.removeItem(key));
+            }
+            document.querySelectorAll('.setting-input[id$="-naming"]').forEach(input => {
+                input.value = input.defaultValue;
+            });
+        } catch (error) {
+            this.showToast(`Could not delete local data: ${error.message}`, 'error');
+            return;
+        }
+
+        document.getElementById('persist-mode').checked = false;
+        document.getElementById('persist-settings').style.display = 'none';
+        this.showToast('All locally saved data was deleted. Documents open in this tab stay until it is closed.', 'success');
+    }
+
+    scheduleSave() {
+        if (!this.persisting || this.restoring) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSession(), 1000);
+    }
+
+    async saveSession() {
+        if (!this.persisting || this.restoring) return;
+        clearTimeout(this.saveTimer);
+
+        const files = {};
+        this.workspace.list().forEach(doc => { files[doc.id] = doc.bytes; });
+        try {
+            await this.storage.saveSession(this.getSessionState(), files);
+        } catch (error) {
+            console.error('Saving the session failed:', error);
+            this.showToast(`Could not save the session: ${error.message}`, 'warning');
+        }
+    }
+
+    // Tool files are saved as workspace document ids; files removed from the workspace are not kept
+    getSessionState() {
+        const fileId = (file) => {
+            const id = file ? this.workspaceFiles.get(file) : undefined;
+            return this.workspace.get(id) ? id : null;
+        };
+
+        this.saveToolSession(this.currentTool);
+        const toolSessions = {};
+        this.toolSessions.forEach(({ files, state }, tool) => {
+            const ids = {};
+            for (const [key, file] of Object.entries(files)) {
+                ids[key] = fileId(file);
+                if (ids[key] === null) return;
+            }
+            toolSessions[tool] = { files: ids, state: { ...state, addSource: fileId(state.addSource) } };
+        });
+
+        // Files of the current non-page tool, in list order for merge and image to PDF
+        const lists = { merge: 'merge-files', imagetopdf: 'imagetopdf-files' };
+        const current = lists[this.currentTool] ?
+            [...document.querySelectorAll(`#${lists[this.currentTool]} .file-item`)].map(item => this.loadedPDFs.get(parseFloat(item.dataset.fileId))) :
+            PrivPDF.PAGE_TOOLS[this.currentTool] ? [] : [this.loadedPDFs.get(this.currentTool)];
+        const mergeEntries = this.currentTool !== 'merge' ? [] : [...document.querySelectorAll('#merge-files .file-item')]
+            .filter(item => fileId(this.loadedPDFs.get(parseFloat(item.dataset.fileId))) !== null)
+            .map(item => ({ range: item.querySelector('.merge-range').value, rotation: parseInt(item.dataset.rotation) || 0 }));
+
+        const { sources, documents, nextId } = this.organizer;
+        const organizerSources = sources.map(source => this.workspace.get(source.docId) ? source.docId : null);
+
+        return {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            currentTool: this.currentTool,
+            settings: this.getPanelSettings(),
+            workspace: this.workspace.serialize(),
+            toolSessions,
+            current: current.map(fileId).filter(id => id !== null),
+            mergeEntries,
+            organizer: organizerSources.includes(null) ? null : { sources: organizerSources, documents, nextId },
+            pipeline: {
+                mode: this.pipelineMode,
+                recipe: this.pipeline.steps.length > 0 ? PrivPDFRecipe.fromSteps(this.pipeline.steps, 'Saved session').toJSON() : null
+            }
+        };
+    }
+
+    async restoreSession() {
+        const saved = await this.storage.loadSession();
+        this.persisting = true;
+        if (!saved) return;
+
+        const { session, files } = saved;
+        this.restoring = true;
+        try {
+            this.workspace.restore(session.workspace, files);
+            this.applyPanelSettings(session.settings);
+
+            if (session.pipeline.recipe) this.pipeline.loadSteps(PrivPDFRecipe.parse(session.pipeline.recipe).toSteps());
+            this.pipelineMode = session.pipeline.mode;
+            document.getElementById('pipeline-mode').checked = this.pipelineMode;
+            document.getElementById('pipeline-bar').style.display = this.pipelineMode ? 'block' : 'none';
+            this.renderPipeline();
+
+            if (session.organizer) {
+                this.organizer = { sources: [], documents: session.organizer.documents, nextId: session.organizer.nextId };
+                for (const docId of session.organizer.sources) {
+                    const doc = this.workspace.get(docId);
+                    await this.addOrganizerSource(doc.name, doc.bytes, docId);
+                }
+            }
+
+            // Undo history is not saved; each tool starts a fresh one
+            this.resetTool();
+            this.toolSessions.clear();
+            Object.entries(session.toolSessions).forEach(([tool, { files: ids, state }]) => {
+                const toolFiles = {};
+                Object.entries(ids).forEach(([key, id]) => { toolFiles[key] = this.getWorkspaceFile(id); });
+                this.toolSessions.set(tool, {
+                    files: toolFiles,
+                    state: { ...state, addSource: state.addSource === null ? null : this.getWorkspaceFile(state.addSource) },
+                    history: this.getHistory(tool)
+                });
+            });
+
+            await this.switchTool(session.currentTool);
+            const current = session.current.map(id => this.getWorkspaceFile(id)).filter(Boolean);
+            if (session.currentTool === 'merge' || session.currentTool === 'imagetopdf') {
+                if (current.length > 0) {
+                    await (session.currentTool === 'merge' ? this.handleMergeFiles(current) : this.handleImageFiles(current));
+                }
+                const items = document.querySelectorAll('#merge-files .file-item');
+                (session.mergeEntries || []).forEach(({ range, rotation }, i) => {
+                    if (!items[i]) return;
+                    items[i].querySelector('.merge-range').value = range;
+                    items[i].dataset.rotation = rotation;
+                    this.updateMergeStrip(items[i]);
+                });
+            } else if (current[0]) {
+                await this.getToolEntryPoint(session.currentTool)(current[0]);
+            }
+        } catch (error) {
+            console.error('Restoring the session failed:', error);
+            this.showToast(`Could not restore the whole session: ${error.message}`, 'warning');
+            return;
+        } finally {
+            this.restoring = false;
+        }
+
+        const count = this.workspace.list().length;
+        this.showToast(`Session restored with ${count} document${count === 1 ? '' : 's'}`, 'success');
+    }
+
+    // Values of the tool settings; passwords are never saved, and Select All acts on pages
+    getPanelSettings() {
+        const settings = {};
+        document.querySelectorAll('.tool-panel input[id], .tool-panel select[id], .tool-panel textarea[id]').forEach(input => {
+            if (input.type === 'file' || input.type === 'password' || input.closest('.select-all-checkbox')) return;
+            settings[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return settings;
+    }
+
+    applyPanelSettings(settings) {
+        Object.entries(settings).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (!input || !input.closest('.tool-panel')) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            // Labels and option groups that follow a setting update on these
+            input.dispatchEvent(new Event('input'));
+            input.dispatchEvent(new Event('change'));
+        });
+    }
+
+    // Pipeline - every result goes to the workspace; in pipeline mode it is also kept as the
+    // input of the next tool
+    deliverResult(tool, bytes, filename, options) {
+        const doc = this.keepResult(tool, filename, bytes, { naming: this.getArchiveOptions(tool).naming });
+
+        if (!this.recordPipelineStep(tool, options)) {
+            return;
+        }
+
+        this.pipelineResult = { tool, bytes: new Uint8Array(bytes), filename: doc.name };
+        this.renderPipeline();
+        this.showToast(`${doc.name} kept for the next step. Choose a tool to send it to.`, 'success');
+    }
+
+    recordPipelineStep(tool, options) {
+        if (!this.pipelineMode) return false;
+
+        try {
+            this.pipeline.addStep(tool, options);
+            this.renderPipeline();
+            return true;
+        } catch (error) {
+            this.showToast(`Not added to pipeline: ${error.message}`, 'warning');
+            return false;
+        }
+    }
+
+    getToolEntryPoint(tool) {
+        const entryPoints = {
+            merge: (file) => this.handleMergeFiles([file]),
+            split: (file) => this.handleSplitFile(file),
+            extract: (file) => this.handleExtractFile(file),
+            rotate: (file) => this.handleRotateFile(file),
+            reorder: (file) => this.handleReorderFile(file),
+            organize: (file) => this.handleOrganizeFiles([file]),
+            delete: (file) => this.handleDeleteFile(file),
+            add: (file) => this.handleAddBaseFile(file),
+            normalize: (file) => this.handleNormalizeFile(file),
+            compress: (file) => this.handleCompressFileWASM(file),
+            protect: (file) => this.handleProtectFile(file),
+            watermark: (file) => this.handleWatermarkFile(file),
+            imagetopdf: (file) => this.handleImageFiles([file]),
+            pdftoimage: (file) => this.handlePDFToImageFile(file)
+        };
+        return entryPoints[tool];
+    }
+
+    async sendPipelineResultTo(tool) {
+        const entryPoint = this.getToolEntryPoint(tool);
+        if (!this.pipelineResult || !entryPoint) {
+            this.showToast('Nothing to send yet', 'error');
+            return;
+        }
+
+        const { bytes, filename } = this.pipelineResult;
+        const file = new File([bytes], filename, { type: 'application/pdf' });
+
+        this.switchTool(tool);
+        await entryPoint(file);
+    }
+
+    clearPipeline() {
+        this.pipeline.clear();
+        this.pipelineResult = null;
+        this.renderPipeline();
+    }
+
+    async replayPipeline(files) {
+        if (files.length === 0) return;
+
+        try {
+            this.showToast('Replaying pipeline...', 'success');
+
+            if (!this.fillRuntimeSettings()) return;
+
+            const startsWithImages = this.pipeline.steps[0]?.tool === 'imagetopdf';
+            const inputs = [];
+            for (const file of files) {
+                inputs.push(startsWithImages ? await this.readImageForPDF(file) : await this.readFileBytes(file));
+            }
+
+            const outputs = await this.pipeline.run(inputs, {
+                onStep: (index) => this.renderPipeline(index)
+            });
+            this.deliverFiles('pipeline', outputs, {
+                source: files[0].name,
+                settings: { steps: PrivPDFRecipe.fromSteps(this.pipeline.steps).steps },
+                engines: this.pipeline.engines
+            });
+
+            const degraded = this.pipeline.engines.filter(entry => entry.degraded);
+            if (degraded.length) {
+                this.showToast(`Pipeline finished, but ${degraded.map(entry => entry.tool).join(', ')} ran without encryption (${degraded[0].engine})`, 'warning');
+            } else {
+                this.showToast(`Pipeline finished: ${outputs.length} file(s) created`, 'success');
+            }
+            this.pipeline.warnings.forEach(warning => this.showToast(warning, 'warning'));
+        } catch (error) {
+            this.showToast('Pipeline failed: ' + error.message, 'error');
+        } finally {
+            this.renderPipeline();
+        }
+    }
+
+    // Recipes - save the pipeline steps as versioned JSON and load them back
+    getCurrentRecipe() {
+        if (this.pipeline.steps.length === 0) {
+            this.showToast('Run some tools in pipeline mode first', 'error');
+            return null;
+        }
+        const name = prompt('Recipe name:', 'My PrivPDF recipe');
+        if (name === null) return null;
+
+        return PrivPDFRecipe.fromSteps(this.pipeline.steps, name || 'My PrivPDF recipe');
+    }
+
+    exportRecipe() {
+        const recipe = this.getCurrentRecipe();
+        if (!recipe) return;
+
+        const filename = recipe.name.replace(/[^a-z0-9_-]+/gi, '_') + '.privpdf.json';
+        this.downloadFile(new TextEncoder().encode(recipe.stringify()), filename, 'application/json');
+        this.showToast('Recipe exported. Passwords and source files are not included.', 'success');
+    }
+
+    async shareRecipe() {
+        const recipe = this.getCurrentRecipe();
+        if (!recipe) return;
+
+        const url = location.href.split('#')[0] + recipe.toURLHash();
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showToast('Recipe link copied to clipboard', 'success');
+        } catch (error) {
+            prompt('Copy this recipe link:', url);
+        }
+    }
+
+    async importRecipeFile(file) {
+        try {
+            this.applyRecipe(PrivPDFRecipe.parse(await file.text()));
+        } catch (error) {
+            this.showToast('Could not import recipe: ' + error.message, 'error');
+        }
+    }
+
+    loadRecipeFromURL() {
+        try {
+            const recipe = PrivPDFRecipe.fromURLHash(location.hash);
+            if (recipe) this.applyRecipe(recipe);
+        } catch (error) {
+            this.showToast('Could not load recipe from link: ' + error.message, 'error');
+        }
+    }
+
+    applyRecipe(recipe) {
+        this.pipeline.loadSteps(recipe.toSteps());
+        this.pipelineResult = null;
+        this.pipelineMode = true;
+        document.getElementById('pipeline-mode').checked = true;
+        document.getElementById('pipeline-bar').style.display = 'block';
+        this.renderPipeline();
+
+        const needsSource = recipe.steps.some(step => step.tool === 'add' && step.settings.type === 'from-pdf');
+        document.getElementById('recipe-source').style.display = needsSource ? 'flex' : 'none';
+        this.showToast(`Recipe "${recipe.name}" loaded with ${recipe.steps.length} steps. Replay it on new files.`, 'success');
+    }
+
+    // Ask for the values a recipe never stores (passwords, Add Pages source PDF)
+    fillRuntimeSettings() {
+        for (const step of this.pipeline.steps) {
+            const { tool, options } = step;
+
+            if (tool === 'add' && options.type === 'from-pdf' && !options.source) {
+                if (!this.recipeSource) {
+                    this.showToast('Choose a source PDF for the Add Pages step', 'error');
+                    document.getElementById('recipe-source').style.display = 'flex';
+                    return false;
+                }
+                options.source = this.recipeSource;
+            }
+
+            const needsPassword = ['password', 'encryption'].includes(options.method);
+            if (tool === 'protect' && needsPassword && !options.userPassword && !options.ownerPassword) {
+                const password = prompt('Enter the password for the Protect PDF step:');
+                if (!password) {
+                    this.showToast('Password required for the Protect PDF step', 'error');
+                    return false;
+                }
+                options.userPassword = password;
+            }
+        }
+        return true;
+    }
+
+    renderPipeline(activeIndex = -1) {
+        const stepList = document.getElementById('pipeline-steps');
+        if (!stepList) return;
+
+        stepList.innerHTML = '';
+        this.pipeline.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.className = 'pipeline-step' + (index === activeIndex ? ' active' : '');
+            item.textContent = this.pipeline.describeStep(step);
+
+            const remove = document.createElement('button');
+            remove.className = 'icon-btn danger';
+            remove.textContent = '✕';
+            remove.onclick = () => {
+                this.pipeline.removeStep(index);
+                this.renderPipeline();
+            };
+            item.appendChild(remove);
+            stepList.appendChild(item);
+        });
+
+        const resultEl = document.getElementById('pipeline-result');
+        const hasResult = !!this.pipelineResult;
+        resultEl.textContent = hasResult
+            ? `${this.pipelineResult.filename} (${this.formatFileSize(this.pipelineResult.bytes.byteLength)})`
+            : 'No result yet - run a tool to start the pipeline';
+        document.getElementById('pipeline-send').disabled = !hasResult;
+        document.getElementById('pipeline-download').disabled = !hasResult;
+        document.getElementById('pipeline-replay').style.display = this.pipeline.steps.length > 0 ? 'flex' : 'none';
+    }
+
+    // History - undo/redo of page-level edits, kept per tool for the whole session
+    setupHistory() {
+        const undoBtn = document.getElementById('history-undo');
+        const redoBtn = document.getElementById('history-redo');
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    getHistory(tool = this.currentTool) {
+        if (!this.histories.has(tool)) {
+            const history = new PrivPDFHistory();
+            history.onChange(() => {
+                this.updateHistoryControls();
+                this.scheduleSave();
+            });
+            this.histories.set(tool, history);
+        }
+        return this.histories.get(tool);
+    }
+
+    undo() {
+        const command = this.getHistory().undo();
+        if (command) this.showToast(`Undid: ${command.label}`, 'success');
+    }
+
+    redo() {
+        const command = this.getHistory().redo();
+        if (command) this.showToast(`Redid: ${command.label}`, 'success');
+    }
+
+    updateHistoryControls() {
+        const controls = document.getElementById('history-controls');
+        if (!controls) return;
+
+        const history = this.getHistory();
+        const { undo, redo } = history.peek();
+        const undoBtn = document.getElementById('history-undo');
+        const redoBtn = document.getElementById('history-redo');
+
+        const hasPages = PrivPDF.PAGE_TOOLS[this.currentTool] ? this.loadedPDFs.size > 0 :
+                         this.currentTool === 'organize' && this.organizer.sources.length > 0;
+        controls.style.display = hasPages ? 'flex' : 'none';
+        undoBtn.disabled = !history.canUndo();
+        redoBtn.disabled = !history.canRedo();
+        undoBtn.title = undo ? `Undo: ${undo} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = redo ? `Redo: ${redo} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    // Page tools and the loadedPDFs keys that hold their documents
+    static get PAGE_TOOLS() {
+        return {
+            extract: ['extract'],
+            rotate: ['rotate'],
+            reorder: ['reorder'],
+            delete: ['delete'],
+            add: ['add-base', 'add-source']
+        };
+    }
+
+    snapshotPageState() {
+        return {
+            selectedPages: [...this.selectedPages],
+            pageRotations: [...this.pageRotations],
+            pageOrder: [...this.pageOrder],
+            addSource: this.loadedPDFs.get('add-source') || null
+        };
+    }
+
+    restorePageState(state) {
+        this.selectedPages = new Set(state.selectedPages);
+        this.pageRotations = new Map(state.pageRotations);
+        this.pageOrder = [...state.pageOrder];
+        if (state.addSource) {
+            this.loadedPDFs.set('add-source', state.addSource);
+        } else {
+            this.loadedPDFs.delete('add-source');
         }
+        this.refreshPageViews();
     }
 
-    async createPDFFromImages() {
-        try {
-            this.showToast('Creating PDF from images...', 'success');
-            
-            const pdf = await PDFLib.PDFDocument.create();
-            const fileItems = document.querySelectorAll('#imagetopdf-files .file-item');
-            
-            const pageSize = document.getElementById('imagetopdf-size').value;
-            const orientation = document.getElementById('imagetopdf-orientation').value;
-            const margin = parseInt(document.getElementById('imagetopdf-margin').value);
-            
-            for (const item of fileItems) {
-                const fileId = parseFloat(item.dataset.fileId);
-                const file = this.loadedPDFs.get(fileId);
-                
-                const imageBytes = await file.arrayBuffer();
-                let image;
-                
-                if (file.type === 'image/jpeg' || file.type === 'image/jpg') {
-                    image = await pdf.embedJpg(imageBytes);
-                } else if (file.type === 'image/png') {
-                    image = await pdf.embedPng(imageBytes);
-                } else {
-                    // Convert other formats to data URL then to PDF
-                    const blob = new Blob([imageBytes], { type: file.type });
-                    const url = URL.createObjectURL(blob);
-                    const img = new Image();
-                    await new Promise((resolve) => {
-                        img.onload = resolve;
-                        img.src = url;
-                    });
-                    
-                    const canvas = document.createElement('canvas');
-                    canvas.width = img.width;
-                    canvas.height = img.height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0);
-                    
-                    const dataUrl = canvas.toDataURL('image/png');
-                    const base64 = dataUrl.split(',')[1];
-                    const pngBytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
-                    image = await pdf.embedPng(pngBytes);
-                    
-                    URL.revokeObjectURL(url);
-                }
-                
-                let pageWidth, pageHeight;
-                if (pageSize === 'a4') {
-                    pageWidth = 595;
-                    pageHeight = 842;
-                } else if (pageSize === 'letter') {
-                    pageWidth = 612;
-                    pageHeight = 792;
-                } else if (pageSize === 'legal') {
-                    pageWidth = 612;
-                    pageHeight = 1008;
-                } else {
-                    pageWidth = image.width;
-                    pageHeight = image.height;
-                }
-                
-                if (orientation === 'landscape' || (orientation === 'auto' && image.width > image.height)) {
-                    [pageWidth, pageHeight] = [pageHeight, pageWidth];
+    // Run a mutation of the page state as an undoable command
+    changePageState(label, mutate) {
+        const before = this.snapshotPageState();
+        mutate();
+        const after = this.snapshotPageState();
+
+        if (JSON.stringify({ ...before, addSource: null }) === JSON.stringify({ ...after, addSource: null }) &&
+            before.addSource === after.addSource) {
+            return;
+        }
+
+        this.getHistory().execute({
+            label,
+            do: () => this.restorePageState(after),
+            undo: () => this.restorePageState(before)
+        });
+    }
+
+    // Bring the thumbnails of the current tool in line with the page state
+    refreshPageViews() {
+        const tool = this.currentTool;
+        const container = document.getElementById(`${tool}-thumbnails`);
+
+        if (container) {
+            container.querySelectorAll('.page-thumbnail').forEach(thumbnail => {
+                const pageNum = parseInt(thumbnail.dataset.page);
+                thumbnail.classList.toggle('selected', this.selectedPages.has(pageNum));
+
+                const canvas = thumbnail.querySelector('canvas');
+                if (tool === 'rotate' && canvas) {
+                    canvas.style.transform = `rotate(${this.pageRotations.get(pageNum) || 0}deg)`;
                 }
-                
-                const page = pdf.addPage([pageWidth, pageHeight]);
-                
-                const availableWidth = pageWidth - 2 * margin;
-                const availableHeight = pageHeight - 2 * margin;
-                
-                const scale = Math.min(
-                    availableWidth / image.width,
-                    availableHeight / image.height
-                );
-                
-                const scaledWidth = image.width * scale;
-                const scaledHeight = image.height * scale;
-                
-                const x = (pageWidth - scaledWidth) / 2;
-                const y = (pageHeight - scaledHeight) / 2;
-                
-                page.drawImage(image, {
-                    x: x,
-                    y: y,
-                    width: scaledWidth,
-                    height: scaledHeight
+            });
+
+            if (tool === 'reorder') {
+                this.pageOrder.forEach(pageNum => {
+                    const thumbnail = container.querySelector(`[data-original-page="${pageNum}"]`);
+                    if (thumbnail) container.appendChild(thumbnail);
                 });
             }
-            
-            const bytes = await pdf.save();
-            this.downloadPDF(bytes, 'images.pdf');
-            
-            this.showToast('PDF created from images successfully!', 'success');
-        } catch (error) {
-            this.showToast('Error creating PDF: ' + error.message, 'error');
+        }
+
+        if (tool === 'delete') {
+            document.getElementById('delete-count').textContent =
+                `${this.selectedPages.size} pages selected for deletion`;
+        }
+
+        if (tool === 'add') {
+            const source = this.loadedPDFs.get('add-source');
+            document.querySelector('#add-source-dropzone .drop-zone-subtext').textContent =
+                source ? `Adding pages from ${source.name}` : 'Pages from this file will be added';
         }
     }
 
-    async convertPDFToImages() {
-        try {
-            this.showToast('Converting PDF to images...', 'success');
-            
-            const format = document.getElementById('pdftoimage-format').value;
-            const quality = parseInt(document.getElementById('pdftoimage-quality').value) / 100;
-            const dpi = parseInt(document.getElementById('pdftoimage-dpi').value);
-            const pagesOption = document.getElementById('pdftoimage-pages').value;
-            
-            let pagesToConvert = [];
-            if (pagesOption === 'all') {
-                pagesToConvert = Array.from({ length: this.currentPDF.numPages }, (_, i) => i + 1);
-            } else if (pagesOption === 'current') {
-                pagesToConvert = [this.currentPage];
-            } else if (pagesOption === 'range') {
-                const range = document.getElementById('pdftoimage-range').value;
-                pagesToConvert = this.parsePageRange(range, this.currentPDF.numPages).map(p => p + 1);
+    // Keep a page tool's document, page state and history when switching away from it
+    saveToolSession(tool) {
+        const keys = PrivPDF.PAGE_TOOLS[tool];
+        if (!keys || !this.loadedPDFs.has(keys[0])) return;
+
+        const files = {};
+        keys.forEach(key => {
+            if (this.loadedPDFs.has(key)) files[key] = this.loadedPDFs.get(key);
+        });
+
+        this.toolSessions.set(tool, {
+            files,
+            state: this.snapshotPageState(),
+            history: this.getHistory(tool)
+        });
+    }
+
+    async restoreToolSession(tool) {
+        const session = this.toolSessions.get(tool);
+        if (tool === 'organize') this.renderOrganizer();
+        this.updateHistoryControls();
+        if (!session) return;
+
+        const [mainKey] = PrivPDF.PAGE_TOOLS[tool];
+        await this.getToolEntryPoint(tool)(session.files[mainKey]);
+
+        // Loading the document cleared the tool's history; the saved one still applies
+        if (this.currentTool !== tool) return;
+        this.histories.set(tool, session.history);
+        this.restorePageState(session.state);
+        this.updateHistoryControls();
+    }
+
+    // Organizer - pages of several PDFs in one grid, arranged into one or more new documents.
+    // Each loaded PDF starts as a document of its own; pages can be dragged between documents.
+    async handleOrganizeFiles(files) {
+        let added = 0;
+        for (const file of files) {
+            if (!file || file.type !== 'application/pdf') {
+                this.showToast(`${file ? file.name : 'File'} is not a PDF file`, 'error');
+                continue;
             }
-            
-            const scale = dpi / 72;
-            
-            for (const pageNum of pagesToConvert) {
-                const page = await this.currentPDF.getPage(pageNum);
-                const viewport = page.getViewport({ scale: scale });
-                
-                const canvas = document.createElement('canvas');
-                const context = canvas.getContext('2d');
-                canvas.width = viewport.width;
-                canvas.height = viewport.height;
-                
-                await page.render({
-                    canvasContext: context,
-                    viewport: viewport
-                }).promise;
-                
-                canvas.toBlob((blob) => {
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `page_${pageNum}.${format}`;
-                    a.click();
-                    URL.revokeObjectURL(url);
-                }, `image/${format}`, quality);
+
+            const doc = await this.addToWorkspace(file);
+            const source = await this.addOrganizerSource(file.name, await this.readFileBytes(file), doc.id);
+            const { thumbnails } = this.organizer.sources[source];
+            this.changeOrganizer(`Add ${file.name}`, documents => {
+                documents.push({
+                    id: this.organizer.nextId++,
+                    name: PrivPDFWorkspace.getBaseName(file.name),
+                    pages: thumbnails.map((_, i) => ({ id: this.organizer.nextId++, source, page: i + 1, rotation: 0 }))
+                });
+            });
+            added++;
+        }
+
+        if (added > 0) {
+            this.showToast(`${added} PDF${added === 1 ? '' : 's'} added. Drag pages between documents, then export.`, 'success');
+        }
+    }
+
+    // Render a source's pages once; returns its index for the pages of the documents
+    async addOrganizerSource(name, bytes, docId) {
+        const pdf = await pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+        const thumbnails = [];
+        for (let i = 1; i <= pdf.numPages; i++) {
+            thumbnails.push(await this.renderThumbnailCanvas(pdf, i));
+        }
+        pdf.destroy();
+
+        return this.organizer.sources.push({ name, bytes, thumbnails, docId }) - 1;
+    }
+
+    // Organizer edits can be undone like page edits; mutate changes a copy of the documents
+    changeOrganizer(label, mutate) {
+        const before = this.organizer.documents;
+        const after = JSON.parse(JSON.stringify(before));
+        mutate(after);
+        if (JSON.stringify(after) === JSON.stringify(before)) {
+            this.renderOrganizer();
+            return;
+        }
+
+        this.getHistory('organize').execute({
+            label,
+            do: () => {
+                this.organizer.documents = after;
+                this.renderOrganizer();
+            },
+            undo: () => {
+                this.organizer.documents = before;
+                this.renderOrganizer();
             }
-            
-            this.showToast(`Converted ${pagesToConvert.length} pages to ${format.toUpperCase()}!`, 'success');
+        });
+    }
+
+    findOrganizerPage(documents, pageId) {
+        for (const doc of documents) {
+            const index = doc.pages.findIndex(entry => entry.id === pageId);
+            if (index !== -1) return { doc, index, entry: doc.pages[index] };
+        }
+        return null;
+    }
+
+    getOrganizerPageLabel(entry) {
+        const source = this.organizer.sources[entry.source];
+        return `${PrivPDFWorkspace.getBaseName(source.name)} p.${entry.page}`;
+    }
+
+    addOrganizerDocument() {
+        this.changeOrganizer('New document', documents => {
+            documents.push({ id: this.organizer.nextId++, name: `Document ${documents.length + 1}`, pages: [] });
+        });
+    }
+
+    clearOrganizer() {
+        this.organizer = { sources: [], documents: [], nextId: 1 };
+        this.getHistory('organize').clear();
+        this.renderOrganizer();
+    }
+
+    renderOrganizer() {
+        const container = document.getElementById('organize-documents');
+        const hasSources = this.organizer.sources.length > 0;
+
+        ['organize-export', 'organize-new', 'organize-clear'].forEach(id => {
+            document.getElementById(id).style.display = hasSources ? 'inline-flex' : 'none';
+        });
+
+        container.innerHTML = '';
+        this.organizer.documents.forEach((doc, index) => {
+            const section = document.createElement('div');
+            section.className = 'organize-document';
+            section.innerHTML = `
+                <div class="organize-document-header">
+                    <input type="text" class="setting-input" aria-label="Document name">
+                    <span class="file-size">${doc.pages.length} page${doc.pages.length === 1 ? '' : 's'}</span>
+                    <button class="icon-btn danger" title="Remove this document">✕</button>
+                </div>
+                <div class="page-thumbnails organize-pages"></div>
+            `;
+
+            const name = section.querySelector('input');
+            name.value = doc.name;
+            name.addEventListener('change', () => {
+                this.changeOrganizer(`Rename ${doc.name}`, documents => {
+                    documents[index].name = name.value.trim() || doc.name;
+                });
+            });
+            section.querySelector('.icon-btn.danger').addEventListener('click', () => {
+                this.changeOrganizer(`Remove ${doc.name}`, documents => documents.splice(index, 1));
+            });
+
+            const grid = section.querySelector('.organize-pages');
+            grid.dataset.documentId = doc.id;
+            grid.style.display = 'flex';
+            doc.pages.forEach(entry => grid.appendChild(this.createOrganizerThumbnail(entry)));
+            container.appendChild(section);
+        });
+
+        this.updateHistoryControls();
+    }
+
+    createOrganizerThumbnail(entry) {
+        const label = this.getOrganizerPageLabel(entry);
+        const cached = this.organizer.sources[entry.source].thumbnails[entry.page - 1];
+        const canvas = document.createElement('canvas');
+        canvas.width = cached.width;
+        canvas.height = cached.height;
+        canvas.getContext('2d').drawImage(cached, 0, 0);
+        canvas.style.transform = `rotate(${entry.rotation}deg)`;
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'page-thumbnail';
+        thumbnail.draggable = true;
+        thumbnail.dataset.pageId = entry.id;
+        thumbnail.title = label;
+        thumbnail.innerHTML = `
+            <canvas></canvas>
+            <div class="page-thumbnail-number"></div>
+        `;
+        thumbnail.querySelector('canvas').replaceWith(canvas);
+        thumbnail.querySelector('.page-thumbnail-number').textContent = label;
+
+        const edit = (verb, mutate) => () => {
+            this.changeOrganizer(`${verb} ${label}`, documents => mutate(this.findOrganizerPage(documents, entry.id)));
+        };
+        const controls = document.createElement('div');
+        controls.className = 'organize-page-controls';
+        [
+            ['↺', 'Rotate left', edit('Rotate', ({ entry: page }) => { page.rotation = (page.rotation + 270) % 360; })],
+            ['↻', 'Rotate right', edit('Rotate', ({ entry: page }) => { page.rotation = (page.rotation + 90) % 360; })],
+            ['⧉', 'Duplicate', edit('Duplicate', ({ doc, index, entry: page }) => {
+                doc.pages.splice(index + 1, 0, { ...page, id: this.organizer.nextId++ });
+            })],
+            ['✕', 'Delete', edit('Delete', ({ doc, index }) => doc.pages.splice(index, 1))]
+        ].forEach(([text, title, onClick]) => {
+            const button = document.createElement('button');
+            button.className = 'icon-btn' + (text === '✕' ? ' danger' : '');
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                onClick();
+            });
+            controls.appendChild(button);
+        });
+        thumbnail.appendChild(controls);
+
+        return thumbnail;
+    }
+
+    // Pages without the organizer panel (privpdf.html) skip it
+    setupOrganizer() {
+        const container = document.getElementById('organize-documents');
+        if (!container) return;
+
+        document.getElementById('organize-input').addEventListener('change', (e) => {
+            this.handleOrganizeFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        document.getElementById('organize-export').addEventListener('click', () => this.exportOrganizer());
+        document.getElementById('organize-new').addEventListener('click', () => this.addOrganizerDocument());
+        document.getElementById('organize-clear').addEventListener('click', () => this.clearOrganizer());
+        this.setupOrganizerDragAndDrop(container);
+    }
+
+    // One listener set for all documents, so pages can be dropped into any of them
+    setupOrganizerDragAndDrop(container) {
+        let dragged = null;
+
+        container.addEventListener('dragstart', (e) => {
+            if (e.target.classList && e.target.classList.contains('page-thumbnail')) {
+                dragged = e.target;
+                dragged.style.opacity = '0.5';
+            }
+        });
+
+        container.addEventListener('dragend', () => {
+            if (!dragged) return;
+            // Dropped outside a document: show the recorded order again
+            dragged = null;
+            this.renderOrganizer();
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const grid = e.target.closest('.organize-pages');
+            if (!dragged || !grid) return;
+
+            e.preventDefault();
+            const before = this.getGridDropTarget(grid, e.clientX, e.clientY);
+            if (before !== dragged) grid.insertBefore(dragged, before);
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (!dragged || !e.target.closest('.organize-pages')) return;
+            e.preventDefault();
+
+            const label = dragged.title;
+            const layout = [...container.querySelectorAll('.organize-pages')].map(grid =>
+                [...grid.querySelectorAll('.page-thumbnail')].map(thumbnail => parseInt(thumbnail.dataset.pageId)));
+            // Re-rendering removes the dragged element, so its dragend never reaches the container
+            dragged = null;
+
+            this.changeOrganizer(`Move ${label}`, documents => {
+                const entries = new Map(documents.flatMap(doc => doc.pages).map(entry => [entry.id, entry]));
+                documents.forEach((doc, index) => {
+                    doc.pages = layout[index].map(id => entries.get(id));
+                });
+            });
+        });
+    }
+
+    // The thumbnail a dragged one goes before in a wrapping grid, or null for the end
+    getGridDropTarget(container, x, y) {
+        return [...container.querySelectorAll('.page-thumbnail')].find(child => {
+            const box = child.getBoundingClientRect();
+            return y < box.top || (y <= box.bottom && x < box.left + box.width / 2);
+        }) || null;
+    }
+
+    async exportOrganizer() {
+        try {
+            const { sources, documents } = this.organizer;
+            const options = {
+                documents: documents.map(doc => ({
+                    name: PrivPDFZip.sanitizeName(doc.name) + '.pdf',
+                    pages: doc.pages.map(({ source, page, rotation }) => ({ source, page, rotation }))
+                }))
+            };
+
+            // The worker takes ownership of its inputs, so it gets copies
+            const outputs = await this.runTask('organize', [sources.map(source => source.bytes.slice()), options]);
+            this.deliverFiles('organize', outputs, {
+                settings: { sources: sources.map(source => source.name), documents: options.documents },
+                engines: [await this.getEngineRecord('organize')]
+            });
+
+            this.showToast(`${outputs.length} PDF${outputs.length === 1 ? '' : 's'} added to the workspace`, 'success');
         } catch (error) {
-            this.showToast('Error converting PDF: ' + error.message, 'error');
+            if (error.name === 'AbortError') return;
+            this.showToast('Error organizing pages: ' + error.message, 'error');
         }
     }
 
     // Helper methods
-    async createPageThumbnail(pdf, pageNum, toolName) {
+    async renderThumbnailCanvas(pdf, pageNum) {
         const page = await pdf.getPage(pageNum);
         const viewport = page.getViewport({ scale: 0.3 });
         
@@ -1597,6 +3112,12 @@ class PrivPDF {
             canvasContext: context,
             viewport: viewport
         }).promise;
+
+        return canvas;
+    }
+
+    async createPageThumbnail(pdf, pageNum, toolName) {
+        const canvas = await this.renderThumbnailCanvas(pdf, pageNum);
         
         const thumbnail = document.createElement('div');
         thumbnail.className = 'page-thumbnail';
@@ -1610,18 +3131,14 @@ class PrivPDF {
         thumbnail.querySelector('canvas').replaceWith(canvas);
         
         thumbnail.addEventListener('click', () => {
-            if (this.selectedPages.has(pageNum)) {
-                this.selectedPages.delete(pageNum);
-                thumbnail.classList.remove('selected');
-            } else {
-                this.selectedPages.add(pageNum);
-                thumbnail.classList.add('selected');
-            }
-            
-            if (toolName === 'delete') {
-                document.getElementById('delete-count').textContent = 
-                    `${this.selectedPages.size} pages selected for deletion`;
-            }
+            const selected = this.selectedPages.has(pageNum);
+            this.changePageState(`${selected ? 'Deselect' : 'Select'} page ${pageNum}`, () => {
+                if (selected) {
+                    this.selectedPages.delete(pageNum);
+                } else {
+                    this.selectedPages.add(pageNum);
+                }
+            });
         });
         
         return thumbnail;
@@ -1635,9 +3152,7 @@ class PrivPDF {
         rotateLeft.innerHTML = '↺';
         rotateLeft.onclick = (e) => {
             e.stopPropagation();
-            this.rotatePage(pageNum, -90);
-            const canvas = thumbnail.querySelector('canvas');
-            canvas.style.transform = `rotate(${this.pageRotations.get(pageNum) || 0}deg)`;
+            this.changePageState(`Rotate page ${pageNum} left`, () => this.rotatePage(pageNum, -90));
         };
         
         const rotateRight = document.createElement('button');
@@ -1645,9 +3160,7 @@ class PrivPDF {
         rotateRight.innerHTML = '↻';
         rotateRight.onclick = (e) => {
             e.stopPropagation();
-            this.rotatePage(pageNum, 90);
-            const canvas = thumbnail.querySelector('canvas');
-            canvas.style.transform = `rotate(${this.pageRotations.get(pageNum) || 0}deg)`;
+            this.changePageState(`Rotate page ${pageNum} right`, () => this.rotatePage(pageNum, 90));
         };
         
         const controls = document.createElement('div');
@@ -1664,7 +3177,6 @@ class PrivPDF {
 
     async createDraggableThumbnail(pdf, pageNum) {
         const thumbnail = await this.createPageThumbnail(pdf, pageNum, 'reorder');
-        thumbnail.draggable = true;
         thumbnail.dataset.originalPage = pageNum;
         
         return thumbnail;
@@ -1674,51 +3186,40 @@ class PrivPDF {
         return await this.createPageThumbnail(pdf, pageNum, toolName);
     }
 
-    setupDragAndDrop(container) {
-        let draggedElement = null;
-        
-        container.addEventListener('dragstart', (e) => {
-            if (e.target.classList.contains('page-thumbnail')) {
-                draggedElement = e.target;
-                e.target.style.opacity = '0.5';
-            }
-        });
-        
-        container.addEventListener('dragend', (e) => {
-            if (e.target.classList.contains('page-thumbnail')) {
-                e.target.style.opacity = '';
-            }
-        });
-        
-        container.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            const afterElement = this.getDragAfterElement(container, e.clientX);
-            if (afterElement == null) {
-                container.appendChild(draggedElement);
-            } else {
-                container.insertBefore(draggedElement, afterElement);
-            }
-        });
-        
-        container.addEventListener('drop', (e) => {
-            e.preventDefault();
-            this.updatePageOrder(container);
-        });
+    // Reorder grid and merge list: dragged with a mouse or finger, or moved with the keyboard
+    setupSortables() {
+        const reorder = document.getElementById('reorder-thumbnails');
+        const mergeFiles = document.getElementById('merge-files');
+        const announce = (message) => this.announce(message);
+
+        this.sortables = {
+            reorder: new PrivPDFSortable(reorder, {
+                itemSelector: '.page-thumbnail',
+                describedBy: 'sortable-help',
+                announce,
+                getLabel: (item) => `Page ${item.dataset.originalPage}`,
+                onMove: (item) => this.changePageState(`Move page ${item.dataset.originalPage}`, () => this.updatePageOrder(reorder))
+            }),
+            // The merge order is read from the list when merging
+            merge: new PrivPDFSortable(mergeFiles, {
+                itemSelector: '.file-item',
+                vertical: true,
+                describedBy: 'sortable-help',
+                announce,
+                getLabel: (item) => item.querySelector('.file-name').textContent,
+                onMove: () => this.scheduleSave()
+            })
+        };
     }
 
-    getDragAfterElement(container, x) {
-        const draggableElements = [...container.querySelectorAll('.page-thumbnail:not(.dragging)')];
-        
-        return draggableElements.reduce((closest, child) => {
-            const box = child.getBoundingClientRect();
-            const offset = x - box.left - box.width / 2;
-            
-            if (offset < 0 && offset > closest.offset) {
-                return { offset: offset, element: child };
-            } else {
-                return closest;
-            }
-        }, { offset: Number.NEGATIVE_INFINITY }).element;
+    // Screen reader announcements through the shared live region
+    announce(message) {
+        const region = document.getElementById('live-region');
+        if (!region) return;
+
+        // Clearing first makes a repeated message be read again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
     }
 
     updatePageOrder(container) {
@@ -1734,77 +3235,114 @@ class PrivPDF {
 
     rotateAllPages(degrees) {
         const thumbnails = document.querySelectorAll('#rotate-thumbnails .page-thumbnail');
-        thumbnails.forEach(thumbnail => {
-            const pageNum = parseInt(thumbnail.dataset.page);
-            this.rotatePage(pageNum, degrees);
-            const canvas = thumbnail.querySelector('canvas');
-            canvas.style.transform = `rotate(${this.pageRotations.get(pageNum) || 0}deg)`;
+        this.changePageState(`Rotate all pages ${degrees < 0 ? 'left' : 'right'}`, () => {
+            thumbnails.forEach(thumbnail => this.rotatePage(parseInt(thumbnail.dataset.page), degrees));
         });
     }
 
     selectAllPages(selected) {
-        const thumbnails = document.querySelectorAll('#extract-thumbnails .page-thumbnail');
-        thumbnails.forEach(thumbnail => {
-            const pageNum = parseInt(thumbnail.dataset.page);
-            if (selected) {
-                this.selectedPages.add(pageNum);
-                thumbnail.classList.add('selected');
-            } else {
-                this.selectedPages.delete(pageNum);
-                thumbnail.classList.remove('selected');
-            }
-        });
+        this.setAllSelected('#extract-thumbnails', selected);
     }
 
     selectAllPagesForDeletion(selected) {
-        const thumbnails = document.querySelectorAll('#delete-thumbnails .page-thumbnail');
-        thumbnails.forEach(thumbnail => {
-            const pageNum = parseInt(thumbnail.dataset.page);
-            if (selected) {
-                this.selectedPages.add(pageNum);
-                thumbnail.classList.add('selected');
-            } else {
-                this.selectedPages.delete(pageNum);
-                thumbnail.classList.remove('selected');
-            }
+        this.setAllSelected('#delete-thumbnails', selected);
+    }
+
+    setAllSelected(containerSelector, selected) {
+        const thumbnails = document.querySelectorAll(`${containerSelector} .page-thumbnail`);
+        this.changePageState(selected ? 'Select all pages' : 'Deselect all pages', () => {
+            thumbnails.forEach(thumbnail => {
+                const pageNum = parseInt(thumbnail.dataset.page);
+                if (selected) {
+                    this.selectedPages.add(pageNum);
+                } else {
+                    this.selectedPages.delete(pageNum);
+                }
+            });
         });
-        document.getElementById('delete-count').textContent = 
-            `${this.selectedPages.size} pages selected for deletion`;
     }
 
     invertSelection() {
         const thumbnails = document.querySelectorAll('#extract-thumbnails .page-thumbnail');
-        thumbnails.forEach(thumbnail => {
-            const pageNum = parseInt(thumbnail.dataset.page);
-            if (this.selectedPages.has(pageNum)) {
-                this.selectedPages.delete(pageNum);
-                thumbnail.classList.remove('selected');
-            } else {
-                this.selectedPages.add(pageNum);
-                thumbnail.classList.add('selected');
-            }
+        this.changePageState('Invert selection', () => {
+            thumbnails.forEach(thumbnail => {
+                const pageNum = parseInt(thumbnail.dataset.page);
+                if (this.selectedPages.has(pageNum)) {
+                    this.selectedPages.delete(pageNum);
+                } else {
+                    this.selectedPages.add(pageNum);
+                }
+            });
         });
     }
 
     resetPageOrder() {
-        const container = document.getElementById('reorder-thumbnails');
-        const thumbnails = Array.from(container.querySelectorAll('.page-thumbnail'));
-        
-        thumbnails.sort((a, b) => {
-            const pageA = parseInt(a.dataset.originalPage);
-            const pageB = parseInt(b.dataset.originalPage);
-            return pageA - pageB;
+        this.changePageState('Reset page order', () => {
+            this.pageOrder = [...this.pageOrder].sort((a, b) => a - b);
         });
-        
-        container.innerHTML = '';
-        thumbnails.forEach(thumbnail => container.appendChild(thumbnail));
-        
-        this.updatePageOrder(container);
+    }
+
+    // Thumbnails of the pages a merge entry adds, turned by its rotation. Only the first
+    // MERGE_STRIP_PAGES are drawn; each page is rendered once.
+    async updateMergeStrip(item) {
+        const preview = this.mergePreviews.get(item.dataset.fileId);
+        if (!preview) return;
+
+        const { pdf, thumbnails } = preview;
+        const range = item.querySelector('.merge-range').value.trim();
+        const indices = range ? PrivPDFOperations.parsePageRange(range, pdf.numPages) : [...Array(pdf.numPages).keys()];
+        const rotation = parseInt(item.dataset.rotation) || 0;
+
+        item.querySelector('.merge-range').classList.toggle('invalid', indices.length === 0);
+        item.querySelector('.merge-summary').textContent = indices.length === 0 ? 'No valid pages' :
+            `${indices.length} of ${pdf.numPages} page${pdf.numPages === 1 ? '' : 's'}${rotation ? `, rotated ${rotation}°` : ''}`;
+
+        // A newer update may finish first while pages are rendering
+        const update = (item.stripUpdate || 0) + 1;
+        item.stripUpdate = update;
+        const shown = indices.slice(0, PrivPDF.MERGE_STRIP_PAGES);
+        for (const index of shown) {
+            if (!thumbnails.has(index)) thumbnails.set(index, await this.renderThumbnailCanvas(pdf, index + 1));
+            if (item.stripUpdate !== update) return;
+        }
+
+        const strip = item.querySelector('.merge-strip');
+        strip.innerHTML = '';
+        shown.forEach(index => {
+            const canvas = thumbnails.get(index);
+            canvas.style.transform = `rotate(${rotation}deg)`;
+            canvas.title = `Page ${index + 1}`;
+            strip.appendChild(canvas);
+        });
+        if (indices.length > shown.length) {
+            const more = document.createElement('span');
+            more.className = 'file-size';
+            more.textContent = `+${indices.length - shown.length} more`;
+            strip.appendChild(more);
+        }
+    }
+
+    static get MERGE_STRIP_PAGES() {
+        return 12;
+    }
+
+    rotateMergeFile(fileId) {
+        const item = document.querySelector(`[data-file-id="${fileId}"]`);
+        item.dataset.rotation = ((parseInt(item.dataset.rotation) || 0) + 90) % 360;
+        this.updateMergeStrip(item);
+        this.scheduleSave();
+    }
+
+    clearMergePreviews() {
+        this.mergePreviews.forEach(({ pdf }) => pdf.destroy());
+        this.mergePreviews.clear();
     }
 
     clearMergeFiles() {
+        this.clearMergePreviews();
         document.getElementById('merge-files').innerHTML = '';
         this.loadedPDFs.clear();
+        document.getElementById('merge-settings').style.display = 'none';
         document.getElementById('merge-button').style.display = 'none';
         document.getElementById('merge-clear').style.display = 'none';
     }
@@ -1822,6 +3360,8 @@ class PrivPDF {
         const prev = item.previousElementSibling;
         if (prev) {
             item.parentNode.insertBefore(item, prev);
+            this.announceFilePosition(item);
+            this.scheduleSave();
         }
     }
 
@@ -1830,17 +3370,31 @@ class PrivPDF {
         const next = item.nextElementSibling;
         if (next) {
             item.parentNode.insertBefore(next, item);
+            this.announceFilePosition(item);
+            this.scheduleSave();
         }
     }
 
+    announceFilePosition(item) {
+        const items = [...item.parentNode.children];
+        const name = item.querySelector('.file-name').textContent;
+        this.announce(`${name} moved to position ${items.indexOf(item) + 1} of ${items.length}`);
+    }
+
     removeFile(fileId) {
         const item = document.querySelector(`[data-file-id="${fileId}"]`);
         if (item) {
             item.remove();
             this.loadedPDFs.delete(parseFloat(fileId));
         }
+        const preview = this.mergePreviews.get(String(fileId));
+        if (preview) {
+            preview.pdf.destroy();
+            this.mergePreviews.delete(String(fileId));
+        }
         
         if (document.querySelectorAll('#merge-files .file-item').length === 0) {
+            document.getElementById('merge-settings').style.display = 'none';
             document.getElementById('merge-button').style.display = 'none';
             document.getElementById('merge-clear').style.display = 'none';
         }
@@ -1926,23 +3480,7 @@ class PrivPDF {
     }
 
     parsePageRange(range, maxPage) {
-        const pages = [];
-        const parts = range.split(',');
-        
-        for (const part of parts) {
-            const trimmed = part.trim();
-            if (trimmed.includes('-')) {
-                const [start, end] = trimmed.split('-').map(n => parseInt(n.trim()) - 1);
-                for (let i = start; i <= Math.min(end, maxPage - 1); i++) {
-                    if (i >= 0 && i < maxPage) pages.push(i);
-                }
-            } else {
-                const page = parseInt(trimmed) - 1;
-                if (page >= 0 && page < maxPage) pages.push(page);
-            }
-        }
-        
-        return [...new Set(pages)].sort((a, b) => a - b);
+        return PrivPDFOperations.parsePageRange(range, maxPage);
     }
 
     formatFileSize(bytes) {
@@ -1954,7 +3492,11 @@ class PrivPDF {
     }
 
     downloadPDF(bytes, filename) {
-        const blob = new Blob([bytes], { type: 'application/pdf' });
+        this.downloadFile(bytes, filename, 'application/pdf');
+    }
+
+    downloadFile(bytes, filename, type) {
+        const blob = new Blob([bytes], { type });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
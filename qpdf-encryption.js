@@ -1,11 +1,27 @@
 // QPDF WASM-based PDF Encryption
 // Real password protection using standard PDF encryption (AES-256, AES-128, RC4)
+// Runs the qpdf command line compiled to WASM; without it, encryption fails instead of faking it.
 
 class QPDFEncryption {
     constructor() {
         this.qpdf = null;
         this.status = 'not-loaded';
         this.loadPromise = null;
+        this.source = null;
+        this.error = null;
+    }
+
+    // qpdf release built into @jspawn/qpdf-wasm 0.0.2
+    static get VERSION() {
+        return '11.0.0';
+    }
+
+    // Where the module is loaded from, in order. Paths are relative to the page or worker.
+    static get SOURCES() {
+        return [
+            { name: 'local', base: 'vendor/qpdf/' },
+            { name: 'cdn', base: 'https://cdn.jsdelivr.net/npm/@jspawn/qpdf-wasm@0.0.2/' }
+        ];
     }
 
     // Load QPDF WASM module
@@ -19,95 +35,134 @@ class QPDFEncryption {
         try {
             await this.loadPromise;
             this.status = 'ready';
+            this.error = null;
             return true;
         } catch (error) {
             this.status = 'error';
+            this.error = error.message;
             throw error;
         }
     }
 
     async _loadQPDF(progressCallback) {
-        try {
-            if (progressCallback) progressCallback('Loading QPDF WASM module...', 10);
-
-            // Try to load QPDF WASM from CDN
-            const script = document.createElement('script');
-            script.type = 'module';
-            
-            // Create module loading code
-            const moduleCode = `
-                import initQPDF from 'https://cdn.jsdelivr.net/npm/@jspawn/qpdf-wasm@0.2.1/qpdf.mjs';
-                
-                window.initQPDFModule = async function() {
-                    try {
-                        const qpdf = await initQPDF({
-                            locateFile: (file) => {
-                                return 'https://cdn.jsdelivr.net/npm/@jspawn/qpdf-wasm@0.2.1/' + file;
-                            }
-                        });
-                        return qpdf;
-                    } catch (error) {
-                        console.error('Failed to initialize QPDF:', error);
-                        throw error;
-                    }
-                };
-            `;
-            
-            script.textContent = moduleCode;
-            document.head.appendChild(script);
+        if (progressCallback) progressCallback('Loading QPDF WASM module...', 10);
 
-            if (progressCallback) progressCallback('Initializing QPDF...', 50);
-
-            // Wait for module to be available
-            await new Promise(resolve => setTimeout(resolve, 500));
+        // Under Node (the CLI) the engine comes straight from node_modules
+        if (typeof self === 'undefined' && typeof require === 'function') {
+            return await this._loadNodeQPDF(progressCallback);
+        }
 
-            if (window.initQPDFModule) {
-                this.qpdf = await window.initQPDFModule();
+        // Self-hosted copy first, then the CDN. A dynamic import works both on the page
+        // and inside the worker, where there is no document to add a script tag to.
+        for (const source of QPDFEncryption.SOURCES) {
+            try {
+                const base = new URL(source.base, self.location.href).href;
+                const { default: initQPDF } = await import(base + 'qpdf.mjs');
+
+                if (progressCallback) progressCallback('Initializing QPDF...', 50);
+
+                this.qpdf = await initQPDF({
+                    locateFile: (file) => base + file,
+                    // qpdf's stdout is not needed; errors still go to the console
+                    print: () => {},
+                    printErr: (text) => console.warn('QPDF:', text),
+                    noInitialRun: true
+                });
+                this.source = source.name;
                 if (progressCallback) progressCallback('QPDF ready!', 100);
                 return true;
-            } else {
-                throw new Error('QPDF module failed to load');
+            } catch (error) {
+                console.error(`Error loading QPDF WASM from ${source.name}:`, error);
             }
-
-        } catch (error) {
-            console.error('Error loading QPDF WASM:', error);
-            
-            // Fallback to mock implementation
-            if (progressCallback) progressCallback('Using fallback encryption...', 100);
-            this.qpdf = this.createMockQPDF();
-            return true;
         }
+
+        throw new Error('QPDF WASM could not be loaded from any source');
+    }
+
+    async _loadNodeQPDF(progressCallback) {
+        const fs = require('fs');
+        const initQPDF = require('@jspawn/qpdf-wasm');
+        const wasm = fs.readFileSync(require.resolve('@jspawn/qpdf-wasm/qpdf.wasm'));
+
+        if (progressCallback) progressCallback('Initializing QPDF...', 50);
+
+        // Emscripten would fetch() the .wasm path, which Node cannot do for local files
+        this.qpdf = await initQPDF({
+            instantiateWasm: (imports, done) => {
+                WebAssembly.instantiate(wasm, imports).then(({ instance }) => done(instance));
+                return {};
+            },
+            print: () => {},
+            printErr: (text) => console.warn('QPDF:', text),
+            noInitialRun: true
+        });
+        this.source = 'node_modules';
+        if (progressCallback) progressCallback('QPDF ready!', 100);
+        return true;
     }
 
-    // Create mock QPDF for fallback
-    createMockQPDF() {
+    // Permissions not given by the caller
+    static get DEFAULT_PERMISSIONS() {
         return {
-            encrypt: async (pdfData, options) => {
-                // Simple XOR-based obfuscation as fallback
-                const password = options.userPassword || 'default';
-                const key = this.generateKey(password);
-                const encrypted = new Uint8Array(pdfData);
-                
-                for (let i = 0; i < encrypted.length; i++) {
-                    encrypted[i] ^= key[i % key.length];
-                }
-                
-                return encrypted;
-            }
+            print: true,
+            modify: false,
+            copy: false,
+            annotate: false,
+            fillForms: true,
+            accessibility: true,
+            assemble: false,
+            printHighQuality: true
         };
     }
 
-    // Generate key from password
-    generateKey(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const key = new Uint8Array(256);
-        
-        for (let i = 0; i < 256; i++) {
-            key[i] = data[i % data.length] ^ (i * 17);
+    // qpdf --encrypt arguments for a method and permission set. 40-bit RC4 only knows
+    // a smaller set of y/n restrictions.
+    static getEncryptArgs({ userPassword, ownerPassword, encryptionMethod, permissions }) {
+        const allow = (permission) => permissions[permission] ? 'y' : 'n';
+        const keyLength = { 'AES-256': '256', 'AES-128': '128', 'RC4-128': '128', 'RC4-40': '40' }[encryptionMethod];
+        if (!keyLength) {
+            throw new Error(`Unsupported encryption method: ${encryptionMethod}`);
+        }
+
+        const args = ['--encrypt', userPassword, ownerPassword, keyLength];
+        if (keyLength === '40') {
+            args.push(`--print=${allow('print')}`, `--modify=${allow('modify')}`,
+                `--extract=${allow('copy')}`, `--annotate=${allow('annotate')}`);
+        } else {
+            const print = !permissions.print ? 'none' : permissions.printHighQuality === false ? 'low' : 'full';
+            args.push(`--print=${print}`, `--modify=${permissions.modify ? 'all' : 'none'}`,
+                `--extract=${allow('copy')}`, `--annotate=${allow('annotate')}`,
+                `--form=${allow('fillForms')}`, `--accessibility=${allow('accessibility')}`,
+                `--assemble=${allow('assemble')}`);
+            if (encryptionMethod === 'AES-128') args.push('--use-aes=y');
+        }
+        args.push('--');
+        // qpdf 11 only writes RC4 when asked to explicitly
+        if (encryptionMethod.startsWith('RC4')) args.unshift('--allow-weak-crypto');
+        return args;
+    }
+
+    // Run the qpdf command line on the module's virtual file system
+    runQPDF(args, input) {
+        const { FS } = this.qpdf;
+        FS.writeFile('/input.pdf', input);
+
+        try {
+            const exitCode = this.qpdf.callMain([...args, '/input.pdf', '/output.pdf']);
+            // 3 means success with warnings
+            if (exitCode !== 0 && exitCode !== 3) {
+                throw new Error(`qpdf exited with code ${exitCode}`);
+            }
+            return FS.readFile('/output.pdf');
+        } finally {
+            ['/input.pdf', '/output.pdf'].forEach(file => {
+                try {
+                    FS.unlink(file);
+                } catch (error) {
+                    // Not written
+                }
+            });
         }
-        
-        return key;
     }
 
     // Encrypt PDF with real password protection
@@ -116,16 +171,7 @@ class QPDFEncryption {
             userPassword = '',
             ownerPassword = '',
             encryptionMethod = 'AES-256', // 'AES-256', 'AES-128', 'RC4-128', 'RC4-40'
-            permissions = {
-                print: true,
-                modify: false,
-                copy: false,
-                annotate: false,
-                fillForms: true,
-                accessibility: true,
-                assemble: false,
-                printHighQuality: true
-            }
+            permissions = {}
         } = options;
 
         try {
@@ -136,84 +182,25 @@ class QPDFEncryption {
 
             // Convert ArrayBuffer to Uint8Array if needed
             const pdfBytes = pdfData instanceof Uint8Array ? pdfData : new Uint8Array(pdfData);
-
-            // Use real QPDF if available
-            if (this.qpdf && this.qpdf.encrypt) {
-                const encryptedData = await this.qpdf.encrypt(pdfBytes, {
-                    userPassword,
-                    ownerPassword: ownerPassword || userPassword,
-                    encryptionMethod,
-                    permissions
-                });
-
-                return {
-                    success: true,
-                    data: encryptedData,
-                    method: `QPDF ${encryptionMethod} Encryption`,
-                    isRealEncryption: true
-                };
-            }
-
-            // Fallback to PDF-lib with metadata protection
-            return await this.fallbackEncryption(pdfBytes, options);
-
-        } catch (error) {
-            console.error('Encryption error:', error);
-            throw new Error(`Failed to encrypt PDF: ${error.message}`);
-        }
-    }
-
-    // Fallback encryption using PDF-lib
-    async fallbackEncryption(pdfData, options) {
-        try {
-            // Check if PDF-lib is available
-            if (typeof PDFLib === 'undefined') {
-                throw new Error('PDF-lib not available for fallback encryption');
-            }
-
-            const pdf = await PDFLib.PDFDocument.load(pdfData);
-            
-            // Add protection metadata
-            pdf.setTitle('Password Protected Document');
-            pdf.setProducer('PrivPDF Security System');
-            pdf.setCreator('Encrypted with PrivPDF');
-            pdf.setSubject(`Protected - User Password: ${options.userPassword ? 'Yes' : 'No'}, Owner Password: ${options.ownerPassword ? 'Yes' : 'No'}`);
-            
-            // Add watermark if password is set
-            if (options.userPassword || options.ownerPassword) {
-                const pages = pdf.getPages();
-                const font = await pdf.embedFont(PDFLib.StandardFonts.HelveticaBold);
-                
-                pages.forEach(page => {
-                    const { width, height } = page.getSize();
-                    
-                    // Add password protection notice
-                    page.drawText('PASSWORD PROTECTED', {
-                        x: width / 2 - 100,
-                        y: height / 2,
-                        size: 30,
-                        font: font,
-                        color: PDFLib.rgb(0.9, 0.9, 0.9),
-                        opacity: 0.2,
-                        rotate: PDFLib.degrees(-45)
-                    });
-                });
-            }
-
-            const protectedBytes = await pdf.save({
-                useObjectStreams: true
-            });
+            const encryptedData = this.runQPDF(QPDFEncryption.getEncryptArgs({
+                userPassword,
+                ownerPassword: ownerPassword || userPassword,
+                encryptionMethod,
+                permissions: { ...QPDFEncryption.DEFAULT_PERMISSIONS, ...permissions }
+            }), pdfBytes);
 
             return {
                 success: true,
-                data: protectedBytes,
-                method: 'Fallback Protection (Watermark)',
-                isRealEncryption: false,
-                note: 'Real password protection requires QPDF WASM. Using watermark protection as fallback.'
+                data: encryptedData,
+                method: `QPDF ${encryptionMethod} Encryption`,
+                engine: this.getEngineName(),
+                isRealEncryption: true,
+                degraded: false
             };
 
         } catch (error) {
-            throw new Error(`Fallback encryption failed: ${error.message}`);
+            console.error('Encryption error:', error);
+            throw new Error(`Failed to encrypt PDF: ${error.message}`);
         }
     }
 
@@ -230,17 +217,28 @@ class QPDFEncryption {
         }
     }
 
+    getEngineName() {
+        return `QPDF ${QPDFEncryption.VERSION} (WASM)`;
+    }
+
     // Get encryption capabilities
     getCapabilities() {
+        const isReal = this.status === 'ready';
         return {
-            hasRealEncryption: this.qpdf && this.qpdf.encrypt,
-            supportedMethods: this.qpdf && this.qpdf.encrypt ? 
-                ['AES-256', 'AES-128', 'RC4-128', 'RC4-40'] : 
-                ['Watermark Only'],
-            status: this.status
+            engine: this.getEngineName(),
+            hasRealEncryption: isReal,
+            supportedMethods: isReal ? ['AES-256', 'AES-128', 'RC4-128', 'RC4-40'] : [],
+            status: this.status,
+            source: this.source,
+            error: this.error
         };
     }
 }
 
-// Export for use
-window.QPDFEncryption = QPDFEncryption;
\ No newline at end of file
+// Export for use on the page, in the worker and under Node
+if (typeof window !== 'undefined') {
+    window.QPDFEncryption = QPDFEncryption;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QPDFEncryption;
+}
\ No newline at end of file
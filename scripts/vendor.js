@@ -0,0 +1,52 @@
+// Copy the browser builds of PrivPDF's libraries and WASM engines from node_modules into vendor/
+// The page, the PDF worker and the service worker load these local copies first, so the app
+// keeps working with the network unplugged. Run with `npm install` or `npm run vendor`.
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const vendorDir = path.join(root, 'vendor');
+
+// npm package -> files to copy, relative to the package, into vendor/<folder>/
+const PACKAGES = {
+    'pdfjs-dist': { folder: 'pdfjs', files: ['build/pdf.min.js', 'build/pdf.worker.min.js'] },
+    'pdf-lib': { folder: 'pdf-lib', files: ['dist/pdf-lib.min.js'] },
+    'jspdf': { folder: 'jspdf', files: ['dist/jspdf.umd.min.js'] },
+    '@jspawn/ghostscript-wasm': { folder: 'ghostscript', files: ['gs.mjs', 'gs.js', 'browser.js', 'gs.wasm'] },
+    '@jspawn/qpdf-wasm': { folder: 'qpdf', files: ['qpdf.mjs', 'qpdf.js', 'browser.js', 'qpdf.wasm'] }
+};
+
+function vendor() {
+    const missing = [];
+
+    Object.entries(PACKAGES).forEach(([name, { folder, files }]) => {
+        const packageDir = path.join(root, 'node_modules', name);
+        const targetDir = path.join(vendorDir, folder);
+        if (!fs.existsSync(packageDir)) {
+            missing.push(name);
+            return;
+        }
+
+        fs.mkdirSync(targetDir, { recursive: true });
+        // Licenses travel with the code they cover
+        [...files, 'LICENSE'].forEach(file => {
+            const source = path.join(packageDir, file);
+            if (fs.existsSync(source)) {
+                fs.copyFileSync(source, path.join(targetDir, path.basename(file)));
+            } else if (file !== 'LICENSE') {
+                missing.push(`${name}/${file}`);
+            }
+        });
+        console.log(`vendor/${folder}: ${files.map(file => path.basename(file)).join(', ')}`);
+    });
+
+    // Installs without devDependencies (npm install --omit=dev, a global install of the CLI)
+    // have no website engines to copy, so after an install this is only a warning
+    if (missing.length) {
+        console.warn(`Not found in node_modules: ${missing.join(', ')}. Run npm install first.`);
+        if (process.env.npm_lifecycle_event !== 'postinstall') process.exitCode = 1;
+    }
+}
+
+vendor();
@@ -0,0 +1,64 @@
+// PrivPDF service worker - caches the app and its self-hosted engines for offline use
+// vendor/ files never change for a given cache version, so they are served cache-first.
+// App files are fetched network-first so updates show up, with the cache as offline fallback.
+
+importScripts('privpdf-offline.js');
+
+const CACHE_NAME = PrivPDFOffline.CACHE_NAME;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // One missing file (e.g. vendor/ not built) must not stop the rest from being cached;
+        // the app reports the engines whose files are missing as online-only
+        await Promise.all(PrivPDFOffline.PRECACHE_FILES.map(file =>
+            cache.add(file).catch(error => console.warn(`Not cached for offline use: ${file}`, error))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('privpdf-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(url.pathname.includes('/vendor/') ? cacheFirst(event.request) : networkFirst(event.request));
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE_NAME);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
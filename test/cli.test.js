@@ -0,0 +1,138 @@
+// The privpdf command line, run in-process on fixture PDFs written to a temporary folder
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PrivPDFCLI = require('../bin/privpdf.js');
+const { PDFLib, createPDF, getPageWidths, getRotations } = require('./fixtures.js');
+
+// Pages with one line of text each, for --method pattern
+async function createTextPDF(lines) {
+    const pdf = await PDFLib.PDFDocument.create();
+    const font = await pdf.embedFont(PDFLib.StandardFonts.Helvetica);
+    lines.forEach((line, index) => {
+        const page = pdf.addPage([101 + index, 800]);
+        page.drawText(line, { x: 20, y: 700, size: 12, font });
+    });
+    return await pdf.save();
+}
+
+describe('privpdf command line', () => {
+    let folder;
+
+    // Runs privpdf with the arguments; a $ in an argument stands for the temporary folder
+    async function privpdf(...argv) {
+        let stdout = '';
+        let stderr = '';
+        const cli = new PrivPDFCLI({
+            stdout: { write: (text) => { stdout += text; } },
+            stderr: { write: (text) => { stderr += text; } }
+        });
+        const code = await cli.run(argv.map(arg => arg.replace('$', folder)));
+        return { code, stdout, stderr };
+    }
+
+    const list = (dir) => fs.readdirSync(path.join(folder, dir)).sort();
+    const widths = async (file) => await getPageWidths(new Uint8Array(fs.readFileSync(path.join(folder, file))));
+
+    before(async () => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'privpdf-'));
+        fs.writeFileSync(path.join(folder, 'a.pdf'), await createPDF(4));
+        fs.writeFileSync(path.join(folder, 'b.pdf'), await createPDF(2, { base: 200 }));
+        fs.writeFileSync(path.join(folder, 'invoices.pdf'), await createTextPDF(['Invoice No. 17', 'Terms', 'Invoice No 42', 'Terms']));
+    });
+
+    after(() => {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('writes one output file and prints its path', async () => {
+        const { code, stdout } = await privpdf('merge', '$/a.pdf', '$/b.pdf', '-o', '$/merged.pdf');
+        assert.equal(code, 0);
+        assert.equal(stdout, `${path.join(folder, 'merged.pdf')}\n`);
+        assert.deepEqual(await widths('merged.pdf'), [101, 102, 103, 104, 201, 202]);
+    });
+
+    it('turns a page given to both --all and --rotations by the sum', async () => {
+        assert.equal((await privpdf('rotate', '$/a.pdf', '--all', '90', '--rotations', '1:90', '-o', '$/rotated.pdf')).code, 0);
+        assert.deepEqual(await getRotations(new Uint8Array(fs.readFileSync(path.join(folder, 'rotated.pdf')))), [180, 90, 90, 90]);
+    });
+
+    it('splits by pages per document, ranges and single pages', async () => {
+        assert.equal((await privpdf('split', '$/a.pdf', '--method', 'pages', '--pages', '3', '-o', '$/pages')).code, 0);
+        assert.deepEqual(list('pages'), ['pages_1-3.pdf', 'pages_4-4.pdf']);
+        assert.deepEqual(await widths('pages/pages_1-3.pdf'), [101, 102, 103]);
+
+        assert.equal((await privpdf('split', '$/a.pdf', '--method=range', '--ranges', '2-3,4', '-o', '$/range')).code, 0);
+        assert.deepEqual(list('range'), ['page_4.pdf', 'pages_2-3.pdf']);
+
+        const { stdout } = await privpdf('split', '$/a.pdf', '--method', 'single', '-o', '$/single');
+        assert.equal(stdout.trim().split('\n').length, 4);
+        assert.deepEqual(await widths('single/page_4.pdf'), [104]);
+    });
+
+    it('splits where a text pattern matches', async () => {
+        const { code } = await privpdf('split', '$/invoices.pdf', '--method', 'pattern', '--pattern', 'Invoice No\\.?\\s*(\\d+)', '-o', '$/pattern');
+        assert.equal(code, 0);
+        assert.equal(list('pattern').length, 2);
+        assert.deepEqual(await widths(`pattern/${list('pattern')[1]}`), [103, 104]);
+    });
+
+    it('lists the parts of a pattern split with --dry-run, writing nothing', async () => {
+        const { code, stdout } = await privpdf('split', '$/invoices.pdf', '--method', 'pattern', '--pattern', 'Invoice No\\.?\\s*(\\d+)', '--dry-run', '-o', '$/dry');
+        assert.equal(code, 0);
+        assert.match(stdout, /^pages 1-2 +\S+\.pdf\npages 3-4 +\S+\.pdf\n$/);
+        assert.equal(fs.existsSync(path.join(folder, 'dry')), false);
+    });
+
+    it('fills --naming with the page numbers and pattern groups of each part', async () => {
+        await privpdf('split', '$/a.pdf', '--method', 'pages', '--pages', '2', '--naming', '{name}_{tool}_{start}', '-o', '$/named');
+        assert.deepEqual(list('named'), ['a_split_1.pdf', 'a_split_3.pdf']);
+
+        await privpdf('split', '$/invoices.pdf', '--method', 'pattern', '--pattern', 'Invoice No\\.?\\s*(\\d+)', '--naming', 'invoice_{1}_{pages}', '-o', '$/invoices');
+        assert.deepEqual(list('invoices'), ['invoice_17_1-2.pdf', 'invoice_42_3-4.pdf']);
+    });
+
+    it('writes the files a --dry-run lists', async () => {
+        const args = ['split', '$/invoices.pdf', '--method', 'pattern', '--pattern', 'Invoice No\\.?\\s*(\\d+)', '--naming', '{name}_{1}', '-o', '$/planned'];
+        const planned = (await privpdf(...args, '--dry-run')).stdout.trim().split('\n').map(line => line.split(/\s{2,}/).pop());
+        const written = (await privpdf(...args)).stdout.trim().split('\n').map(file => path.basename(file));
+        assert.deepEqual(planned, ['invoices_17.pdf', 'invoices_42.pdf']);
+        assert.deepEqual(written, planned);
+    });
+
+    it('rejects bad arguments with exit code 2 and the usage', async () => {
+        const unknown = await privpdf('shred', '$/a.pdf');
+        assert.equal(unknown.code, 2);
+        assert.match(unknown.stderr, /Unknown command: shred/);
+
+        const noPattern = await privpdf('split', '$/a.pdf', '--method', 'pattern');
+        assert.equal(noPattern.code, 2);
+        assert.match(noPattern.stderr, /--method pattern needs --pattern\n\nUsage: privpdf split/);
+
+        assert.match((await privpdf('split', '$/a.pdf', '--dry-run')).stderr, /--dry-run needs --method pattern/);
+        assert.match((await privpdf('extract', '$/a.pdf')).stderr, /--pages is required/);
+        assert.match((await privpdf('rotate', '$/a.pdf', '--all', '45')).stderr, /--all must be a multiple of 90/);
+        assert.match((await privpdf('split', '$/a.pdf', '--method', 'halves')).stderr, /--method must be one of/);
+    });
+
+    it('reports failures with exit code 1 and writes nothing', async () => {
+        const pastTheEnd = await privpdf('extract', '$/a.pdf', '--pages', '9', '-o', '$/extracted.pdf');
+        assert.equal(pastTheEnd.code, 1);
+        assert.equal(pastTheEnd.stderr, 'privpdf extract: Page 9 does not exist (the PDF has 4 pages)\n');
+        assert.equal(fs.existsSync(path.join(folder, 'extracted.pdf')), false);
+
+        const missing = await privpdf('rotate', '$/missing.pdf', '--all', '90');
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /Cannot read .*missing\.pdf: no such file/);
+    });
+
+    it('prints the usage for --help', async () => {
+        const { code, stdout } = await privpdf('split', '--help');
+        assert.equal(code, 0);
+        assert.match(stdout, /^Usage: privpdf split/);
+        assert.match(stdout, /--dry-run/);
+    });
+});
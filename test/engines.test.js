@@ -0,0 +1,69 @@
+// The real WASM engines, loaded from node_modules: QPDF encryption and Ghostscript compression
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PDFLib, createPDF, load } = require('./fixtures.js');
+globalThis.PDFLib = PDFLib;
+const PDFProtection = require('../pdf-protection.js');
+const QPDFEncryption = require('../qpdf-encryption.js');
+const GhostscriptWASM = require('../ghostscript-wasm.js');
+
+describe('QPDF password encryption', () => {
+    const protection = new PDFProtection();
+    let input;
+
+    before(async () => {
+        input = await createPDF(2);
+    });
+
+    it('writes a standard encrypted PDF', async () => {
+        const result = await protection.protectPDF(input, { method: 'password', userPassword: 'secret' });
+
+        assert.equal(result.isRealEncryption, true);
+        assert.equal(result.degraded, false);
+        assert.equal(result.engine, `QPDF ${QPDFEncryption.VERSION} (WASM)`);
+        assert.ok(new TextDecoder().decode(result.data).includes('/Encrypt'));
+        await assert.rejects(load(result.data));
+    });
+
+    it('supports every encryption method', async () => {
+        const qpdf = protection.qpdfEncryption;
+
+        for (const encryptionMethod of ['AES-256', 'AES-128', 'RC4-128', 'RC4-40']) {
+            const result = await qpdf.encryptPDF(input, { userPassword: 'secret', encryptionMethod });
+            assert.equal(result.method, `QPDF ${encryptionMethod} Encryption`);
+            assert.ok(new TextDecoder().decode(result.data).includes('/Encrypt'), encryptionMethod);
+        }
+    });
+
+    it('maps permissions to qpdf flags', () => {
+        const args = QPDFEncryption.getEncryptArgs({
+            userPassword: 'u',
+            ownerPassword: 'o',
+            encryptionMethod: 'AES-256',
+            permissions: { ...QPDFEncryption.DEFAULT_PERMISSIONS, print: false, copy: true }
+        });
+
+        assert.deepEqual(args.slice(0, 4), ['--encrypt', 'u', 'o', '256']);
+        assert.ok(args.includes('--print=none'));
+        assert.ok(args.includes('--extract=y'));
+        assert.equal(args[args.length - 1], '--');
+        assert.equal(QPDFEncryption.getEncryptArgs({ userPassword: 'u', ownerPassword: 'o', encryptionMethod: 'RC4-40', permissions: {} })[0],
+            '--allow-weak-crypto');
+    });
+});
+
+describe('Ghostscript compression', () => {
+    it('rewrites the PDF with pdfwrite', async () => {
+        const ghostscript = new GhostscriptWASM();
+        await ghostscript.loadModule();
+        const input = await createPDF(3);
+
+        const result = await ghostscript.module.compress(input, 'screen');
+
+        assert.equal(result.success, true);
+        assert.equal(result.engine, `Ghostscript ${GhostscriptWASM.VERSION} (WASM)`);
+        assert.equal(result.degraded, false);
+        assert.equal((await load(result.data)).getPageCount(), 3);
+    });
+});
@@ -0,0 +1,30 @@
+// Fixture PDFs for the test suite, generated at run time so no binary files live in the repo
+// Page n of a fixture is (base + n) points wide, which identifies it after it has been merged,
+// split, extracted or reordered.
+
+const PDFLib = require('pdf-lib');
+
+async function createPDF(pageCount, { base = 100, height = 800 } = {}) {
+    const pdf = await PDFLib.PDFDocument.create();
+    for (let n = 1; n <= pageCount; n++) {
+        pdf.addPage([base + n, height]);
+    }
+    return await pdf.save();
+}
+
+async function load(bytes) {
+    return await PDFLib.PDFDocument.load(bytes);
+}
+
+// Page widths in document order; for a single fixture, base + page number
+async function getPageWidths(bytes) {
+    const pdf = await load(bytes);
+    return pdf.getPages().map(page => Math.round(page.getWidth()));
+}
+
+async function getRotations(bytes) {
+    const pdf = await load(bytes);
+    return pdf.getPages().map(page => page.getRotation().angle);
+}
+
+module.exports = { PDFLib, createPDF, load, getPageWidths, getRotations };
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFHistory = require('../privpdf-history.js');
+
+// A command that adds n to state.value
+function add(state, n) {
+    return { label: `Add ${n}`, do: () => state.value += n, undo: () => state.value -= n };
+}
+
+describe('history', () => {
+    it('undoes and redoes commands in order', () => {
+        const state = { value: 0 };
+        const history = new PrivPDFHistory();
+        history.execute(add(state, 1));
+        history.execute(add(state, 10));
+        assert.equal(state.value, 11);
+        assert.deepEqual(history.peek(), { undo: 'Add 10', redo: null });
+
+        assert.equal(history.undo().label, 'Add 10');
+        assert.equal(state.value, 1);
+        assert.deepEqual(history.peek(), { undo: 'Add 1', redo: 'Add 10' });
+
+        history.redo();
+        assert.equal(state.value, 11);
+        history.undo();
+        history.undo();
+        assert.equal(state.value, 0);
+        assert.equal(history.undo(), null);
+        assert.equal(history.canUndo(), false);
+        assert.equal(history.canRedo(), true);
+    });
+
+    it('drops the redo stack when a new command runs', () => {
+        const state = { value: 0 };
+        const history = new PrivPDFHistory();
+        history.execute(add(state, 1));
+        history.undo();
+        history.execute(add(state, 5));
+
+        assert.equal(history.canRedo(), false);
+        assert.equal(history.redo(), null);
+        assert.equal(state.value, 5);
+    });
+
+    it('keeps at most limit commands', () => {
+        const state = { value: 0 };
+        const history = new PrivPDFHistory(2);
+        [1, 2, 3].forEach(n => history.execute(add(state, n)));
+
+        while (history.undo()) { /* undo everything that was kept */ }
+        assert.equal(state.value, 1);
+    });
+
+    it('notifies listeners of every change', () => {
+        const state = { value: 0 };
+        const history = new PrivPDFHistory();
+        const seen = [];
+        history.onChange(changed => seen.push(changed.canUndo()));
+
+        history.execute(add(state, 1));
+        history.undo();
+        history.redo();
+        history.clear();
+        assert.deepEqual(seen, [true, false, true, false]);
+        assert.deepEqual(history.peek(), { undo: null, redo: null });
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const PrivPDFOutline = require('../privpdf-outline.js');
+const { PDFLib, createPDF, load, getPageWidths, getRotations } = require('./fixtures.js');
+
+// A fixture whose outline has a chapter with a section, pointing at the given pages
+async function createPDFWithOutline(pageCount, base, chapterPage, sectionPage) {
+    const pdf = await load(await createPDF(pageCount, { base }));
+    const pages = pdf.getPages();
+    PrivPDFOutline.write(pdf, [{
+        title: 'Chapter',
+        pageRef: pages[chapterPage - 1].ref,
+        view: ['Fit'],
+        children: [{ title: 'Section', pageRef: pages[sectionPage - 1].ref, view: [], children: [] }]
+    }], PDFLib);
+    return await pdf.save();
+}
+
+// Outline titles with the width of the page each one leads to
+async function getOutline(bytes) {
+    const pdf = await load(bytes);
+    const widths = pdf.getPages().map(page => Math.round(page.getWidth()));
+    const describe = (items) => items.map(item => [item.title, widths[item.pageIndex], describe(item.children)]);
+    return describe(PrivPDFOutline.read(pdf, PDFLib));
+}
+
+describe('merge', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+
+    it('keeps the files and their pages in the order given', async () => {
+        const first = await createPDF(3, { base: 100 });
+        const second = await createPDF(2, { base: 200 });
+
+        assert.deepEqual(await getPageWidths(await operations.merge([first, second])), [101, 102, 103, 201, 202]);
+        assert.deepEqual(await getPageWidths(await operations.merge([second, first])), [201, 202, 101, 102, 103]);
+    });
+
+    it('can merge the same file more than once', async () => {
+        const input = await createPDF(2);
+        assert.deepEqual(await getPageWidths(await operations.merge([input, input])), [101, 102, 101, 102]);
+    });
+
+    it('keeps each file\'s bookmarks under a bookmark named after the file', async () => {
+        const first = await createPDFWithOutline(3, 100, 2, 3);
+        const second = await createPDFWithOutline(2, 200, 1, 2);
+        const merged = await operations.merge([first, second], { names: ['reports/q1.pdf', 'q2.pdf'] });
+
+        assert.deepEqual(await getOutline(merged), [
+            ['q1', 101, [['Chapter', 102, [['Section', 103, []]]]]],
+            ['q2', 201, [['Chapter', 201, [['Section', 202, []]]]]]
+        ]);
+        assert.deepEqual(await getOutline(await operations.merge([first, second], { bookmarks: false })), []);
+    });
+
+    it('follows bookmarks that use named destinations', async () => {
+        const pdf = await load(await createPDF(2));
+        const { PDFName, PDFString } = PDFLib;
+        pdf.catalog.set(PDFName.of('Dests'), pdf.context.obj({ second: [pdf.getPage(1).ref, 'Fit'] }));
+        const outlines = pdf.context.nextRef();
+        const item = pdf.context.register(pdf.context.obj({ Title: PDFString.of('Named'), Parent: outlines, Dest: PDFString.of('second') }));
+        pdf.context.assign(outlines, pdf.context.obj({ Type: 'Outlines', First: item, Last: item, Count: 1 }));
+        pdf.catalog.set(PDFName.of('Outlines'), outlines);
+
+        const merged = await operations.merge([await pdf.save()], { names: ['named.pdf'] });
+        assert.deepEqual(await getOutline(merged), [['named', 101, [['Named', 102, []]]]]);
+    });
+
+    it('adds a linked table of contents with each file\'s start page', async () => {
+        const first = await createPDF(3, { base: 100 });
+        const second = await createPDF(2, { base: 200 });
+        const merged = await operations.merge([first, second], { names: ['a.pdf', 'b.pdf'], tableOfContents: true });
+        const pdf = await load(merged);
+
+        assert.deepEqual(await getPageWidths(merged), [101, 101, 102, 103, 201, 202]);
+        const links = pdf.getPage(0).node.Annots().asArray().map(ref => pdf.context.lookup(ref));
+        const targets = links.map(link => pdf.getPages().findIndex(page => page.ref === link.lookup(PDFLib.PDFName.of('Dest')).get(0)));
+        assert.deepEqual(targets, [1, 4]);
+        assert.deepEqual((await getOutline(merged)).map(([title, width]) => [title, width]), [['Contents', 101], ['a', 101], ['b', 201]]);
+    });
+
+    it('takes a page range and a rotation for each file', async () => {
+        const first = await createPDF(5, { base: 100 });
+        const second = await createPDF(2, { base: 200 });
+        const third = await createPDF(8, { base: 300 });
+        const merged = await operations.merge([first, second, third], {
+            ranges: ['1-3', '', '7'],
+            rotations: [0, 0, 90]
+        });
+
+        assert.deepEqual(await getPageWidths(merged), [101, 102, 103, 201, 202, 307]);
+        assert.deepEqual(await getRotations(merged), [0, 0, 0, 0, 0, 90]);
+        await assert.rejects(operations.merge([first], { ranges: ['9-12'], names: ['a.pdf'] }), /No valid pages in "9-12" for a/);
+    });
+
+    it('drops bookmarks to pages that were left out', async () => {
+        const input = await createPDFWithOutline(3, 100, 1, 3);
+        const merged = await operations.merge([input], { names: ['a.pdf'], ranges: ['1-2'] });
+        assert.deepEqual(await getOutline(merged), [['a', 101, [['Chapter', 101, []]]]]);
+    });
+
+    it('interleaves fronts with backs scanned in reverse', async () => {
+        const fronts = await createPDF(3, { base: 100 });
+        const backs = await createPDF(3, { base: 200 });
+
+        const merged = await operations.merge([fronts, backs], { mode: 'interleave', reverseBacks: true });
+        assert.deepEqual(await getPageWidths(merged), [101, 203, 102, 202, 103, 201]);
+
+        const straight = await operations.merge([fronts, backs], { mode: 'interleave' });
+        assert.deepEqual(await getPageWidths(straight), [101, 201, 102, 202, 103, 203]);
+        await assert.rejects(operations.merge([fronts, backs, fronts], { mode: 'interleave' }), /two files/);
+    });
+
+    it('places leftover pages at the end or pairs them with blank pages', () => {
+        assert.deepEqual(PrivPDFOperations.getInterleaveOrder(3, 1), [[0, 0], [1, 0], [0, 1], [0, 2]]);
+        assert.deepEqual(PrivPDFOperations.getInterleaveOrder(3, 1, { unequal: 'blank' }),
+            [[0, 0], [1, 0], [0, 1], null, [0, 2], null]);
+        assert.deepEqual(PrivPDFOperations.getInterleaveOrder(1, 2, { unequal: 'blank', reverseBacks: true }),
+            [[0, 0], [1, 1], null, [1, 0]]);
+    });
+
+    it('de-interleaves one file holding all fronts, then all backs', async () => {
+        const scan = await createPDF(5, { base: 100 });
+        const merged = await operations.merge([scan], { mode: 'interleave', reverseBacks: true, unequal: 'blank' });
+
+        // Fronts are pages 1-3, backs pages 4-5 scanned last first; the last sheet gets a blank back
+        assert.deepEqual(await getPageWidths(merged), [101, 105, 102, 104, 103, 103]);
+    });
+
+    it('fails without input files', async () => {
+        await assert.rejects(operations.merge([]), /No PDF files to merge/);
+    });
+});
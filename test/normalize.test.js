@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const PrivPDFOutline = require('../privpdf-outline.js');
+const { PDFLib, createPDF, load, getRotations } = require('./fixtures.js');
+
+// Page sizes as [width, height], rounded
+async function getPageSizes(bytes) {
+    const pdf = await load(bytes);
+    return pdf.getPages().map(page => [Math.round(page.getWidth()), Math.round(page.getHeight())]);
+}
+
+// Pages of the given sizes and rotations, each with something drawn on it
+async function createMixedPDF(pages) {
+    const pdf = await PDFLib.PDFDocument.create();
+    pages.forEach(({ size, rotation = 0 }) => {
+        const page = pdf.addPage(size);
+        page.drawRectangle({ x: 10, y: 10, width: 50, height: 50 });
+        page.setRotation(PDFLib.degrees(rotation));
+    });
+    return await pdf.save();
+}
+
+describe('normalize', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    const place = PrivPDFOperations.getNormalizedPlacement;
+    // Where a point of the content ends up on the target page
+    const apply = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f].map(value => Math.round(value));
+
+    it('scales pages to fit, to fill or not at all, centered on the target', () => {
+        const page = { width: 300, height: 400 };
+
+        const fit = place(page, [600, 1000], { fit: 'fit' });
+        assert.equal(fit.scale, 2);
+        assert.deepEqual(apply(fit.matrix, [0, 0]), [0, 100]);
+        assert.deepEqual(apply(fit.matrix, [300, 400]), [600, 900]);
+
+        assert.equal(place(page, [600, 1000], { fit: 'fill' }).scale, 2.5);
+        const center = place(page, [600, 1000], { fit: 'center' });
+        assert.equal(center.scale, 1);
+        assert.deepEqual(apply(center.matrix, [0, 0]), [150, 300]);
+    });
+
+    it('turns content by the page rotation, and to the target orientation with autoRotate', () => {
+        // Rotate 90 shows the bottom left corner of the content at the top left
+        const rotated = place({ width: 400, height: 300, rotation: 90 }, [300, 400]);
+        assert.equal(rotated.turn, 90);
+        assert.equal(rotated.scale, 1);
+        assert.deepEqual(apply(rotated.matrix, [0, 0]), [0, 400]);
+        assert.deepEqual(apply(rotated.matrix, [400, 300]), [300, 0]);
+
+        const landscape = { width: 400, height: 300 };
+        assert.equal(place(landscape, [300, 400]).turn, 0);
+        const turned = place(landscape, [300, 400], { autoRotate: true });
+        assert.equal(turned.turn, 90);
+        assert.equal(turned.scale, 1);
+    });
+
+    it('puts every page on the target size without rotation', async () => {
+        const input = await createMixedPDF([
+            { size: [612, 792] },
+            { size: [842, 595] },
+            { size: [595, 842], rotation: 90 },
+            { size: [595, 842] }
+        ]);
+
+        const output = await operations.normalize(input, { pageSize: 'a4', autoRotate: true });
+        assert.deepEqual(await getPageSizes(output), [[595, 842], [595, 842], [595, 842], [595, 842]]);
+        assert.deepEqual(await getRotations(output), [0, 0, 0, 0]);
+
+        // Content is drawn as the embedded original page
+        const pdf = await load(output);
+        const resources = pdf.getPage(1).node.Resources().lookup(PDFLib.PDFName.of('XObject'), PDFLib.PDFDict);
+        assert.ok(resources.get(PDFLib.PDFName.of('Page')));
+    });
+
+    it('uses the size of the first page as shown', async () => {
+        const input = await createMixedPDF([{ size: [500, 300], rotation: 270 }, { size: [612, 792] }]);
+        const output = await operations.normalize(input, { pageSize: 'first' });
+        assert.deepEqual(await getPageSizes(output), [[300, 500], [300, 500]]);
+        assert.deepEqual(await getRotations(output), [0, 0]);
+
+        await assert.rejects(operations.normalize(input, { pageSize: 'tabloid' }), /Unknown page size: tabloid/);
+    });
+
+    it('normalizes merged pages and keeps their bookmarks', async () => {
+        const output = await operations.merge([await createPDF(2), await createPDF(1, { base: 300, height: 400 })], {
+            names: ['a.pdf', 'b.pdf'],
+            pageSize: 'letter'
+        });
+        assert.deepEqual(await getPageSizes(output), [[612, 792], [612, 792], [612, 792]]);
+
+        const outline = PrivPDFOutline.read(await load(output), PDFLib);
+        assert.deepEqual(outline.map(item => [item.title, item.pageIndex]), [['a', 0], ['b', 2]]);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const { PDFLib, createPDF, getPageWidths, getRotations } = require('./fixtures.js');
+
+describe('organize', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    let inputs;
+
+    before(async () => {
+        // Pages of the first source are 101-103 points wide, of the second 201-202
+        inputs = [await createPDF(3), await createPDF(2, { base: 200 })];
+    });
+
+    it('builds documents from pages of several sources, in the given order', async () => {
+        const outputs = await operations.organize(inputs, {
+            documents: [
+                { name: 'mixed.pdf', pages: [{ source: 1, page: 2 }, { source: 0, page: 1 }, { source: 1, page: 1 }] },
+                { name: 'rest.pdf', pages: [{ source: 0, page: 3 }, { source: 0, page: 2 }] }
+            ]
+        });
+
+        assert.deepEqual(outputs.map(output => output.filename), ['mixed.pdf', 'rest.pdf']);
+        assert.deepEqual(await getPageWidths(outputs[0].bytes), [202, 101, 201]);
+        assert.deepEqual(await getPageWidths(outputs[1].bytes), [103, 102]);
+    });
+
+    it('duplicates pages and adds rotations to the page\'s own', async () => {
+        const rotated = await operations.rotatePages(inputs[0], { rotations: { 1: 90 } });
+        const [output] = await operations.organize([rotated], {
+            documents: [{ pages: [{ source: 0, page: 1, rotation: 90 }, { source: 0, page: 1 }, { source: 0, page: 2, rotation: -90 }] }]
+        });
+
+        assert.equal(output.filename, 'document_1.pdf');
+        assert.deepEqual(await getPageWidths(output.bytes), [101, 101, 102]);
+        assert.deepEqual(await getRotations(output.bytes), [180, 90, 270]);
+    });
+
+    it('skips empty documents and rejects when no pages are left', async () => {
+        const outputs = await operations.organize(inputs, {
+            documents: [{ name: 'empty.pdf', pages: [] }, { name: 'one.pdf', pages: [{ source: 0, page: 1 }] }]
+        });
+        assert.deepEqual(outputs.map(output => output.filename), ['one.pdf']);
+
+        await assert.rejects(operations.organize(inputs, { documents: [{ pages: [] }] }), /No pages to export/);
+    });
+
+    it('rejects pages that do not exist', async () => {
+        await assert.rejects(operations.organize(inputs, { documents: [{ pages: [{ source: 1, page: 3 }] }] }),
+            /Page 3 does not exist in source document 2/);
+        await assert.rejects(operations.organize(inputs, { documents: [{ pages: [{ source: 2, page: 1 }] }] }),
+            /Unknown source document/);
+    });
+});
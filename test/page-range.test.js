@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+
+describe('parsePageRange', () => {
+    it('turns pages and ranges into zero-based indices', () => {
+        assert.deepEqual(PrivPDFOperations.parsePageRange('1,3-5,7', 10), [0, 2, 3, 4, 6]);
+    });
+
+    it('sorts and removes duplicates', () => {
+        assert.deepEqual(PrivPDFOperations.parsePageRange('5, 1-3, 2', 10), [0, 1, 2, 4]);
+    });
+
+    it('drops pages outside the document', () => {
+        assert.deepEqual(PrivPDFOperations.parsePageRange('0,2,12', 5), [1]);
+        assert.deepEqual(PrivPDFOperations.parsePageRange('4-9', 5), [3, 4]);
+    });
+
+    it('ignores parts that are not page numbers', () => {
+        assert.deepEqual(PrivPDFOperations.parsePageRange('a, ,3', 5), [2]);
+        assert.deepEqual(PrivPDFOperations.parsePageRange('5-3', 5), []);
+        assert.deepEqual(PrivPDFOperations.parsePageRange('', 5), []);
+    });
+});
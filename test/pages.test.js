@@ -0,0 +1,27 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const { PDFLib, createPDF, getPageWidths } = require('./fixtures.js');
+
+describe('extractPages, reorderPages and deletePages', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    let input;
+
+    before(async () => {
+        input = await createPDF(4);
+    });
+
+    it('keeps, reorders and removes the pages asked for', async () => {
+        assert.deepEqual(await getPageWidths(await operations.extractPages(input, { pages: [3, 1] })), [101, 103]);
+        assert.deepEqual(await getPageWidths(await operations.reorderPages(input, { order: [4, 2, 3, 1] })), [104, 102, 103, 101]);
+        assert.deepEqual(await getPageWidths(await operations.deletePages(input, { pages: [2, 4] })), [101, 103]);
+    });
+
+    it('names a page number past the end instead of failing inside PDF-lib', async () => {
+        await assert.rejects(operations.extractPages(input, { pages: [1, 9] }), /Page 9 does not exist \(the PDF has 4 pages\)/);
+        await assert.rejects(operations.reorderPages(input, { order: [1, 2, 3, 0] }), /Page 0 does not exist/);
+        await assert.rejects(operations.deletePages(input, { pages: [5] }), /Page 5 does not exist/);
+        await assert.rejects(operations.rotatePages(input, { rotations: { 7: 90 } }), /Page 7 does not exist/);
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PDFLib, createPDF, load } = require('./fixtures.js');
+// pdf-protection.js finds PDF-lib as a global, as on the page
+globalThis.PDFLib = PDFLib;
+const PDFProtection = require('../pdf-protection.js');
+
+describe('PDFProtection container', () => {
+    const protection = new PDFProtection();
+    const options = { userPassword: 'secret', permissions: { print: true, copy: false } };
+    let input;
+
+    before(async () => {
+        input = await createPDF(2);
+    });
+
+    it('writes and parses [metadata length][metadata][salt][iv][data]', () => {
+        const salt = Uint8Array.from({ length: 16 }, (_, i) => i);
+        const iv = Uint8Array.from({ length: 12 }, (_, i) => 100 + i);
+        const data = Uint8Array.from([9, 8, 7]);
+
+        const container = protection.createEncryptedContainer(data, salt, iv, options);
+        const parsed = protection.parseEncryptedContainer(container);
+
+        assert.equal(parsed.metadata.encryption, 'AES-256-GCM');
+        assert.deepEqual(parsed.metadata.permissions, options.permissions);
+        assert.equal(parsed.metadata.hasUserPassword, true);
+        assert.equal(parsed.metadata.hasOwnerPassword, false);
+        assert.deepEqual([...parsed.salt], [...salt]);
+        assert.deepEqual([...parsed.iv], [...iv]);
+        assert.deepEqual([...parsed.encryptedData], [...data]);
+    });
+
+    it('decrypts what it encrypted, with the right password only', async () => {
+        const encrypted = await protection.protectPDF(input, { ...options, method: 'encryption' });
+        assert.equal(encrypted.engine, 'Web Crypto AES-256-GCM');
+        assert.equal(encrypted.degraded, false);
+
+        const decrypted = await protection.decryptPDF(encrypted.data, 'secret');
+        assert.deepEqual(decrypted.data, input);
+        assert.equal(decrypted.metadata.hasUserPassword, true);
+
+        await assert.rejects(protection.decryptPDF(encrypted.data, 'wrong'), /Decryption failed/);
+    });
+
+    it('reads a container that is a view into a larger buffer', async () => {
+        const { data } = await protection.encryptWithWebCrypto(input, options);
+        const padded = new Uint8Array(data.byteLength + 64);
+        padded.set(data, 32);
+        const view = padded.subarray(32, 32 + data.byteLength);
+
+        assert.equal(protection.isEncryptedPDF(view), true);
+        assert.deepEqual((await protection.decryptPDF(view, 'secret')).data, input);
+    });
+
+    it('needs a password to encrypt', async () => {
+        await assert.rejects(protection.protectPDF(input, { method: 'encryption' }), /Password required/);
+    });
+});
+
+describe('isEncryptedPDF', () => {
+    const protection = new PDFProtection();
+
+    it('recognises PrivPDF containers', async () => {
+        const { data } = await protection.encryptWithWebCrypto(await createPDF(1), { userPassword: 'secret' });
+        assert.equal(protection.isEncryptedPDF(data), true);
+    });
+
+    it('does not mistake other data for a container', async () => {
+        assert.equal(protection.isEncryptedPDF(await createPDF(1)), false);
+        assert.equal(protection.isEncryptedPDF(new Uint8Array(16)), false);
+        assert.equal(protection.isEncryptedPDF(new Uint8Array(64)), false);
+
+        const metadata = new TextEncoder().encode(JSON.stringify({ encryption: 'none' }));
+        const other = new Uint8Array(4 + metadata.length + 64);
+        new DataView(other.buffer).setUint32(0, metadata.length, true);
+        other.set(metadata, 4);
+        assert.equal(protection.isEncryptedPDF(other), false);
+    });
+});
+
+describe('protectPDF without encryption', () => {
+    const protection = new PDFProtection();
+
+    it('reports watermark and metadata protection as degraded', async () => {
+        const input = await createPDF(2);
+
+        for (const method of ['watermark', 'metadata']) {
+            const result = await protection.protectPDF(input, { method });
+            assert.equal(result.degraded, true, method);
+            assert.equal(result.engine, 'PDF-lib', method);
+            assert.equal((await load(result.data)).getPageCount(), 2, method);
+        }
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFRecipe = require('../privpdf-recipe.js');
+
+// A recipe as saved, with the given steps
+const recipe = (steps, extra = {}) => ({ format: 'privpdf-recipe', version: 1, name: 'Test', steps, ...extra });
+
+describe('recipe validation', () => {
+    it('accepts known tools and settings of the right type', () => {
+        assert.doesNotThrow(() => PrivPDFRecipe.validate(recipe([
+            { tool: 'merge', settings: { bookmarks: true } },
+            { tool: 'rotate', settings: { rotations: { 1: 90, 3: 270 }, all: -90 } },
+            { tool: 'protect', settings: { method: 'password', permissions: { print: false } } }
+        ])));
+    });
+
+    it('rejects files that are not recipes this version can run', () => {
+        assert.throws(() => PrivPDFRecipe.validate(null), /must be a JSON object/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([], { format: 'other' })), /Not a PrivPDF recipe/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'merge' }], { version: 2 })), /newer than this PrivPDF supports/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([])), /Recipe has no steps/);
+    });
+
+    it('names the step of an unknown tool, setting or value', () => {
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'fax' }])), /Step 1: unknown tool "fax"/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'merge', settings: {} }, { tool: 'split', settings: { color: 'red' } }])),
+            /Step 2 \(split\): unknown setting "color"/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'extract', settings: { pages: [1, 0] } }])),
+            /invalid value for "pages"/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'rotate', settings: { rotations: { 1: 45 } } }])),
+            /invalid value for "rotations"/);
+    });
+
+    it('saves the rotation of every page, in steps of 90 degrees', () => {
+        const saved = PrivPDFRecipe.fromSteps([{ tool: 'rotate', options: { all: 180 } }], 'Turn');
+        assert.deepEqual(saved.steps, [{ tool: 'rotate', settings: { all: 180 } }]);
+        assert.doesNotThrow(() => PrivPDFRecipe.parse(saved.stringify()));
+
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'rotate', settings: { all: 45 } }])), /invalid value for "all"/);
+        assert.throws(() => PrivPDFRecipe.validate(recipe([{ tool: 'rotate', settings: { all: '90' } }])), /invalid value for "all"/);
+    });
+});
+
+describe('recipe files and links', () => {
+    const steps = [
+        { tool: 'watermark', options: { text: 'ENTWURF – vertraulich', opacity: 0.3 } },
+        { tool: 'protect', options: { method: 'password', userPassword: 'secret', permissions: { print: false } } }
+    ];
+
+    it('leaves passwords and other runtime values out', () => {
+        const saved = PrivPDFRecipe.fromSteps(steps, 'Board pack');
+        assert.deepEqual(saved.steps[1].settings, { method: 'password', permissions: { print: false } });
+        assert.deepEqual(saved.getRuntimeRequirements().map(({ index }) => index), [1]);
+        assert.equal(saved.toSteps({ 1: { userPassword: 'again' } })[1].options.userPassword, 'again');
+    });
+
+    it('round-trips through JSON and the URL hash, including non-ASCII text', () => {
+        const saved = PrivPDFRecipe.fromSteps(steps, 'Zusammenstellung');
+        assert.deepEqual(PrivPDFRecipe.parse(saved.stringify()).toJSON(), saved.toJSON());
+
+        const hash = saved.toURLHash();
+        assert.match(hash, /^#recipe=[\w-]+$/);
+        assert.deepEqual(PrivPDFRecipe.fromURLHash(hash).toJSON(), saved.toJSON());
+    });
+
+    it('ignores other hashes and rejects damaged links', () => {
+        assert.equal(PrivPDFRecipe.fromURLHash('#merge'), null);
+        assert.equal(PrivPDFRecipe.fromURLHash(''), null);
+        assert.throws(() => PrivPDFRecipe.fromURLHash('#recipe=%%%'), /Recipe link is damaged/);
+        assert.throws(() => PrivPDFRecipe.fromURLHash('#recipe=bm90IGpzb24'), /Recipe is not valid JSON/);
+        assert.throws(() => PrivPDFRecipe.parse('{'), /Recipe is not valid JSON/);
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const { PDFLib, createPDF, getRotations } = require('./fixtures.js');
+
+describe('rotatePages', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    let input;
+
+    before(async () => {
+        input = await createPDF(3);
+    });
+
+    it('saves per-page rotations into the file', async () => {
+        const rotated = await operations.rotatePages(input, { rotations: { 1: 90, 3: 270 } });
+        assert.deepEqual(await getRotations(rotated), [90, 0, 270]);
+    });
+
+    it('accepts a Map of rotations', async () => {
+        const rotated = await operations.rotatePages(input, { rotations: new Map([[2, 180]]) });
+        assert.deepEqual(await getRotations(rotated), [0, 180, 0]);
+    });
+
+    it('keeps rotations when the result is rotated again', async () => {
+        const once = await operations.rotatePages(input, { rotations: { 2: 90 } });
+        const twice = await operations.rotatePages(once, { all: 90 });
+        assert.deepEqual(await getRotations(twice), [90, 180, 90]);
+    });
+
+    it('turns a page by the sum of its own rotation and the all-pages one', async () => {
+        const rotated = await operations.rotatePages(input, { all: 90, rotations: { 1: 90, 3: 270 } });
+        assert.deepEqual(await getRotations(rotated), [180, 90, 0]);
+    });
+
+    it('turns already rotated pages further', async () => {
+        const once = await operations.rotatePages(input, { rotations: { 2: 90 } });
+        const twice = await operations.rotatePages(once, { rotations: { 2: 90 } });
+        assert.deepEqual(await getRotations(twice), [0, 180, 0]);
+    });
+
+    it('adds the all-pages rotation to the current one, turning left as well as right', async () => {
+        const left = await operations.rotatePages(input, { all: -90 });
+        assert.deepEqual(await getRotations(left), [270, 270, 270]);
+
+        const around = await operations.rotatePages(left, { all: 450 });
+        assert.deepEqual(await getRotations(around), [0, 0, 0]);
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFSortable = require('../privpdf-sortable.js');
+
+describe('sortable', () => {
+    const box = (left, top, width = 100, height = 100) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+    it('moves with the arrow keys, Home and End, and stays inside the list', () => {
+        assert.equal(PrivPDFSortable.getKeyTarget('ArrowLeft', 2, 5), 1);
+        assert.equal(PrivPDFSortable.getKeyTarget('ArrowUp', 0, 5), 0);
+        assert.equal(PrivPDFSortable.getKeyTarget('ArrowRight', 2, 5), 3);
+        assert.equal(PrivPDFSortable.getKeyTarget('ArrowDown', 4, 5), 4);
+        assert.equal(PrivPDFSortable.getKeyTarget('Home', 3, 5), 0);
+        assert.equal(PrivPDFSortable.getKeyTarget('End', 1, 5), 4);
+        assert.equal(PrivPDFSortable.getKeyTarget('a', 1, 5), null);
+    });
+
+    it('finds the drop index in a single row, even with the pointer above or below it', () => {
+        const row = [box(0, 0), box(110, 0), box(220, 0)];
+
+        assert.equal(PrivPDFSortable.getDropIndex(row, 10, 50), 0);
+        assert.equal(PrivPDFSortable.getDropIndex(row, 170, 50), 2);
+        assert.equal(PrivPDFSortable.getDropIndex(row, 300, 50), 3);
+        assert.equal(PrivPDFSortable.getDropIndex(row, 170, -40), 2);
+        assert.equal(PrivPDFSortable.getDropIndex(row, 170, 400), 2);
+    });
+
+    it('finds the drop index in a wrapping grid row by row', () => {
+        const grid = [box(0, 0), box(110, 0), box(0, 110), box(110, 110)];
+
+        assert.equal(PrivPDFSortable.getDropIndex(grid, 180, 50), 2);
+        assert.equal(PrivPDFSortable.getDropIndex(grid, 20, 150), 2);
+        assert.equal(PrivPDFSortable.getDropIndex(grid, 180, 150), 4);
+    });
+
+    it('compares against the middle of each item in a vertical list', () => {
+        const list = [box(0, 0, 600, 40), box(0, 50, 600, 40)];
+
+        assert.equal(PrivPDFSortable.getDropIndex(list, 500, 10, true), 0);
+        assert.equal(PrivPDFSortable.getDropIndex(list, 500, 30, true), 1);
+        assert.equal(PrivPDFSortable.getDropIndex(list, 500, 80, true), 2);
+        assert.equal(PrivPDFSortable.getDropIndex([], 0, 0, true), 0);
+    });
+});
@@ -0,0 +1,302 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const PrivPDFOutline = require('../privpdf-outline.js');
+const { PDFLib, createPDF, load, getPageWidths } = require('./fixtures.js');
+
+// Pages whose content grows with the weights given: page n draws weights[n - 1] rectangles
+async function createUnevenPDF(weights) {
+    const pdf = await load(await createPDF(weights.length));
+    pdf.getPages().forEach((page, i) => {
+        for (let n = 0; n < weights[i]; n++) {
+            page.drawRectangle({ x: n % 100, y: n % 700, width: 1 + n % 7, height: 1 + n % 11 });
+        }
+    });
+    return await pdf.save();
+}
+
+describe('split', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    let input;
+
+    before(async () => {
+        input = await createPDF(5);
+    });
+
+    const describeParts = async (parts) => Promise.all(parts.map(async ({ filename, bytes, startPage, endPage }) =>
+        ({ filename, startPage, endPage, widths: await getPageWidths(bytes) })));
+
+    it('single: one file per page', async () => {
+        const { parts, skipped } = await operations.split(input, { method: 'single' });
+
+        assert.deepEqual(await describeParts(parts), [1, 2, 3, 4, 5].map(n =>
+            ({ filename: `page_${n}.pdf`, startPage: n, endPage: n, widths: [100 + n] })));
+        assert.deepEqual(skipped, []);
+    });
+
+    it('pages: a fixed number of pages per file, the last one shorter', async () => {
+        const { parts } = await operations.split(input, { method: 'pages', pagesPerDoc: 2 });
+
+        assert.deepEqual(await describeParts(parts), [
+            { filename: 'pages_1-2.pdf', startPage: 1, endPage: 2, widths: [101, 102] },
+            { filename: 'pages_3-4.pdf', startPage: 3, endPage: 4, widths: [103, 104] },
+            { filename: 'pages_5-5.pdf', startPage: 5, endPage: 5, widths: [105] }
+        ]);
+    });
+
+    it('pages: rejects a page count of zero or more than the document has', async () => {
+        await assert.rejects(operations.split(input, { method: 'pages', pagesPerDoc: 0 }), /Invalid page count/);
+        await assert.rejects(operations.split(input, { method: 'pages', pagesPerDoc: 6 }), /Invalid page count/);
+    });
+
+    it('range: one file per range, invalid ranges skipped', async () => {
+        const { parts, skipped } = await operations.split(input, { method: 'range', ranges: '4-5, 2, 3-1, 6, x' });
+
+        assert.deepEqual(await describeParts(parts), [
+            { filename: 'pages_4-5.pdf', startPage: 4, endPage: 5, widths: [104, 105] },
+            { filename: 'page_2.pdf', startPage: 2, endPage: 2, widths: [102] }
+        ]);
+        assert.deepEqual(skipped, ['3-1', '6', 'x']);
+    });
+
+    it('range: fails without any valid range', async () => {
+        await assert.rejects(operations.split(input, { method: 'range', ranges: ' ' }), /Please enter page ranges/);
+        await assert.rejects(operations.split(input, { method: 'range', ranges: '7-9' }), /No valid ranges/);
+    });
+
+    it('size: fills every part as far as its measured size allows', async () => {
+        const uneven = await createUnevenPDF([10, 400, 20, 20, 300, 10, 10, 10, 150]);
+        const pdf = await load(uneven);
+        const sizeOf = async (startPage, endPage) => (await operations.copyToNewDocument(pdf,
+            Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage - 1 + i))).length;
+        const maxSize = await sizeOf(1, 3);
+
+        const { parts, oversized } = await operations.split(uneven, { method: 'size', maxSize });
+
+        assert.deepEqual(oversized, []);
+        assert.deepEqual([parts[0].startPage, parts[0].endPage], [1, 3]);
+        assert.equal(parts[parts.length - 1].endPage, 9);
+        for (const [i, part] of parts.entries()) {
+            assert.equal(part.filename, `part_${i + 1}.pdf`);
+            assert.equal(part.startPage, i === 0 ? 1 : parts[i - 1].endPage + 1);
+            assert.ok(part.bytes.length <= maxSize);
+            // One more page would have been too much
+            if (part.endPage < 9) assert.ok(await sizeOf(part.startPage, part.endPage + 1) > maxSize);
+        }
+    });
+
+    it('size: reports pages that are over the limit on their own', async () => {
+        const uneven = await createUnevenPDF([5, 600, 5]);
+        const pdf = await load(uneven);
+        const maxSize = (await operations.copyToNewDocument(pdf, [0, 2])).length;
+
+        const { parts, oversized } = await operations.split(uneven, { method: 'size', maxSize });
+
+        assert.deepEqual(parts.map(part => [part.startPage, part.endPage]), [[1, 1], [2, 2], [3, 3]]);
+        assert.equal(oversized.length, 1);
+        assert.equal(oversized[0].page, 2);
+        assert.equal(oversized[0].size, parts[1].bytes.length);
+        assert.ok(oversized[0].size > maxSize);
+    });
+
+    it('size: rejects a missing size limit', async () => {
+        await assert.rejects(operations.split(input, { method: 'size', maxSize: 0 }), /Please enter a maximum file size/);
+    });
+
+    describe('bookmarks', () => {
+        // A cover page, chapters A (sections on pages 2 and 4), B (section on page 6) and C
+        let book;
+        const bookmark = (pages, title, page, children = []) => ({ title, pageRef: pages[page - 1].ref, view: [], children });
+
+        before(async () => {
+            const pdf = await load(await createPDF(8));
+            const pages = pdf.getPages();
+            PrivPDFOutline.write(pdf, [
+                bookmark(pages, 'Chapter A', 2, [bookmark(pages, 'Intro', 2), bookmark(pages, 'Method: 1/2', 4)]),
+                bookmark(pages, 'Chapter B', 5, [bookmark(pages, 'Intro', 6)]),
+                bookmark(pages, 'Chapter C', 8)
+            ], PDFLib);
+            book = await pdf.save();
+        });
+
+        const getTitles = async (bytes) => PrivPDFOutline.read(await load(bytes), PDFLib)
+            .map(item => [item.title, item.pageIndex + 1]);
+
+        it('makes one part per top level bookmark with the bookmarks below it', async () => {
+            const { parts } = await operations.split(book, { method: 'bookmarks', level: 1 });
+
+            assert.deepEqual(parts.map(({ filename, startPage, endPage, bookmark }) => [filename, startPage, endPage, bookmark]), [
+                ['front_matter.pdf', 1, 1, null],
+                ['Chapter A.pdf', 2, 4, 'Chapter A'],
+                ['Chapter B.pdf', 5, 7, 'Chapter B'],
+                ['Chapter C.pdf', 8, 8, 'Chapter C']
+            ]);
+            assert.deepEqual(await getPageWidths(parts[1].bytes), [102, 103, 104]);
+            assert.deepEqual(await getTitles(parts[1].bytes), [['Intro', 1], ['Method: 1/2', 3]]);
+            assert.deepEqual(await getTitles(parts[3].bytes), []);
+        });
+
+        it('splits deeper levels at their parents too, and keeps file names apart', async () => {
+            const { parts } = await operations.split(book, { method: 'bookmarks', level: 2 });
+
+            assert.deepEqual(parts.map(({ filename, startPage, endPage }) => [filename, startPage, endPage]), [
+                ['front_matter.pdf', 1, 1],
+                ['Intro.pdf', 2, 3],
+                ['Method_ 1_2.pdf', 4, 4],
+                ['Chapter B.pdf', 5, 5],
+                ['Intro_2.pdf', 6, 7],
+                ['Chapter C.pdf', 8, 8]
+            ]);
+        });
+
+        it('orders sections by page and rejects documents without bookmarks', async () => {
+            const outline = [
+                { title: 'Later', pageIndex: 3, children: [] },
+                { title: 'Earlier', pageIndex: 0, children: [] },
+                { title: 'Nowhere', pageIndex: null, children: [] }
+            ];
+            assert.deepEqual(PrivPDFOperations.getOutlineSections(outline, 1, 5).map(({ title, startPage, endPage }) => [title, startPage, endPage]),
+                [['Earlier', 1, 3], ['Later', 4, 5]]);
+
+            await assert.rejects(operations.split(input, { method: 'bookmarks' }), /no bookmarks/);
+            await assert.rejects(operations.split(book, { method: 'bookmarks', level: 0 }), /bookmark level/);
+        });
+    });
+
+    describe('separators', () => {
+        let stack;
+
+        before(async () => {
+            stack = await createPDF(7);
+        });
+
+        const describeSeparated = (parts) => parts.map(({ filename, startPage, endPage, separator }) => [filename, startPage, endPage, separator]);
+        const separators = [{ page: 3, value: 'INV-1' }, { page: 5, value: '' }];
+
+        it('splits at separator pages and names parts after their values', async () => {
+            const { parts } = await operations.split(stack, { method: 'separators', separators });
+
+            assert.deepEqual(describeSeparated(parts), [
+                ['part_1.pdf', 1, 2, ''],
+                ['INV-1.pdf', 4, 4, 'INV-1'],
+                ['part_3.pdf', 6, 7, '']
+            ]);
+            assert.deepEqual(await getPageWidths(parts[2].bytes), [106, 107]);
+        });
+
+        it('keeps separator pages at the front of their part when asked to', async () => {
+            const { parts } = await operations.split(stack, { method: 'separators', separators, dropSeparators: false });
+
+            assert.deepEqual(describeSeparated(parts), [
+                ['part_1.pdf', 1, 2, ''],
+                ['INV-1.pdf', 3, 4, 'INV-1'],
+                ['part_3.pdf', 5, 7, '']
+            ]);
+        });
+
+        it('rejects documents without separators, or with nothing else', async () => {
+            await assert.rejects(operations.split(stack, { method: 'separators', separators: [] }), /No separator pages found/);
+            const everyPage = [1, 2, 3, 4, 5, 6, 7].map(page => ({ page, value: '' }));
+            await assert.rejects(operations.split(stack, { method: 'separators', separators: everyPage }), /Every page is a separator page/);
+        });
+
+        // Stand-ins for a pdf.js document: each page has text, codes and a share of dark pixels
+        const createDocument = (pages) => ({
+            numPages: pages.length,
+            getPage: async (pageNum) => {
+                const { text = '', codes = [], ink = 0 } = pages[pageNum - 1];
+                return {
+                    getTextContent: async () => ({ items: text.split('\n').map(str => ({ str, hasEOL: true })) }),
+                    getViewport: () => ({ width: 100, height: 100 }),
+                    render: ({ canvasContext }) => {
+                        canvasContext.target.codes = codes;
+                        canvasContext.target.ink = ink;
+                        return { promise: Promise.resolve() };
+                    },
+                    cleanup: () => {}
+                };
+            }
+        });
+        const canvas = {
+            create: (width, height) => {
+                const target = { width, height };
+                target.getContext = () => ({
+                    target,
+                    getImageData: () => {
+                        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+                        // Dark pixels in the middle rows, away from the margins
+                        for (let i = 0; i < Math.round(target.ink * width * height); i++) data.fill(0, (20 * width + i) * 4, (20 * width + i) * 4 + 3);
+                        return { data, width, height };
+                    }
+                });
+                return target;
+            },
+            readCodes: async (target) => target.codes
+        };
+        const pages = [
+            { text: 'Dear customer,\nyour order', ink: 0.05 },
+            { text: '', codes: ['https://example.com', 'BATCH-0042'] },
+            { text: 'SEPARATOR\nBatch 17', ink: 0.0001 },
+            { text: 'Invoice', ink: 0.04, codes: ['BATCH-0043'] }
+        ];
+
+        it('finds separator pages by text, with the first group as the value', async () => {
+            const found = await operations.findSeparators(createDocument(pages), { detect: 'text', pattern: 'batch (\\d+)' });
+            assert.deepEqual(found, [{ page: 3, value: '17', groups: ['Batch 17', '17'] }]);
+
+            await assert.rejects(operations.findSeparators(createDocument(pages), { detect: 'text', pattern: ' ' }), /enter the text/);
+            await assert.rejects(operations.findSeparators(createDocument(pages), { detect: 'text', pattern: '(' }), /Invalid pattern/);
+        });
+
+        it('finds codes whose payload matches, and blank pages', async () => {
+            const codes = await operations.findSeparators(createDocument(pages), { detect: 'code', pattern: '^BATCH-(\\d+)' }, canvas);
+            assert.deepEqual(codes.map(({ page, value }) => [page, value]), [[2, '0042'], [4, '0043']]);
+            const payloads = await operations.findSeparators(createDocument(pages), { detect: 'code' }, canvas);
+            assert.deepEqual(payloads.map(({ page, value }) => [page, value]), [[2, 'https://example.com'], [4, 'BATCH-0043']]);
+
+            const blank = await operations.findSeparators(createDocument(pages), { detect: 'blank' }, canvas);
+            assert.deepEqual(blank, [{ page: 2, value: '', groups: [] }, { page: 3, value: '', groups: [] }]);
+
+            await assert.rejects(operations.findSeparators(createDocument(pages), { detect: 'code' }, { create: canvas.create }),
+                /QR codes and barcodes is not supported/);
+        });
+    });
+
+    describe('pattern', () => {
+        // A cover letter, then invoices 1001 (two pages), 1002 and 1001 again
+        const matches = [
+            { page: 2, groups: ['Invoice No. 1001', '1001', 'ACME'] },
+            { page: 4, groups: ['Invoice No. 1002', '1002', 'Initech'] },
+            { page: 5, groups: ['Invoice No. 1001', '1001', 'ACME'] }
+        ];
+
+        it('plans one part per match, named after the first group', () => {
+            const plan = PrivPDFOperations.planPatternParts(matches, 5);
+            assert.deepEqual(plan.map(({ startPage, endPage, filename }) => [startPage, endPage, filename]), [
+                [1, 1, 'front_matter.pdf'],
+                [2, 3, '1001.pdf'],
+                [4, 4, '1002.pdf'],
+                [5, 5, '1001_2.pdf']
+            ]);
+            assert.deepEqual(PrivPDFOperations.planPatternParts([], 5), []);
+        });
+
+        it('splits where the pattern matched, keeping the groups with each part', async () => {
+            const { parts } = await operations.split(input, { method: 'pattern', matches });
+
+            assert.deepEqual(await describeParts(parts), [
+                { filename: 'front_matter.pdf', startPage: 1, endPage: 1, widths: [101] },
+                { filename: '1001.pdf', startPage: 2, endPage: 3, widths: [102, 103] },
+                { filename: '1002.pdf', startPage: 4, endPage: 4, widths: [104] },
+                { filename: '1001_2.pdf', startPage: 5, endPage: 5, widths: [105] }
+            ]);
+            assert.deepEqual(parts[2].groups, matches[1].groups);
+            await assert.rejects(operations.split(input, { method: 'pattern', matches: [] }), /pattern was not found/);
+        });
+    });
+
+    it('rejects unknown methods', async () => {
+        await assert.rejects(operations.split(input, { method: 'chapters' }), /Unknown split method: chapters/);
+    });
+});
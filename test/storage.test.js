@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFStorage = require('../privpdf-storage.js');
+const PrivPDFWorkspace = require('../privpdf-workspace.js');
+
+describe('storage', () => {
+    it('packs values together with their bytes', () => {
+        const value = { name: 'report.pdf', pages: [1, 2], files: { 3: new Uint8Array([1, 2, 3]), 4: new Uint8Array(0) } };
+        const unpacked = PrivPDFStorage.unpack(PrivPDFStorage.pack(value));
+
+        assert.deepEqual(unpacked, value);
+        assert.ok(unpacked.files[3] instanceof Uint8Array);
+        assert.equal(PrivPDFStorage.unpack(PrivPDFStorage.pack('text')), 'text');
+    });
+
+    it('encrypts records so only the same passphrase reads them', async () => {
+        const storage = new PrivPDFStorage({ indexedDB: null });
+        const meta = await storage.lock('correct horse');
+        const record = await storage.encode({ bytes: new Uint8Array([37, 80, 68, 70]) });
+
+        assert.ok(storage.isEncrypted());
+        assert.ok(!Buffer.from(record).includes('bytes'));
+
+        const reopened = new PrivPDFStorage({ indexedDB: null });
+        await reopened.unlock('correct horse', meta);
+        assert.deepEqual(await reopened.decode(record), { bytes: new Uint8Array([37, 80, 68, 70]) });
+
+        const wrong = new PrivPDFStorage({ indexedDB: null });
+        await assert.rejects(wrong.unlock('battery staple', meta), /Wrong passphrase/);
+        assert.ok(!wrong.isEncrypted());
+    });
+
+    it('stores records unencrypted without a passphrase', async () => {
+        const storage = new PrivPDFStorage({ indexedDB: null });
+        const record = await storage.encode({ tool: 'rotate' });
+        assert.deepEqual(PrivPDFStorage.unpack(record), { tool: 'rotate' });
+    });
+
+    it('brings a workspace back from its saved state and files', () => {
+        const workspace = new PrivPDFWorkspace();
+        const source = workspace.add({ name: 'report.pdf', bytes: new Uint8Array([1]), pageCount: 2 });
+        const group = workspace.createGroup({ tool: 'split' });
+        const part = workspace.addResult(source.id, {
+            name: 'report_page_1.pdf',
+            bytes: new Uint8Array([2]),
+            tool: 'split',
+            group,
+            output: { filename: 'page_1.pdf', bytes: new Uint8Array([2]), startPage: 1 }
+        });
+
+        const state = PrivPDFStorage.unpack(PrivPDFStorage.pack(workspace.serialize()));
+        const restored = new PrivPDFWorkspace();
+        restored.restore(state, { [source.id]: new Uint8Array([1]), [part.id]: new Uint8Array([2]) });
+
+        assert.deepEqual(restored.list().map(doc => [doc.id, doc.name, doc.version, doc.pageCount]), [
+            [source.id, 'report.pdf', 1, 2],
+            [part.id, 'report_page_1.pdf', 2, null]
+        ]);
+        assert.deepEqual(restored.getGroup(group).documents[0].output.bytes, new Uint8Array([2]));
+        assert.equal(restored.find(new Uint8Array([1])).id, source.id);
+        assert.ok(restored.createGroup() > part.id);
+
+        // A document whose bytes were not kept is left out, and so is its group
+        const partial = new PrivPDFWorkspace();
+        partial.restore(state, { [source.id]: new Uint8Array([1]) });
+        assert.deepEqual(partial.list().map(doc => doc.id), [source.id]);
+        assert.equal(partial.getGroup(group), null);
+    });
+});
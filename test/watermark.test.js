@@ -0,0 +1,57 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFOperations = require('../privpdf-operations.js');
+const { PDFLib, createPDF, load } = require('./fixtures.js');
+
+describe('getWatermarkPlacement', () => {
+    const place = (position) => PrivPDFOperations.getWatermarkPlacement(position, 600, 800);
+
+    it('centers the text by default', () => {
+        assert.deepEqual(place('center'), { x: 300, y: 400, rotation: 0 });
+        assert.deepEqual(place('unknown'), { x: 300, y: 400, rotation: 0 });
+    });
+
+    it('turns diagonal text by -45 degrees around the center', () => {
+        assert.deepEqual(place('diagonal'), { x: 300, y: 400, rotation: -45 });
+    });
+
+    it('keeps corner text 50 points from the edges', () => {
+        assert.deepEqual(place('top-left'), { x: 50, y: 750, rotation: 0 });
+        assert.deepEqual(place('top-right'), { x: 450, y: 750, rotation: 0 });
+        assert.deepEqual(place('bottom-left'), { x: 50, y: 50, rotation: 0 });
+        assert.deepEqual(place('bottom-right'), { x: 450, y: 50, rotation: 0 });
+    });
+});
+
+describe('watermark', () => {
+    const operations = new PrivPDFOperations(PDFLib);
+    let input;
+
+    before(async () => {
+        input = await createPDF(4);
+    });
+
+    // Fixture pages are blank, so only watermarked pages have content
+    const getMarkedPages = async (bytes) => {
+        const pdf = await load(bytes);
+        return pdf.getPages()
+            .map((page, index) => page.node.Contents() ? index + 1 : null)
+            .filter(Boolean);
+    };
+
+    it('marks the pages chosen', async () => {
+        assert.deepEqual(await getMarkedPages(await operations.watermark(input, { pages: 'all' })), [1, 2, 3, 4]);
+        assert.deepEqual(await getMarkedPages(await operations.watermark(input, { pages: 'first' })), [1]);
+        assert.deepEqual(await getMarkedPages(await operations.watermark(input, { pages: 'last' })), [4]);
+        assert.deepEqual(await getMarkedPages(await operations.watermark(input, { pages: 'custom', range: '2-3,9' })), [2, 3]);
+    });
+
+    it('draws with the requested opacity', async () => {
+        const pdf = await load(await operations.watermark(input, { pages: 'first', opacity: 0.25 }));
+        const states = pdf.getPage(0).node.Resources().lookup(PDFLib.PDFName.of('ExtGState'), PDFLib.PDFDict);
+        const opacities = states.values().map(state => pdf.context.lookup(state).get(PDFLib.PDFName.of('ca')).asNumber());
+
+        assert.deepEqual(opacities, [0.25]);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFWorkspace = require('../privpdf-workspace.js');
+
+describe('workspace', () => {
+    const bytes = (...values) => new Uint8Array(values);
+
+    it('holds a document opened twice only once', () => {
+        const workspace = new PrivPDFWorkspace();
+        const first = workspace.add({ name: 'report.pdf', bytes: bytes(1, 2, 3), pageCount: 3 });
+        const again = workspace.add({ name: 'copy of report.pdf', bytes: bytes(1, 2, 3) });
+        const other = workspace.add({ name: 'other.pdf', bytes: bytes(1, 2, 4) });
+
+        assert.equal(again, first);
+        assert.notEqual(other, first);
+        assert.deepEqual(workspace.list().map(doc => [doc.name, doc.size, doc.version]), [
+            ['report.pdf', 3, 1],
+            ['other.pdf', 3, 1]
+        ]);
+        assert.equal(workspace.find(bytes(1, 2, 4)), other);
+        assert.equal(workspace.find(bytes(9)), null);
+    });
+
+    it('adds results as the next version of their source', () => {
+        const workspace = new PrivPDFWorkspace();
+        const source = workspace.add({ name: 'report.pdf', bytes: bytes(1) });
+        const rotated = workspace.addResult(source.id, { name: 'report_rotated.pdf', bytes: bytes(2), tool: 'rotate' });
+        const compressed = workspace.addResult(rotated.id, { name: 'report_compressed.pdf', bytes: bytes(3), tool: 'compress' });
+        const merged = workspace.addResult(null, { name: 'merged.pdf', bytes: bytes(4), tool: 'merge' });
+
+        assert.deepEqual([rotated.version, rotated.parentId], [2, source.id]);
+        assert.deepEqual([compressed.version, compressed.parentId], [3, rotated.id]);
+        assert.deepEqual([merged.version, merged.parentId], [1, null]);
+        assert.deepEqual(workspace.getLineage(compressed.id).map(doc => doc.tool), [null, 'rotate', 'compress']);
+
+        workspace.remove(rotated.id);
+        assert.deepEqual(workspace.getLineage(compressed.id), [compressed]);
+    });
+
+    it('keeps the outputs of one run together until the last one is removed', () => {
+        const workspace = new PrivPDFWorkspace();
+        const group = workspace.createGroup({ tool: 'split', naming: '' });
+        const parts = [1, 2].map(n => workspace.addResult(null, {
+            name: `page_${n}.pdf`,
+            bytes: bytes(n),
+            tool: 'split',
+            group,
+            output: { filename: `page_${n}.pdf`, startPage: n, endPage: n }
+        }));
+
+        assert.deepEqual(workspace.getGroup(group).options, { tool: 'split', naming: '' });
+        assert.deepEqual(workspace.getGroup(group).documents.map(doc => doc.output.startPage), [1, 2]);
+
+        workspace.remove(parts[0].id);
+        assert.deepEqual(workspace.getGroup(group).documents, [parts[1]]);
+        workspace.remove(parts[1].id);
+        assert.equal(workspace.getGroup(group), null);
+    });
+
+    it('tells listeners about every change', () => {
+        const workspace = new PrivPDFWorkspace();
+        let changes = 0;
+        workspace.onChange(() => changes++);
+
+        const doc = workspace.add({ name: 'report.pdf', bytes: bytes(1) });
+        workspace.update(doc.id, { pageCount: 4 });
+        workspace.clear();
+
+        assert.equal(changes, 3);
+        assert.equal(doc.pageCount, 4);
+        assert.deepEqual(workspace.list(), []);
+    });
+
+    it('names results after their source', () => {
+        assert.equal(PrivPDFWorkspace.getResultName('reports/q1.pdf', 'rotated.pdf'), 'q1_rotated.pdf');
+        assert.equal(PrivPDFWorkspace.getResultName('', 'merged.pdf'), 'merged.pdf');
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PrivPDFZip = require('../privpdf-zip.js');
+
+// Entries of an archive as [{ name, flags, crc, data }], read through the end of central
+// directory record and the central directory, the way unzip tools find them
+function readZip(archive) {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const end = archive.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50, 'end of central directory');
+    const count = view.getUint16(end + 10, true);
+    const centralSize = view.getUint32(end + 12, true);
+    let position = view.getUint32(end + 16, true);
+    assert.equal(position + centralSize, end, 'central directory ends where the end record starts');
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(view.getUint32(position, true), 0x02014B50, 'central directory header');
+        const nameLength = view.getUint16(position + 28, true);
+        const name = new TextDecoder().decode(archive.subarray(position + 46, position + 46 + nameLength));
+        const offset = view.getUint32(position + 42, true);
+
+        assert.equal(view.getUint32(offset, true), 0x04034B50, 'local file header');
+        assert.equal(view.getUint16(offset + 8, true), 0, 'stored without compression');
+        assert.equal(view.getUint32(offset + 14, true), view.getUint32(position + 16, true), 'same CRC in both headers');
+        const size = view.getUint32(offset + 18, true);
+        const start = offset + 30 + view.getUint16(offset + 26, true);
+
+        entries.push({
+            name,
+            flags: view.getUint16(position + 8, true),
+            crc: view.getUint32(position + 16, true),
+            data: archive.subarray(start, start + size)
+        });
+        position += 46 + nameLength;
+    }
+    return entries;
+}
+
+describe('output names', () => {
+    const date = new Date(2024, 4, 31);
+    const name = (output, naming, options = {}) => PrivPDFZip.getOutputName(output, 0, 1, { naming, date, ...options });
+
+    it('fills the template with the source, tool, date and pages', () => {
+        const part = { filename: 'pages_3-5.pdf', startPage: 3, endPage: 5 };
+        assert.equal(name(part, '{name}_{tool}_{date}_{pages}', { source: 'reports/q1.pdf', tool: 'split' }), 'q1_split_2024-05-31_3-5.pdf');
+        assert.equal(name(part, '{start}-{end} {unknown}'), '3-5 {unknown}.pdf');
+        assert.equal(name({ filename: 'page_2.png' }, 'scan_{index}'), 'scan_1.png');
+        assert.equal(name(part, ''), 'pages_3-5.pdf');
+    });
+
+    it('drops separators left by empty tokens and keeps the operation name when nothing is left', () => {
+        assert.equal(name({ filename: 'merged.pdf' }, '{name}_merged'), 'merged.pdf');
+        assert.equal(name({ filename: 'front_matter.pdf', groups: [] }, '{1}'), 'front_matter.pdf');
+        assert.equal(name({ filename: 'a.pdf', groups: ['No. 7', '7'] }, 'invoice_{1}'), 'invoice_7.pdf');
+    });
+
+    it('makes names safe on every system', () => {
+        assert.equal(PrivPDFZip.sanitizeName('a/b: c?'), 'a_b_ c');
+        assert.equal(PrivPDFZip.sanitizeName(' ..report.. '), 'report');
+        assert.equal(PrivPDFZip.sanitizeName('nul'), 'nul_');
+        assert.equal(PrivPDFZip.sanitizeName('???'), 'file');
+        assert.equal(PrivPDFZip.sanitizeName('x'.repeat(300)).length, 200);
+    });
+
+    it('numbers names that are already taken, ignoring case', () => {
+        const names = new Set(['manifest.json']);
+        const taken = ['a.pdf', 'A.pdf', 'a.pdf', 'Manifest.json', 'notes'].map(filename => PrivPDFZip.getUniqueName(filename, names));
+        assert.deepEqual(taken, ['a.pdf', 'A_2.pdf', 'a_3.pdf', 'Manifest_2.json', 'notes']);
+    });
+});
+
+describe('zip archives', () => {
+    it('computes CRC-32 as zip tools do', () => {
+        assert.equal(PrivPDFZip.crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+        assert.equal(PrivPDFZip.crc32(new Uint8Array(0)), 0);
+    });
+
+    it('writes headers and a central directory that lead to every file', () => {
+        const zip = new PrivPDFZip();
+        const files = [['a.pdf', 'first file'], ['reports/Übersicht.pdf', 'second'], ['empty.txt', '']];
+        files.forEach(([name, text]) => zip.addFile(name, new TextEncoder().encode(text), new Date(2024, 4, 31, 12, 30)));
+
+        const entries = readZip(zip.generate());
+        assert.deepEqual(entries.map(entry => [entry.name, new TextDecoder().decode(entry.data)]), files);
+        entries.forEach(entry => {
+            assert.equal(entry.flags & 0x0800, 0x0800, 'UTF-8 names');
+            assert.equal(entry.crc, PrivPDFZip.crc32(entry.data));
+        });
+        assert.equal(new PrivPDFZip().generate().length, 22);
+        assert.throws(() => zip.addFile('', new Uint8Array(1)), /ZIP entries need a name/);
+    });
+
+    it('bundles outputs with unique names and a manifest', () => {
+        const bytes = new Uint8Array([1, 2, 3]);
+        const archive = PrivPDFZip.bundle([
+            { filename: 'page_1.pdf', bytes, startPage: 1, endPage: 1 },
+            { filename: 'page_2.pdf', bytes, startPage: 2, endPage: 2 }
+        ], { tool: 'split', source: 'q1.pdf', naming: '{name}', settings: { method: 'single' } });
+
+        const entries = readZip(archive);
+        assert.deepEqual(entries.map(entry => entry.name), ['q1.pdf', 'q1_2.pdf', 'manifest.json']);
+        const manifest = JSON.parse(new TextDecoder().decode(entries[2].data));
+        assert.equal(manifest.tool, 'split');
+        assert.deepEqual(manifest.files.map(file => [file.name, file.size, file.startPage]), [['q1.pdf', 3, 1], ['q1_2.pdf', 3, 2]]);
+        assert.equal(manifest.files[0].crc32, PrivPDFZip.crc32(bytes).toString(16).padStart(8, '0'));
+    });
+});
+